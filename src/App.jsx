@@ -3,104 +3,49 @@ import { AnimatePresence, motion } from 'framer-motion';
 import {
   AlertCircle,
   BarChart3,
+  BookOpen,
   CheckCircle2,
   ClipboardCopy,
   FileText,
   Upload,
-  Plus
+  Plus,
+  ShieldCheck,
+  Target,
+  Users
 } from 'lucide-react';
-import * as pdfjs from 'pdfjs-dist/legacy/build/pdf';
-import { grade, parseKeyText, parseStudentAnswers } from './grader.js';
+import { grade, parseStudentAnswers } from './grader.js';
+import { KEY_BANK, groupKeys, indexKeys } from './keyBank.js';
+import { buildCustomKey, createCustomKeyEntry, diffKeyAnswers, mergeCustomKeys } from './customKeys.js';
+import { readUploadText } from './uploadText.js';
+import { splitByWorksheetHeaders } from './worksheetSplit.js';
+import {
+  buildHistoryEntry,
+  buildRunQuestionStats,
+  historyDenominator,
+  resolveManualReview,
+  summarizeQuestionStats
+} from './worksheetRecords.js';
+import { applyKeyErrata, normalizeErratumAnswer, regradeStudents } from './keyErrata.js';
+import { KeyErrataPanel } from './KeyErrataPanel.jsx';
+import { findPoorMatch, rankKeyMatches, suggestKey } from './keyDetect.js';
+import { readClassSheet } from './classImport.js';
 import { StudentAnalytics } from './StudentAnalytics.jsx';
+import { KeyAudit } from './KeyAudit.jsx';
+import { DistractorReport } from './DistractorReport.jsx';
+import { KeyBrowser } from './KeyBrowser.jsx';
+import { ManualResolveActions, formatResolution } from './ManualResolveActions.jsx';
 import {
   loadStudents,
   saveStudents,
   createStudent,
-  ensureStudentShape
+  ensureStudentShape,
+  loadCustomKeys,
+  loadKeyErrata,
+  loadPracticeKeys,
+  saveCustomKeys,
+  savePracticeKeys
 } from './studentStore.js';
-
-const keyFiles = import.meta.glob('./keys/*.txt', {
-  query: '?raw',
-  import: 'default',
-  eager: true
-});
-
-const LOWER_CASE_WORDS = new Set(['and', 'of', 'the', 'for', 'to', 'a', 'in', 'with', 'on']);
-const ALWAYS_UPPER = new Set(['sat']);
-
-function formatDescriptor(slug) {
-  return slug
-    .split('-')
-    .filter(Boolean)
-    .map((token, index) => {
-      if (/^\d+$/.test(token)) {
-        return token;
-      }
-      if (ALWAYS_UPPER.has(token)) {
-        return token.toUpperCase();
-      }
-      if (token === 'alt') {
-        return 'Alt';
-      }
-      if (LOWER_CASE_WORDS.has(token) && index !== 0) {
-        return token;
-      }
-      return token.charAt(0).toUpperCase() + token.slice(1);
-    })
-    .join(' ');
-}
-
-function createKeyEntry(path, raw) {
-  const fileName = path.split('/').pop()?.replace('.txt', '') ?? '';
-  const parts = fileName.split('-');
-  const subjectToken = parts[0] ?? '';
-  const numberToken = parts[1] ?? '';
-  const descriptorSlug = parts.slice(2).join('-');
-
-  const subjectLabel = subjectToken.charAt(0).toUpperCase() + subjectToken.slice(1);
-  const descriptorLabel = descriptorSlug ? formatDescriptor(descriptorSlug) : '';
-  const number = Number.parseInt(numberToken, 10);
-
-  const key = parseKeyText(raw);
-
-  return {
-    id: fileName,
-    key,
-    total: key.size,
-    subjectToken,
-    number,
-    label: descriptorLabel ? `${subjectLabel} ${numberToken}: ${descriptorLabel}` : `${subjectLabel} ${numberToken}`,
-    descriptor: descriptorLabel,
-    subjectLabel,
-    raw
-  };
-}
-
-const KEY_BANK = Object.entries(keyFiles)
-  .map(([path, raw]) => createKeyEntry(path, raw))
-  .sort((a, b) => {
-    const subjectOrder = a.subjectToken === b.subjectToken ? 0 : a.subjectToken === 'english' ? -1 : 1;
-    if (subjectOrder !== 0) {
-      return subjectOrder;
-    }
-    if (!Number.isNaN(a.number) && !Number.isNaN(b.number) && a.number !== b.number) {
-      return a.number - b.number;
-    }
-    return a.label.localeCompare(b.label);
-  });
-
-const KEY_LOOKUP = KEY_BANK.reduce((map, item) => {
-  map.set(item.id, item);
-  return map;
-}, new Map());
-
-const KEY_GROUPS = KEY_BANK.reduce((groups, item) => {
-  if (!groups.has(item.subjectLabel)) {
-    groups.set(item.subjectLabel, []);
-  }
-  groups.get(item.subjectLabel).push(item);
-  return groups;
-}, new Map());
+import { PRACTICE_KEYS, mergePracticeKeys } from './practiceTests.js';
 
 const CONFETTI_COLORS = ['#2563eb', '#f97316', '#22c55e', '#ec4899', '#0ea5e9'];
 
@@ -140,6 +85,8 @@ function formatReport(result, date = null) {
     total,
     percent
   } = result;
+  const omitted = Array.isArray(result.omitted) ? result.omitted : [];
+  const resolved = Array.isArray(result.resolved) ? result.resolved : [];
 
   const summaryLine = `${correct} / ${denominator || total} correct (${FRACTION_FORMATTER.format(percent)}%)`;
 
@@ -153,7 +100,10 @@ function formatReport(result, date = null) {
     lines.push(
       'Incorrect:',
       ...incorrect.map(
-        (item) => `  ${item.question}: student ${item.studentAnswer} -> key ${item.correctAnswer}`
+        (item) =>
+          `  ${item.question}: student ${item.studentAnswer} -> key ${item.correctAnswer}${
+            item.guessed ? ' (guess)' : ''
+          }`
       ),
       ''
     );
@@ -161,6 +111,10 @@ function formatReport(result, date = null) {
     lines.push('Incorrect: none', '');
   }
 
+  if (omitted.length > 0) {
+    lines.push(`Skipped: ${omitted.join(', ')}`, '');
+  }
+
   if (manualReview.length > 0) {
     lines.push(
       'Manual review:',
@@ -175,9 +129,68 @@ function formatReport(result, date = null) {
     lines.push('Manual review: none', '');
   }
 
+  if (resolved.length > 0) {
+    lines.push(
+      'Resolved:',
+      ...resolved.map((item) => `  ${item.question}: ${item.answers.join(', ')} -> ${formatResolution(item)}`),
+      ''
+    );
+  }
+
+  return lines.join('\n').trim();
+}
+
+function formatBatchSummary(summary) {
+  if (!summary || !Array.isArray(summary.items) || summary.items.length === 0) {
+    return '';
+  }
+
+  const totalCorrect = summary.items.reduce((sum, item) => sum + item.correct, 0);
+  const totalDenominator = summary.items.reduce((sum, item) => sum + item.denominator, 0);
+  const totalPercent = totalDenominator > 0 ? (totalCorrect / totalDenominator) * 100 : 0;
+
+  const lines = [`Combined summary (${summary.items.length} worksheets)`];
+  if (summary.gradedAt) {
+    lines.push(`uploaded ${formatDateValue(summary.gradedAt)}`);
+  }
+  lines.push(
+    `${totalCorrect} / ${totalDenominator} correct (${FRACTION_FORMATTER.format(totalPercent)}%)`,
+    ''
+  );
+  summary.items.forEach((item) => {
+    lines.push(item.report, '');
+  });
+
   return lines.join('\n').trim();
 }
 
+function normalizeStudentName(name) {
+  return String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Tab separated so the class table pastes straight into a spreadsheet.
+function formatClassSummary(summary) {
+  if (!summary) {
+    return '';
+  }
+
+  const lines = [
+    `Worksheet: ${summary.keyName}`,
+    ['Student', 'Correct', 'Out of', 'Percent', 'Incorrect', 'Manual review'].join('\t'),
+    ...summary.items.map((item) =>
+      [
+        item.name,
+        item.correct,
+        item.denominator,
+        FRACTION_FORMATTER.format(item.percent),
+        item.incorrectCount,
+        item.manualReviewCount
+      ].join('\t')
+    )
+  ];
+  return lines.join('\n');
+}
+
 function buildResultFromWorksheetRecord(record, keyMeta) {
   if (!record || !keyMeta) {
     return null;
@@ -227,9 +240,13 @@ function buildResultFromWorksheetRecord(record, keyMeta) {
     ? latestHistory.missing.slice().sort((a, b) => a - b)
     : Array.isArray(record.missing) ? record.missing.slice().sort((a, b) => a - b) : [];
   const missingCount = latestHistory ? (latestHistory.missingCount ?? missing.length) : (record.missingCount ?? missing.length);
+  const omitted = latestHistory && Array.isArray(latestHistory.omitted) ? latestHistory.omitted : [];
+  const guessed = latestHistory && Array.isArray(latestHistory.guessed) ? latestHistory.guessed : [];
+  const voided = latestHistory && Array.isArray(latestHistory.voided) ? latestHistory.voided : [];
+  const resolved = latestHistory && Array.isArray(latestHistory.resolved) ? latestHistory.resolved : [];
   
   const denominator = latestHistory
-    ? (skipMissing ? Math.max((latestHistory.total ?? totalQuestions) - missingCount, 0) : (latestHistory.total ?? totalQuestions))
+    ? historyDenominator({ ...latestHistory, total: latestHistory.total ?? totalQuestions, missingCount, skipMissingUsed: skipMissing })
     : (record.denominator ?? (skipMissing ? Math.max(totalQuestions - missingCount, 0) : totalQuestions));
   
   const percent = latestHistory
@@ -251,8 +268,14 @@ function buildResultFromWorksheetRecord(record, keyMeta) {
     manualReviewCount,
     missing,
     missingCount,
+    omitted,
+    omittedCount: omitted.length,
+    guessed,
+    voided,
+    resolved,
     denominator,
     percent,
+    historyId: latestHistory?.id ?? null,
     keyId: record.worksheetId ?? keyMeta.id,
     keyName: record.worksheetLabel ?? keyMeta.label,
     skipMissing,
@@ -268,6 +291,9 @@ function buildResultFromWorksheetRecord(record, keyMeta) {
     manualReview.map((item) => [item.question, item])
   );
   const missingSet = new Set(missing);
+  const omittedSet = new Set(omitted);
+  const guessedSet = new Set(guessed);
+  const voidedSet = new Set(voided);
   const highestQuestion = Math.max(
     totalQuestions,
     ...incorrect.map((item) => item.question),
@@ -286,7 +312,8 @@ function buildResultFromWorksheetRecord(record, keyMeta) {
         question: index,
         status: 'incorrect',
         studentAnswer: (incorrectEntry.studentAnswer ?? '').toString().toUpperCase(),
-        correctAnswer: (incorrectEntry.correctAnswer ?? keyAnswer ?? '').toString().toUpperCase()
+        correctAnswer: (incorrectEntry.correctAnswer ?? keyAnswer ?? '').toString().toUpperCase(),
+        guessed: guessedSet.has(index)
       });
       continue;
     }
@@ -302,13 +329,32 @@ function buildResultFromWorksheetRecord(record, keyMeta) {
       });
       continue;
     }
+    if (voidedSet.has(index)) {
+      questionStates.push({
+        question: index,
+        status: 'voided',
+        studentAnswer: '',
+        correctAnswer: keyAnswer
+      });
+      continue;
+    }
+    if (omittedSet.has(index)) {
+      questionStates.push({
+        question: index,
+        status: 'omitted',
+        studentAnswer: '',
+        correctAnswer: keyAnswer
+      });
+      continue;
+    }
     if (attemptedSet.has(index) && !missingSet.has(index)) {
       // This question was attempted correctly in latest upload
       questionStates.push({
         question: index,
         status: 'correct',
         studentAnswer: keyAnswer,
-        correctAnswer: keyAnswer
+        correctAnswer: keyAnswer,
+        guessed: guessedSet.has(index)
       });
       continue;
     }
@@ -377,7 +423,310 @@ function Confetti({ show }) {
   );
 }
 
-function ResultCard({ result }) {
+const PREVIEW_HIGHLIGHT_CLASSES = {
+  pair: 'text-emerald-700',
+  unmatched: 'rounded bg-amber-100 text-amber-800',
+  ambiguous: 'rounded bg-rose-100 text-rose-700'
+};
+
+function buildHighlightSegments(text, parsed) {
+  const kinds = new Array(text.length).fill(null);
+  const paint = (items, kind) => {
+    items.forEach((item) => {
+      for (let index = item.start; index < item.end && index < text.length; index += 1) {
+        kinds[index] = kind;
+      }
+    });
+  };
+
+  // Later layers win: ambiguous tokens sit inside pairs or unmatched fragments.
+  paint(parsed.pairs ?? [], 'pair');
+  paint(parsed.unmatched ?? [], 'unmatched');
+  paint(parsed.ambiguous ?? [], 'ambiguous');
+
+  const segments = [];
+  for (let index = 0; index < text.length; index += 1) {
+    const last = segments[segments.length - 1];
+    if (last && last.kind === kinds[index]) {
+      last.text += text[index];
+    } else {
+      segments.push({ kind: kinds[index], start: index, text: text[index] });
+    }
+  }
+  return segments;
+}
+
+function ParsePreview({ text, parsed }) {
+  if (!text.trim() || !parsed) {
+    return null;
+  }
+
+  const rows = [...(parsed.pairs ?? [])].sort(
+    (a, b) => a.question - b.question || a.start - b.start
+  );
+  const segments = buildHighlightSegments(text, parsed);
+  const ambiguousCount = (parsed.ambiguous ?? []).length;
+  const unmatchedCount = (parsed.unmatched ?? []).length;
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm font-semibold text-slate-700">Parse preview</p>
+        <p className="text-[11px] uppercase tracking-wide text-slate-400">
+          {rows.length} detected · {ambiguousCount} ambiguous · {unmatchedCount} unparsed
+        </p>
+      </div>
+      <div className="mt-3 grid gap-4 sm:grid-cols-2">
+        <div className="max-h-64 overflow-auto rounded-xl border border-slate-100">
+          {rows.length > 0 ? (
+            <table className="w-full text-left font-mono text-xs">
+              <thead className="sticky top-0 bg-slate-50 text-[11px] uppercase tracking-wide text-slate-400">
+                <tr>
+                  <th className="px-2 py-1 font-medium">Q</th>
+                  <th className="px-2 py-1 font-medium">Answer</th>
+                  <th className="px-2 py-1 font-medium">Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((pair) => (
+                  <tr
+                    key={`${pair.question}-${pair.start}`}
+                    className={pair.status === 'manual' ? 'text-yellow-700' : 'text-slate-700'}
+                  >
+                    <td className="px-2 py-0.5">{pair.question}</td>
+                    <td className="px-2 py-0.5">
+                      {pair.status === 'omitted' ? '—' : pair.answer}
+                      {pair.guessed ? '?' : ''}
+                    </td>
+                    <td className="px-2 py-0.5 font-sans text-[11px] text-slate-500">
+                      {pair.reason ?? (pair.status === 'omitted' ? 'Skipped' : pair.guessed ? 'Guess' : '')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="p-3 text-xs text-slate-400">No question/answer pairs detected yet.</p>
+          )}
+        </div>
+        <div className="space-y-2">
+          <pre className="max-h-64 overflow-auto whitespace-pre-wrap break-words rounded-xl border border-slate-100 bg-slate-50 p-2 font-mono text-xs text-slate-400">
+            {segments.map((segment) => (
+              <span
+                key={segment.start}
+                className={segment.kind ? PREVIEW_HIGHLIGHT_CLASSES[segment.kind] : undefined}
+              >
+                {segment.text}
+              </span>
+            ))}
+          </pre>
+          <div className="flex flex-wrap gap-3 text-[11px] text-slate-500">
+            <span className="text-emerald-700">Detected</span>
+            <span className="rounded bg-amber-100 px-1 text-amber-800">Unparsed</span>
+            <span className="rounded bg-rose-100 px-1 text-rose-700">Ambiguous</span>
+          </div>
+        </div>
+      </div>
+      {ambiguousCount > 0 ? (
+        <ul className="mt-3 space-y-1 text-xs text-rose-600">
+          {/* A mismatched compact range flags every question on the same span. */}
+          {parsed.ambiguous.map((item, index) => (
+            <li key={`${item.start}-${item.end}-${item.question ?? index}`}>
+              “{item.text}” (chars {item.start}-{item.end}): {item.reason}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
+
+function formatAgreement(match) {
+  if (!match || match.agreement === null) {
+    return '';
+  }
+  return `${Math.round(match.agreement * 100)}% agreement`;
+}
+
+function KeyMatchHint({ suggestion, poorMatch, onUse }) {
+  if (!suggestion && !poorMatch) {
+    return null;
+  }
+
+  const target = poorMatch ? poorMatch.better : suggestion;
+  const details = [
+    formatAgreement(target),
+    target.reasons.length > 0
+      ? `from ${target.reasons.join(', ')}`
+      : ''
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+  return (
+    <div
+      className={`flex flex-wrap items-center justify-between gap-2 rounded-xl border px-3 py-2 text-xs ${
+        poorMatch
+          ? 'border-amber-200 bg-amber-50 text-amber-800'
+          : 'border-sky-200 bg-sky-50 text-sky-800'
+      }`}
+      role={poorMatch ? 'alert' : 'status'}
+    >
+      <span className="inline-flex items-center gap-2">
+        {poorMatch ? <AlertCircle className="size-4 shrink-0" aria-hidden /> : null}
+        {poorMatch ? (
+          <span>
+            Answers agree {Math.round(poorMatch.selected.agreement * 100)}% with{' '}
+            {poorMatch.selected.label} but {Math.round(poorMatch.better.agreement * 100)}% with{' '}
+            <span className="font-semibold">{poorMatch.better.label}</span>.
+          </span>
+        ) : (
+          <span>
+            Looks like <span className="font-semibold">{target.label}</span>
+            {details ? ` (${details})` : ''}
+          </span>
+        )}
+      </span>
+      <button
+        type="button"
+        onClick={() => onUse(target.keyId)}
+        className="rounded-full border border-current px-2 py-0.5 font-medium transition hover:bg-white"
+      >
+        Use this key
+      </button>
+    </div>
+  );
+}
+
+function ClassSummaryCard({ summary, onSelect, onCopy }) {
+  if (!summary) {
+    return null;
+  }
+
+  const classPercent =
+    summary.items.length > 0
+      ? summary.items.reduce((sum, item) => sum + item.percent, 0) / summary.items.length
+      : 0;
+  const newCount = summary.items.filter((item) => item.isNew).length;
+
+  return (
+    <section className="mb-6 rounded-3xl border border-slate-200 bg-white p-6 shadow-xl shadow-slate-200/70">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <p className="text-sm font-semibold text-slate-700">Class import: {summary.keyName}</p>
+          <p className="text-[11px] uppercase tracking-wide text-slate-400">
+            {summary.fileName} · {summary.items.length} students
+            {newCount > 0 ? ` · ${newCount} new` : ''} · average{' '}
+            {FRACTION_FORMATTER.format(classPercent)}%
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onCopy}
+          className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600"
+        >
+          <ClipboardCopy className="size-3.5" aria-hidden />
+          Copy table
+        </button>
+      </div>
+      <div className="mt-3 max-h-96 overflow-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="text-xs uppercase tracking-wide text-slate-400">
+            <tr>
+              <th className="py-1 pr-2 font-medium">Student</th>
+              <th className="py-1 pr-2 font-medium">Score</th>
+              <th className="py-1 pr-2 font-medium">Wrong</th>
+              <th className="py-1 font-medium">Review</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.items.map((item) => (
+              <tr key={`${item.studentId}-${item.line}`} className="border-t border-slate-100">
+                <td className="py-1.5 pr-2">
+                  <button
+                    type="button"
+                    onClick={() => onSelect(item.studentId)}
+                    className="font-medium text-slate-700 hover:text-blue-600"
+                  >
+                    {item.name}
+                  </button>
+                  {item.isNew ? (
+                    <span className="ml-2 rounded-full bg-emerald-100 px-2 py-0.5 text-[10px] font-semibold uppercase text-emerald-700">
+                      new
+                    </span>
+                  ) : null}
+                </td>
+                <td className="py-1.5 pr-2 text-slate-600">
+                  {item.correct} / {item.denominator}{' '}
+                  <span className="text-slate-400">({FRACTION_FORMATTER.format(item.percent)}%)</span>
+                </td>
+                <td className="py-1.5 pr-2 text-rose-500">{item.incorrectCount || '—'}</td>
+                <td className="py-1.5 text-yellow-600">{item.manualReviewCount || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {summary.skipped.length > 0 ? (
+        <ul className="mt-3 space-y-1 text-xs text-amber-700">
+          {summary.skipped.map((item) => (
+            <li key={item.line}>
+              Row {item.line}
+              {item.name ? ` (${item.name})` : ''}: {item.reason}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </section>
+  );
+}
+
+function BatchSummaryCard({ summary, onSelect }) {
+  if (!summary || summary.items.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="mb-6 rounded-3xl border border-slate-200 bg-white p-6 shadow-xl shadow-slate-200/70">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-semibold text-slate-700">Combined summary</p>
+        <p className="text-[11px] uppercase tracking-wide text-slate-400">
+          {summary.items.length} worksheets graded
+        </p>
+      </div>
+      <ul className="mt-3 space-y-2 text-sm">
+        {summary.items.map((item) => (
+          <li key={item.keyId}>
+            <button
+              type="button"
+              onClick={() => onSelect(item.keyId)}
+              className="flex w-full items-center justify-between gap-3 rounded-xl border border-slate-100 bg-slate-50 px-3 py-2 text-left transition hover:border-blue-200 hover:bg-blue-50"
+            >
+              <span className="font-medium text-slate-700">{item.label}</span>
+              <span className="text-slate-600">
+                {item.correct} / {item.denominator}{' '}
+                <span className="text-slate-400">({FRACTION_FORMATTER.format(item.percent)}%)</span>
+                {item.incorrectCount > 0 ? (
+                  <span className="ml-2 text-xs text-rose-500">{item.incorrectCount} wrong</span>
+                ) : null}
+                {item.manualReviewCount > 0 ? (
+                  <span className="ml-2 text-xs text-yellow-600">{item.manualReviewCount} *</span>
+                ) : null}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {summary.unassignedCount > 0 ? (
+        <p className="mt-3 text-xs text-amber-700">
+          {summary.unassignedCount} answers appeared before the first worksheet heading and were not graded.
+        </p>
+      ) : null}
+    </section>
+  );
+}
+
+function ResultCard({ result, onResolve }) {
   if (!result) {
     return null;
   }
@@ -421,20 +770,28 @@ function ResultCard({ result }) {
               let answerText = '';
               let answerColor = 'text-slate-600';
 
+              const guessMark = item.guessed ? '?' : '';
+
               if (status === 'correct') {
-                answerText = (item.studentAnswer || item.correctAnswer || '').toString().toUpperCase();
+                answerText = `${(item.studentAnswer || item.correctAnswer || '').toString().toUpperCase()}${guessMark}`;
                 answerColor = 'text-emerald-600';
               } else if (status === 'incorrect') {
                 const studentAns = (item.studentAnswer || '—').toString().toUpperCase();
                 const correctAns = (item.correctAnswer || '—').toString().toUpperCase();
-                answerText = `${studentAns} [${correctAns}]`;
+                answerText = `${studentAns}${guessMark} [${correctAns}]`;
                 answerColor = 'text-rose-500';
+              } else if (status === 'omitted') {
+                answerText = `— [${(item.correctAnswer || '—').toString().toUpperCase()}]`;
+                answerColor = 'text-slate-500';
               } else if (status === 'manual') {
                 answerText = '*';
                 if (item.correctAnswer) {
                   answerText += ` (${item.correctAnswer.toUpperCase()})`;
                 }
                 answerColor = 'text-yellow-600';
+              } else if (status === 'voided') {
+                answerText = 'void';
+                answerColor = 'text-slate-400 line-through';
               } else {
                 answerText = '';
                 answerColor = 'text-slate-400';
@@ -466,12 +823,16 @@ function ResultCard({ result }) {
                   <span className="font-semibold text-rose-500">{item.studentAnswer}</span>
                   {' -> '}
                   {item.correctAnswer}
+                  {item.guessed ? <span className="text-xs text-slate-400"> (guess)</span> : null}
                 </li>
               ))}
             </ul>
           ) : (
             <p className="mt-2 text-sm text-slate-400">No errors logged.</p>
           )}
+          {result.omittedCount > 0 ? (
+            <p className="mt-2 text-xs text-slate-500">Skipped: {result.omitted.join(', ')}</p>
+          ) : null}
         </div>
 
         <div className="rounded-2xl border border-slate-100 bg-slate-50 p-4">
@@ -490,6 +851,13 @@ function ResultCard({ result }) {
                       <span className="text-slate-700"> (correct: {correctAnswer.toUpperCase()})</span>
                     ) : null}
                     <span className="block text-xs text-slate-500">{item.reasons.join('; ')}</span>
+                    {onResolve && result.historyId ? (
+                      <ManualResolveActions
+                        item={item}
+                        keyAnswer={correctAnswer}
+                        onResolve={(resolution) => onResolve(result.historyId, item.question, resolution)}
+                      />
+                    ) : null}
                   </li>
                 );
               })}
@@ -497,6 +865,15 @@ function ResultCard({ result }) {
           ) : (
             <p className="mt-2 text-sm text-slate-400">Nothing pending here.</p>
           )}
+          {result.resolved?.length > 0 ? (
+            <ul className="mt-2 space-y-0.5 text-xs text-slate-400">
+              {result.resolved.map((item) => (
+                <li key={item.question}>
+                  {item.question}: {item.answers.join(', ')} {'->'} {formatResolution(item)}
+                </li>
+              ))}
+            </ul>
+          ) : null}
         </div>
       </div>
     </motion.section>
@@ -518,9 +895,18 @@ export default function App() {
   const [selectedStudentId, setSelectedStudentId] = useState('');
   const [autoSelectStudent, setAutoSelectStudent] = useState(true);
   const [showStudentAnalytics, setShowStudentAnalytics] = useState(false);
+  const [showKeyAudit, setShowKeyAudit] = useState(false);
+  const [showDistractors, setShowDistractors] = useState(false);
+  const [showKeyBrowser, setShowKeyBrowser] = useState(false);
   const [undoSnapshot, setUndoSnapshot] = useState(null);
   const [studentSearchTerm, setStudentSearchTerm] = useState('');
   const [showStudentSuggestions, setShowStudentSuggestions] = useState(false);
+  const [splitByHeadings, setSplitByHeadings] = useState(false);
+  const [batchSummary, setBatchSummary] = useState(null);
+  const [classSummary, setClassSummary] = useState(null);
+  const [keyErrata, setKeyErrata] = useState(() => loadKeyErrata());
+  const [customKeys, setCustomKeys] = useState(() => loadCustomKeys());
+  const [storedPracticeKeys, setStoredPracticeKeys] = useState(() => loadPracticeKeys());
   const confettiTimerRef = useRef(null);
 
   useEffect(
@@ -557,10 +943,62 @@ export default function App() {
   }, [students, selectedStudentId, autoSelectStudent]);
 
   useEffect(() => {
-    saveStudents(students);
-  }, [students]);
+    saveStudents(students, keyErrata);
+  }, [students, keyErrata]);
+
+  useEffect(() => {
+    saveCustomKeys(customKeys);
+  }, [customKeys]);
+
+  useEffect(() => {
+    savePracticeKeys(storedPracticeKeys);
+  }, [storedPracticeKeys]);
+
+  // Bundled practice keys plus keys added in the app.
+  const practiceKeys = useMemo(
+    () => mergePracticeKeys(PRACTICE_KEYS, storedPracticeKeys),
+    [storedPracticeKeys]
+  );
+
+  const handleSavePracticeKey = (entry) => {
+    setStoredPracticeKeys((current) => [
+      ...current.filter((item) => item.testId !== entry.testId),
+      entry
+    ]);
+  };
 
-  const selectedKey = useMemo(() => KEY_LOOKUP.get(selectedKeyId), [selectedKeyId]);
+  // Key files plus keys added in the app, before errata.
+  const baseKeyBank = useMemo(() => mergeCustomKeys(KEY_BANK, customKeys), [customKeys]);
+  const baseKeyLookup = useMemo(() => indexKeys(baseKeyBank), [baseKeyBank]);
+  const keyBank = useMemo(
+    () => applyKeyErrata(baseKeyBank, keyErrata.errata),
+    [baseKeyBank, keyErrata.errata]
+  );
+  const keyLookup = useMemo(() => indexKeys(keyBank), [keyBank]);
+  const keyGroups = useMemo(() => groupKeys(keyBank), [keyBank]);
+
+  const selectedKey = useMemo(() => keyLookup.get(selectedKeyId), [keyLookup, selectedKeyId]);
+
+  const parsePreview = useMemo(() => parseStudentAnswers(studentInput), [studentInput]);
+
+  const keyMatches = useMemo(
+    () =>
+      rankKeyMatches({
+        text: studentInput,
+        fileName,
+        parsed: parsePreview,
+        keyEntries: keyBank
+      }),
+    [studentInput, fileName, parsePreview, keyBank]
+  );
+  const keySuggestion = useMemo(
+    () => suggestKey(keyMatches, selectedKeyId),
+    [keyMatches, selectedKeyId]
+  );
+  const poorKeyMatch = useMemo(
+    () => findPoorMatch(keyMatches, selectedKeyId),
+    [keyMatches, selectedKeyId]
+  );
 
   const selectedStudent = useMemo(
     () => students.find((student) => student.id === selectedStudentId) ?? null,
@@ -639,13 +1077,13 @@ export default function App() {
     window.setTimeout(() => setShowStudentSuggestions(false), 120);
   };
 
-  const updateCurrentStudent = (mutator) => {
-    if (!selectedStudentId) {
+  const updateStudentById = (studentId, mutator) => {
+    if (!studentId) {
       return;
     }
     setStudents((prev) =>
       prev.map((student) => {
-        if (student.id !== selectedStudentId) {
+        if (student.id !== studentId) {
           return student;
         }
         const changes = mutator(student) ?? {};
@@ -659,6 +1097,8 @@ export default function App() {
     );
   };
 
+  const updateCurrentStudent = (mutator) => updateStudentById(selectedStudentId, mutator);
+
   const handleAddStudent = () => {
     const name = window.prompt('Student name');
     if (!name || !name.trim()) {
@@ -767,7 +1207,9 @@ export default function App() {
       selectedStudentId,
       selectedKeyId,
       studentInput,
-      result
+      result,
+      keyErrata,
+      customKeys
     });
   };
 
@@ -784,165 +1226,58 @@ export default function App() {
     setSelectedKeyId(undoSnapshot.selectedKeyId);
     setStudentInput(undoSnapshot.studentInput);
     setResult(undoSnapshot.result);
+    if (undoSnapshot.keyErrata) {
+      setKeyErrata(undoSnapshot.keyErrata);
+    }
+    if (undoSnapshot.customKeys) {
+      setCustomKeys(undoSnapshot.customKeys);
+    }
     setUndoSnapshot(null);
     setShowStudentAnalytics(false);
   };
 
   const undoAvailable = Boolean(undoSnapshot);
 
-  const persistWorksheetResult = (gradeResult, parsedAnswers) => {
-    if (!selectedKey || !selectedStudent) {
+  const persistWorksheetResult = (
+    gradeResult,
+    parsedAnswers,
+    { keyMeta = selectedKey, studentId = selectedStudent?.id, submission = null } = {}
+  ) => {
+    if (!keyMeta || !studentId) {
       return null;
     }
     
     prepareUndoSnapshot();
     
     let savedEntry = null;
-    updateCurrentStudent((student) => {
+    updateStudentById(studentId, (student) => {
       const worksheets = Array.isArray(student.worksheets) ? [...student.worksheets] : [];
       const existingIndex = worksheets.findIndex(
-        (item) => item.worksheetId === selectedKey.id
+        (item) => item.worksheetId === keyMeta.id
       );
       const existingEntry = existingIndex >= 0 ? worksheets[existingIndex] : null;
       const nowIso = new Date().toISOString();
-      const answersMap =
-        parsedAnswers?.answers instanceof Map ? parsedAnswers.answers : new Map();
-      const incorrectMap = new Map(
-        (gradeResult.incorrect ?? []).map((item) => [item.question, item])
-      );
-      const manualReviewMap = new Map(
-        (gradeResult.manualReview ?? []).map((item) => [item.question, item])
-      );
-
       const previousHistory = Array.isArray(existingEntry?.history) ? existingEntry.history : [];
-      const attemptedThisRun = new Set(gradeResult.attemptedQuestions ?? []);
-      manualReviewMap.forEach((_, question) => attemptedThisRun.add(question));
-
-      const mergedQuestionStats = { ...(existingEntry?.questionStats ?? {}) };
-      const attemptsTracker = existingEntry?.questionStats ?? {};
-
-      for (const question of attemptedThisRun) {
-        const previous = attemptsTracker?.[question] ?? mergedQuestionStats?.[question] ?? null;
-        const attempts = (previous?.attempts ?? 0) + 1;
-        const correctAnswer = selectedKey.key.get(question) || '';
-
-        if (manualReviewMap.has(question)) {
-          const manual = manualReviewMap.get(question);
-          mergedQuestionStats[question] = {
-            status: 'manual',
-            studentAnswer: manual.answers?.[0] ?? '',
-            correctAnswer,
-            manualAnswers: manual.answers ?? [],
-            manualReasons: manual.reasons ?? [],
-            attempts,
-            lastUpdated: nowIso
-          };
-          continue;
-        }
-
-        if (incorrectMap.has(question)) {
-          const incorrect = incorrectMap.get(question);
-          mergedQuestionStats[question] = {
-            status: 'incorrect',
-            studentAnswer: incorrect.studentAnswer,
-            correctAnswer: incorrect.correctAnswer ?? correctAnswer,
-            attempts,
-            lastUpdated: nowIso
-          };
-          continue;
-        }
-
-        const studentAnswer = answersMap.get(question) ?? previous?.studentAnswer ?? '';
-        mergedQuestionStats[question] = {
-          status: 'correct',
-          studentAnswer,
-          correctAnswer,
-          attempts,
-          lastUpdated: nowIso
-        };
-      }
+      const { attempted: attemptedThisRun, questionStats: runStats } = buildRunQuestionStats(
+        gradeResult,
+        parsedAnswers,
+        keyMeta,
+        existingEntry?.questionStats,
+        nowIso
+      );
+      const mergedQuestionStats = { ...(existingEntry?.questionStats ?? {}), ...runStats };
 
       const attemptedAggregate = new Set(existingEntry?.attemptedQuestions ?? []);
       attemptedThisRun.forEach((question) => attemptedAggregate.add(question));
       const attemptedList = Array.from(attemptedAggregate).sort((a, b) => a - b);
-      const totalQuestions = selectedKey.total;
-      const aggregatedIncorrect = [];
-      const aggregatedManual = [];
-      let aggregatedCorrect = 0;
-
-      Object.entries(mergedQuestionStats).forEach(([questionKey, value]) => {
-        const questionNumber = Number.parseInt(questionKey, 10);
-        if (Number.isNaN(questionNumber)) {
-          return;
-        }
-        if (value?.status === 'correct') {
-          aggregatedCorrect += 1;
-        } else if (value?.status === 'incorrect') {
-          aggregatedIncorrect.push({
-            question: questionNumber,
-            studentAnswer: value.studentAnswer ?? '',
-            correctAnswer: value.correctAnswer ?? selectedKey.key.get(questionNumber) ?? ''
-          });
-        } else if (value?.status === 'manual') {
-          const manualAnswers = Array.isArray(value.manualAnswers)
-            ? value.manualAnswers
-            : value.manualAnswers
-              ? [value.manualAnswers]
-              : value.studentAnswer
-                ? [value.studentAnswer]
-                : [];
-          const manualReasons = Array.isArray(value.manualReasons)
-            ? value.manualReasons
-            : value.manualReasons
-              ? [value.manualReasons]
-              : [];
-          aggregatedManual.push({
-            question: questionNumber,
-            answers: manualAnswers,
-            reasons: manualReasons
-          });
-        }
+      const totalQuestions = keyMeta.total;
+      const aggregates = summarizeQuestionStats(mergedQuestionStats, keyMeta, skipMissing);
+      const historyEntry = buildHistoryEntry(gradeResult, {
+        attempted: attemptedThisRun,
+        skipMissing,
+        submission,
+        nowIso
       });
-      aggregatedIncorrect.sort((a, b) => a.question - b.question);
-      aggregatedManual.sort((a, b) => a.question - b.question);
-
-      const aggregatedMissing = [];
-      if (totalQuestions > 0) {
-        for (let index = 1; index <= totalQuestions; index += 1) {
-          if (!mergedQuestionStats[index]) {
-            aggregatedMissing.push(index);
-          }
-        }
-      }
-      const aggregatedMissingCount = aggregatedMissing.length;
-      const aggregatedAttemptedCount =
-        totalQuestions > 0
-          ? Math.max(0, totalQuestions - aggregatedMissingCount)
-          : attemptedList.length;
-      const aggregatedDenominator = skipMissing
-        ? Math.max(totalQuestions - aggregatedMissingCount, 0)
-        : totalQuestions;
-      const aggregatedPercent =
-        aggregatedDenominator > 0 ? (aggregatedCorrect / aggregatedDenominator) * 100 : 0;
-      const historyEntry = {
-        id: `history-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
-        recordedAt: nowIso,
-        attempted: attemptedThisRun.size,
-        correct: gradeResult.correct,
-        total: gradeResult.total,
-        percent: gradeResult.percent,
-        incorrect: (gradeResult.incorrect ?? []).map((item) => ({ ...item })),
-        incorrectCount: gradeResult.incorrectCount,
-        manualReview: (gradeResult.manualReview ?? []).map((item) => ({
-          ...item,
-          answers: Array.isArray(item.answers) ? [...item.answers] : []
-        })),
-        manualReviewCount: gradeResult.manualReviewCount,
-        missing: (gradeResult.missing ?? []).slice().sort((a, b) => a - b),
-        missingCount: gradeResult.missingCount,
-        skipMissingUsed: skipMissing,
-        reviewed: false
-      };
       const history = [
         historyEntry,
         ...previousHistory.map((item) => ({
@@ -952,25 +1287,17 @@ export default function App() {
       ];
       const entry = {
         ...(existingEntry ?? {}),
-        id: existingEntry?.id ?? `worksheet-${Date.now()}`,
-        worksheetId: selectedKey.id,
-        worksheetLabel: selectedKey.label,
+        // Batch grading creates several records in the same millisecond.
+        id: existingEntry?.id ?? `worksheet-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+        worksheetId: keyMeta.id,
+        worksheetLabel: keyMeta.label,
         date: nowIso,
         lastUpdated: nowIso,
         questionStats: mergedQuestionStats,
         attemptedQuestions: attemptedList,
         totalQuestions,
         total: totalQuestions,
-        correct: aggregatedCorrect,
-        incorrect: aggregatedIncorrect,
-        incorrectCount: aggregatedIncorrect.length,
-        manualReview: aggregatedManual,
-        manualReviewCount: aggregatedManual.length,
-        missing: aggregatedMissing,
-        missingCount: aggregatedMissingCount,
-        totalAttempted: aggregatedAttemptedCount,
-        percent: aggregatedPercent,
-        denominator: aggregatedDenominator,
+        ...aggregates,
         skipMissingUsed: skipMissing,
         reviewedMisses: existingEntry?.reviewedMisses ?? false,
         history
@@ -988,7 +1315,7 @@ export default function App() {
         worksheets,
         topicChecklist: {
           ...(student.topicChecklist ?? {}),
-          [selectedKey.id]: true
+          [keyMeta.id]: true
         }
       };
     });
@@ -996,6 +1323,141 @@ export default function App() {
     return savedEntry;
   };
 
+  // Swaps in a new errata list and regrades every stored record for the key.
+  const commitKeyErrata = (errata, change) => {
+    const baseEntry = baseKeyLookup.get(change.keyId);
+    const keyMeta = applyKeyErrata([baseEntry], errata)[0];
+    prepareUndoSnapshot();
+    const { students: regraded, changes } = regradeStudents(students, change, keyMeta);
+    setStudents(regraded.map((student) => ensureStudentShape(student)));
+    setKeyErrata((prev) => ({
+      errata,
+      log: [
+        {
+          id: `errata-log-${Date.now()}`,
+          recordedAt: new Date().toISOString(),
+          keyId: change.keyId,
+          keyLabel: keyMeta.label,
+          question: change.question,
+          from: change.from,
+          to: change.to,
+          note: change.note ?? '',
+          changes
+        },
+        ...prev.log
+      ]
+    }));
+  };
+
+  const handleApplyErratum = ({ question, answer, note }) => {
+    if (!selectedKey) {
+      return 'Pick a worksheet key first.';
+    }
+    const baseEntry = baseKeyLookup.get(selectedKey.id);
+    if (!baseEntry?.key.has(question)) {
+      return `Question ${question} is not in ${selectedKey.label}.`;
+    }
+    const normalized = normalizeErratumAnswer(question, answer);
+    if (!normalized) {
+      return 'Enter a letter (A-D), a grid-in value, or alternates like "B or D".';
+    }
+    const from = selectedKey.key.get(question);
+    if (normalized === from) {
+      return `Question ${question} is already ${from}.`;
+    }
+
+    const original = baseEntry.key.get(question);
+    const others = keyErrata.errata.filter(
+      (item) => !(item.keyId === selectedKey.id && item.question === question)
+    );
+    const errata =
+      normalized === original
+        ? others
+        : [
+            ...others,
+            {
+              id: `erratum-${Date.now()}`,
+              keyId: selectedKey.id,
+              question,
+              answer: normalized,
+              originalAnswer: original,
+              note: note.trim(),
+              createdAt: new Date().toISOString()
+            }
+          ];
+    commitKeyErrata(errata, { keyId: selectedKey.id, question, from, to: normalized, note: note.trim() });
+    return null;
+  };
+
+  const handleRevertErratum = (erratum) => {
+    commitKeyErrata(
+      keyErrata.errata.filter((item) => item.id !== erratum.id),
+      {
+        keyId: erratum.keyId,
+        question: erratum.question,
+        from: erratum.answer,
+        to: erratum.originalAnswer,
+        note: 'Reverted to key file'
+      }
+    );
+  };
+
+  // Editing answers regrades stored results like an erratum would, one
+  // changed question at a time. Returns null when the tutor cancels.
+  const handleSaveCustomKey = (draft, previous) => {
+    const stored = buildCustomKey(draft, previous);
+    const logged = previous
+      ? students.filter((student) =>
+          (student.worksheets ?? []).some((item) => item.worksheetId === stored.id)
+        ).length
+      : 0;
+    const keyMeta = applyKeyErrata([createCustomKeyEntry(stored)], keyErrata.errata)[0];
+    const diff =
+      logged > 0 && previous.raw !== stored.raw
+        ? diffKeyAnswers(applyKeyErrata([createCustomKeyEntry(previous)], keyErrata.errata)[0].key, keyMeta.key)
+        : null;
+    const reshaped = diff ? [...diff.added, ...diff.removed].sort((a, b) => a - b) : [];
+    if (
+      reshaped.length > 0 &&
+      !window.confirm(
+        `${logged} student${logged === 1 ? ' has' : 's have'} results for this key. Questions ${reshaped.join(', ')} were added or removed and their stored results are not regraded. Save anyway?`
+      )
+    ) {
+      return null;
+    }
+
+    prepareUndoSnapshot();
+    setCustomKeys((prev) =>
+      previous ? prev.map((item) => (item.id === previous.id ? stored : item)) : [...prev, stored]
+    );
+    if (diff?.changed.length > 0) {
+      const regraded = diff.changed.reduce(
+        (current, change) => regradeStudents(current, change, keyMeta).students,
+        students
+      );
+      setStudents(regraded.map((student) => ensureStudentShape(student)));
+    }
+    return stored;
+  };
+
+  const handleDeleteCustomKey = (stored) => {
+    const logged = students.filter((student) =>
+      (student.worksheets ?? []).some((item) => item.worksheetId === stored.id)
+    ).length;
+    const warning = logged > 0
+      ? ` ${logged} student${logged === 1 ? ' has' : 's have'} results for it; they stay stored but are hidden while the key is gone.`
+      : '';
+    if (!window.confirm(`Delete the custom key "${stored.title}"?${warning}`)) {
+      return;
+    }
+    prepareUndoSnapshot();
+    setCustomKeys((prev) => prev.filter((item) => item.id !== stored.id));
+    setKeyErrata((prev) => ({ ...prev, errata: prev.errata.filter((item) => item.keyId !== stored.id) }));
+    if (selectedKeyId === stored.id) {
+      setSelectedKeyId(KEY_BANK[0]?.id ?? '');
+    }
+  };
+
   const handleFile = async (file) => {
     if (!file) {
       return;
@@ -1006,23 +1468,8 @@ export default function App() {
     setFileName(file.name);
 
     try {
-      if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
-        const buffer = await file.arrayBuffer();
-        const pdf = await pdfjs.getDocument({ data: buffer, disableWorker: true }).promise;
-        let text = '';
-
-        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
-          const page = await pdf.getPage(pageNumber);
-          const content = await page.getTextContent();
-          const pageText = content.items.map((item) => item.str).join(' ');
-          text += `${pageText}\n`;
-        }
-
-        setStudentInput((prev) => (prev ? `${prev.trim()}\n${text.trim()}` : text.trim()));
-      } else {
-        const text = await file.text();
-        setStudentInput((prev) => (prev ? `${prev.trim()}\n${text.trim()}` : text.trim()));
-      }
+      const text = await readUploadText(file);
+      setStudentInput((prev) => (prev ? `${prev.trim()}\n${text.trim()}` : text.trim()));
     } catch (err) {
       setError(err.message || 'Unable to read file');
     } finally {
@@ -1047,6 +1494,8 @@ export default function App() {
     setError(null);
     setIsGrading(true);
     setCopyStatus('');
+    setBatchSummary(null);
+    setClassSummary(null);
 
     try {
       const parsedAnswers = parseStudentAnswers(studentInput);
@@ -1056,7 +1505,9 @@ export default function App() {
         skipMissing
       });
 
-      const savedEntry = persistWorksheetResult(gradeResult, parsedAnswers);
+      const savedEntry = persistWorksheetResult(gradeResult, parsedAnswers, {
+        submission: { text: studentInput, fileName }
+      });
       const derivedResult = savedEntry
         ? buildResultFromWorksheetRecord(savedEntry, selectedKey)
         : null;
@@ -1091,6 +1542,176 @@ export default function App() {
     }
   };
 
+  const handleGradeBatch = () => {
+    if (!selectedStudent) {
+      setError('Add or select a student to log results.');
+      return;
+    }
+
+    const { segments, unassigned } = splitByWorksheetHeaders(studentInput, keyBank);
+    if (segments.length === 0) {
+      setError('No worksheet headings found. Start each section with a heading like "Math 204 Lines".');
+      return;
+    }
+
+    setError(null);
+    setIsGrading(true);
+    setCopyStatus('');
+    setClassSummary(null);
+
+    try {
+      const gradedAt = new Date().toISOString();
+      const items = segments
+        .map((segment) => keyLookup.get(segment.keyId) && { segment, keyMeta: keyLookup.get(segment.keyId) })
+        .filter((item) => item && item.keyMeta.total > 0)
+        .map(({ segment, keyMeta }) => {
+          const parsedAnswers = parseStudentAnswers(segment.text);
+          const gradeResult = grade({
+            key: keyMeta.key,
+            studentAnswers: parsedAnswers,
+            skipMissing
+          });
+          // Each worksheet goes through the same record logic as a single upload
+          persistWorksheetResult(gradeResult, parsedAnswers, {
+            keyMeta,
+            submission: { text: segment.text, fileName }
+          });
+          return {
+            keyId: keyMeta.id,
+            label: keyMeta.label,
+            correct: gradeResult.correct,
+            denominator: gradeResult.denominator,
+            percent: gradeResult.percent,
+            incorrectCount: gradeResult.incorrectCount,
+            manualReviewCount: gradeResult.manualReviewCount,
+            report: formatReport({ ...gradeResult, keyName: keyMeta.label, skipMissing })
+          };
+        });
+
+      setBatchSummary({
+        items,
+        gradedAt,
+        unassignedCount: parseStudentAnswers(unassigned).pairs.length
+      });
+      if (items.length > 0) {
+        setSelectedKeyId(items[0].keyId);
+      }
+      setShowConfetti(true);
+      if (confettiTimerRef.current) {
+        window.clearTimeout(confettiTimerRef.current);
+      }
+      confettiTimerRef.current = window.setTimeout(() => {
+        setShowConfetti(false);
+      }, 1400);
+    } catch (err) {
+      setError(err.message || 'Grading failed');
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  const handleClassImport = async (file) => {
+    if (!file) {
+      return;
+    }
+    if (!selectedKey || selectedKey.total === 0) {
+      setError('Pick a worksheet key before importing a class file.');
+      return;
+    }
+
+    setError(null);
+    setIsGrading(true);
+    setCopyStatus('');
+    setBatchSummary(null);
+
+    try {
+      const sheet = readClassSheet(await file.text());
+      const studentsByName = new Map(
+        students.map((student) => [normalizeStudentName(student.name), student])
+      );
+      const createdStudents = [];
+      const matches = sheet.rows.map((row) => {
+        const nameKey = normalizeStudentName(row.name);
+        let student = studentsByName.get(nameKey);
+        const isNew = !student;
+        if (isNew) {
+          student = createStudent(row.name);
+          studentsByName.set(nameKey, student);
+          createdStudents.push(student);
+        }
+        return { row, student, isNew };
+      });
+
+      // New students must exist before their results are logged against them.
+      if (createdStudents.length > 0) {
+        setStudents((prev) => [...prev, ...createdStudents]);
+      }
+
+      const items = matches.map(({ row, student, isNew }) => {
+        const parsedAnswers = parseStudentAnswers(row.text);
+        const gradeResult = grade({
+          key: selectedKey.key,
+          studentAnswers: parsedAnswers,
+          skipMissing
+        });
+        persistWorksheetResult(gradeResult, parsedAnswers, {
+          studentId: student.id,
+          submission: { text: row.text, fileName: file.name }
+        });
+        return {
+          studentId: student.id,
+          name: student.name,
+          line: row.line,
+          isNew,
+          correct: gradeResult.correct,
+          denominator: gradeResult.denominator,
+          percent: gradeResult.percent,
+          incorrectCount: gradeResult.incorrectCount,
+          manualReviewCount: gradeResult.manualReviewCount
+        };
+      });
+
+      setClassSummary({
+        keyName: selectedKey.label,
+        fileName: file.name,
+        importedAt: new Date().toISOString(),
+        items,
+        skipped: sheet.skipped
+      });
+    } catch (err) {
+      setError(err.message || 'Class import failed');
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  const handleCopyClassSummary = async () => {
+    try {
+      await navigator.clipboard.writeText(formatClassSummary(classSummary));
+      setCopyStatus('Class table copied');
+      window.setTimeout(() => setCopyStatus(''), 1500);
+    } catch {
+      setCopyStatus('Clipboard blocked');
+      window.setTimeout(() => setCopyStatus(''), 1500);
+    }
+  };
+
+  const handleClassSummarySelect = (studentId) => {
+    setAutoSelectStudent(true);
+    setSelectedStudentId(studentId);
+  };
+
+  const handleCopyBatchSummary = async () => {
+    try {
+      await navigator.clipboard.writeText(formatBatchSummary(batchSummary));
+      setCopyStatus('Combined summary copied');
+      window.setTimeout(() => setCopyStatus(''), 1500);
+    } catch {
+      setCopyStatus('Clipboard blocked');
+      window.setTimeout(() => setCopyStatus(''), 1500);
+    }
+  };
+
   const handleCopyReport = async () => {
     if (!result || !currentWorksheetRecord) {
       return;
@@ -1109,7 +1730,9 @@ export default function App() {
           correct: latestHistory.correct,
           incorrect: latestHistory.incorrect ?? [],
           manualReview: latestHistory.manualReview ?? [],
-          denominator: latestHistory.attempted ?? latestHistory.total,
+          omitted: latestHistory.omitted ?? [],
+          resolved: latestHistory.resolved ?? [],
+          denominator: historyDenominator(latestHistory),
           total: latestHistory.total,
           percent: latestHistory.percent ?? (latestHistory.attempted > 0 ? (latestHistory.correct / latestHistory.attempted) * 100 : 0)
         };
@@ -1128,10 +1751,26 @@ export default function App() {
     }
   };
 
+  const handleResolveManual = (historyId, question, resolution) => {
+    if (!selectedKey || !currentWorksheetRecord) {
+      return;
+    }
+    prepareUndoSnapshot();
+    updateCurrentStudent((student) => ({
+      worksheets: (student.worksheets ?? []).map((worksheet) =>
+        worksheet.worksheetId === selectedKey.id
+          ? resolveManualReview(worksheet, historyId, question, resolution, selectedKey) ?? worksheet
+          : worksheet
+      )
+    }));
+  };
+
   const handleClear = () => {
     setStudentInput('');
     setFileName('');
     setResult(null);
+    setBatchSummary(null);
+    setClassSummary(null);
     setCopyStatus('');
     setError(null);
   };
@@ -1148,11 +1787,48 @@ export default function App() {
     event.preventDefault();
   };
 
+  if (showKeyAudit) {
+    return (
+      <KeyAudit
+        keys={baseKeyBank}
+        currentKeys={keyBank}
+        students={students}
+        onClose={() => setShowKeyAudit(false)}
+      />
+    );
+  }
+
+  if (showKeyBrowser) {
+    return (
+      <KeyBrowser
+        keys={keyBank}
+        customKeys={customKeys}
+        onSaveCustomKey={handleSaveCustomKey}
+        onDeleteCustomKey={handleDeleteCustomKey}
+        onClose={() => setShowKeyBrowser(false)}
+      />
+    );
+  }
+
+  if (showDistractors) {
+    return (
+      <DistractorReport
+        students={students}
+        keys={keyBank}
+        initialKeyId={selectedKeyId}
+        onClose={() => setShowDistractors(false)}
+      />
+    );
+  }
+
   if (showStudentAnalytics && selectedStudent) {
     return (
       <StudentAnalytics
         student={selectedStudent}
-        worksheetsMeta={KEY_BANK}
+        students={students}
+        worksheetsMeta={keyBank}
+        practiceKeys={practiceKeys}
+        onSavePracticeKey={handleSavePracticeKey}
         onClose={() => setShowStudentAnalytics(false)}
         onUpdate={updateCurrentStudent}
         onAddCustomPractice={handleAddCustomPractice}
@@ -1171,8 +1847,34 @@ export default function App() {
     <div className="min-h-screen bg-gradient-to-b from-sky-50 via-white to-rose-50 pb-10 text-slate-900">
       <Confetti show={showConfetti} />
       <header className="border-b border-white/70 bg-white/80 backdrop-blur">
-        <div className="mx-auto flex max-w-6xl items-center justify-between px-4 py-4">
+        <div className="mx-auto flex max-w-6xl flex-wrap items-center justify-between gap-3 px-4 py-4">
           <h1 className="text-2xl font-semibold text-slate-900">SAT Worksheet Autograder</h1>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={() => setShowKeyBrowser(true)}
+              className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-200"
+            >
+              <BookOpen className="size-4" aria-hidden />
+              Keys
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowDistractors(true)}
+              className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-200"
+            >
+              <Target className="size-4" aria-hidden />
+              Distractors
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowKeyAudit(true)}
+              className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-200"
+            >
+              <ShieldCheck className="size-4" aria-hidden />
+              Key audit
+            </button>
+          </div>
         </div>
       </header>
 
@@ -1258,33 +1960,46 @@ export default function App() {
                 ) : null}
               </div>
 
-              <label className="flex flex-col gap-2">
-                <span className="text-sm font-medium text-slate-600">Worksheet key</span>
-                <div className="relative">
-                  <motion.select
-                    value={selectedKeyId}
-                    onChange={(event) => setSelectedKeyId(event.target.value)}
-                    className="w-full appearance-none rounded-xl border border-slate-200 bg-white px-4 py-3 pr-12 text-sm text-slate-900 shadow-sm focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
-                    whileHover={{ scale: 1.01 }}
-                    whileFocus={{ scale: 1.01 }}
-                    aria-label="Select worksheet answer key"
-                  >
-                    {Array.from(KEY_GROUPS.entries()).map(([groupLabel, items]) => (
-                      <optgroup key={groupLabel} label={groupLabel}>
-                        {items.map((item) => (
-                          <option key={item.id} value={item.id}>
-                            {item.label} ({item.total} questions)
-                          </option>
-                        ))}
-                      </optgroup>
-                    ))}
-                  </motion.select>
-                  <FileText
-                    className="pointer-events-none absolute right-3 top-1/2 size-4 -translate-y-1/2 text-slate-400"
-                    aria-hidden
-                  />
-                </div>
-              </label>
+              <div className="flex flex-col gap-2">
+                <label className="flex flex-col gap-2">
+                  <span className="text-sm font-medium text-slate-600">Worksheet key</span>
+                  <div className="relative">
+                    <motion.select
+                      value={selectedKeyId}
+                      onChange={(event) => setSelectedKeyId(event.target.value)}
+                      className="w-full appearance-none rounded-xl border border-slate-200 bg-white px-4 py-3 pr-12 text-sm text-slate-900 shadow-sm focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+                      whileHover={{ scale: 1.01 }}
+                      whileFocus={{ scale: 1.01 }}
+                      aria-label="Select worksheet answer key"
+                    >
+                      {Array.from(keyGroups.entries()).map(([groupLabel, items]) => (
+                        <optgroup key={groupLabel} label={groupLabel}>
+                          {items.map((item) => (
+                            <option key={item.id} value={item.id}>
+                              {item.label} ({item.total} questions)
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </motion.select>
+                    <FileText
+                      className="pointer-events-none absolute right-3 top-1/2 size-4 -translate-y-1/2 text-slate-400"
+                      aria-hidden
+                    />
+                  </div>
+                </label>
+                <KeyMatchHint
+                  suggestion={keySuggestion}
+                  poorMatch={poorKeyMatch}
+                  onUse={setSelectedKeyId}
+                />
+                <KeyErrataPanel
+                  keyMeta={selectedKey}
+                  log={keyErrata.log}
+                  onApply={handleApplyErratum}
+                  onRevert={handleRevertErratum}
+                />
+              </div>
 
               <div className="flex items-end">
                 <motion.label
@@ -1294,7 +2009,7 @@ export default function App() {
                 >
                   <input
                     type="file"
-                    accept=".pdf,.txt"
+                    accept=".pdf,.txt,.docx,.rtf"
                     className="sr-only"
                     onChange={(event) => {
                       const file = event.target.files?.[0];
@@ -1305,7 +2020,7 @@ export default function App() {
                     }}
                   />
                   <Upload className="size-6 text-blue-500" aria-hidden />
-                  <span className="font-medium text-slate-900">Upload PDF or TXT</span>
+                  <span className="font-medium text-slate-900">Upload PDF, TXT, DOCX or RTF</span>
                   <span className="text-xs text-slate-500">Drag and drop, or click to browse.</span>
                   {fileName ? (
                     <p className="mt-2 text-xs text-slate-600" aria-live="polite">
@@ -1324,7 +2039,7 @@ export default function App() {
               <label className="flex w-full flex-col gap-2 p-4">
                 <span className="flex items-center justify-between text-sm font-medium text-slate-600">
                   Student answers
-                  <span className="text-xs text-slate-500">Supports patterns like 1) A | 27.)C | 32.c</span>
+                  <span className="text-xs text-slate-500">Supports patterns like 1) A | 27.)C | 5. 77/36 | 1-10: ABDC...</span>
                 </span>
                 <textarea
                   value={studentInput}
@@ -1337,6 +2052,8 @@ export default function App() {
               </label>
             </div>
 
+            <ParsePreview text={studentInput} parsed={parsePreview} />
+
             <div className="flex flex-wrap items-center justify-between gap-3">
               <label className="inline-flex items-center gap-2 text-sm text-slate-600">
                 <input
@@ -1347,6 +2064,15 @@ export default function App() {
                 />
                 Skip missing or illegible from denominator
               </label>
+              <label className="inline-flex items-center gap-2 text-sm text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={splitByHeadings}
+                  onChange={(event) => setSplitByHeadings(event.target.checked)}
+                  className="size-4 rounded border-slate-300 text-blue-600 focus:ring-blue-200"
+                />
+                Split by worksheet headings
+              </label>
               <div className="flex flex-wrap gap-3">
                 <motion.button
                   type="button"
@@ -1367,9 +2093,30 @@ export default function App() {
                 >
                   Undo
                 </motion.button>
+                <motion.label
+                  className="inline-flex cursor-pointer items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-slate-300 hover:text-slate-900 focus-within:outline focus-within:outline-2 focus-within:outline-offset-2 focus-within:outline-blue-200"
+                  whileHover={{ scale: 1.04, translateY: -2 }}
+                  whileTap={{ scale: 0.96 }}
+                  title="CSV or TSV with a name column and one column per question"
+                >
+                  <input
+                    type="file"
+                    accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                    className="sr-only"
+                    onChange={(event) => {
+                      const file = event.target.files?.[0];
+                      if (file) {
+                        void handleClassImport(file);
+                        event.target.value = '';
+                      }
+                    }}
+                  />
+                  <Users className="size-4" aria-hidden />
+                  Import class CSV
+                </motion.label>
                 <motion.button
                   type="button"
-                  onClick={handleGrade}
+                  onClick={splitByHeadings ? handleGradeBatch : handleGrade}
                   className="inline-flex items-center gap-2 rounded-full bg-blue-500 px-6 py-2 text-sm font-semibold text-white shadow-lg shadow-blue-200/60 transition focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-200 disabled:opacity-50"
                   whileHover={
                     isGrading || isLoadingFile ? undefined : { scale: 1.05, translateY: -3 }
@@ -1378,7 +2125,7 @@ export default function App() {
                   disabled={isGrading || isLoadingFile}
                 >
                   <CheckCircle2 className="size-4" aria-hidden />
-                  {isGrading ? 'Grading...' : 'Grade worksheet'}
+                  {isGrading ? 'Grading...' : splitByHeadings ? 'Grade all worksheets' : 'Grade worksheet'}
                 </motion.button>
                 <motion.button
                   type="button"
@@ -1391,6 +2138,18 @@ export default function App() {
                   <ClipboardCopy className="size-4" aria-hidden />
                   Copy summary
                 </motion.button>
+                {batchSummary ? (
+                  <motion.button
+                    type="button"
+                    onClick={handleCopyBatchSummary}
+                    className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-200"
+                    whileHover={{ scale: 1.04, translateY: -2 }}
+                    whileTap={{ scale: 0.96 }}
+                  >
+                    <ClipboardCopy className="size-4" aria-hidden />
+                    Copy combined summary
+                  </motion.button>
+                ) : null}
               </div>
             </div>
 
@@ -1437,8 +2196,14 @@ export default function App() {
           </motion.section>
 
           <div className="md:sticky md:top-4">
+            <ClassSummaryCard
+              summary={classSummary}
+              onSelect={handleClassSummarySelect}
+              onCopy={handleCopyClassSummary}
+            />
+            <BatchSummaryCard summary={batchSummary} onSelect={setSelectedKeyId} />
             <AnimatePresence mode="wait">
-              {result ? <ResultCard key={result.keyId + skipMissing} result={result} /> : null}
+              {result ? <ResultCard key={result.keyId + skipMissing} result={result} onResolve={handleResolveManual} /> : null}
             </AnimatePresence>
           </div>
         </div>
@@ -0,0 +1,161 @@
+import { useMemo, useState } from 'react';
+import { Upload } from 'lucide-react';
+import { CUSTOM_KEY_SUBJECTS, createCustomKeyEntry, validateCustomKey } from './customKeys.js';
+import { AUDIT_ISSUE_LABELS, auditKey } from './keyAudit.js';
+import { readUploadText } from './uploadText.js';
+
+const INPUT_CLASSES =
+  'rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100';
+
+function emptyDraft(stored) {
+  return {
+    subject: stored?.subject ?? 'math',
+    number: stored ? String(stored.number) : '',
+    title: stored?.title ?? '',
+    raw: stored?.raw ?? ''
+  };
+}
+
+// stored is the custom key being edited, or null for a new one.
+export function CustomKeyForm({ stored, keys, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => emptyDraft(stored));
+  const [message, setMessage] = useState('');
+  const [isReading, setIsReading] = useState(false);
+
+  const preview = useMemo(() => {
+    const entry = createCustomKeyEntry({
+      id: stored?.id ?? 'preview',
+      subject: draft.subject,
+      number: draft.number || '0',
+      title: draft.title || 'Untitled',
+      raw: draft.raw
+    });
+    return { entry, issues: auditKey(entry).issues };
+  }, [draft, stored]);
+
+  const update = (field) => (event) => setDraft((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleFile = async (file) => {
+    if (!file) {
+      return;
+    }
+    setIsReading(true);
+    setMessage('');
+    try {
+      const text = await readUploadText(file);
+      setDraft((prev) => ({ ...prev, raw: text.trim() }));
+    } catch (err) {
+      setMessage(err.message || 'Unable to read file');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const error = validateCustomKey(draft, keys, stored?.id ?? null);
+    if (error) {
+      setMessage(error);
+      return;
+    }
+    onSave(draft, stored);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-4 rounded-3xl border border-blue-100 bg-white p-5 shadow-lg shadow-sky-100"
+    >
+      <p className="text-sm font-semibold text-slate-800">{stored ? `Edit ${stored.title}` : 'Add a key'}</p>
+      <div className="flex flex-wrap items-end gap-3 text-xs text-slate-600">
+        <label className="flex flex-col gap-1">
+          <span>Subject</span>
+          <select value={draft.subject} onChange={update('subject')} className={INPUT_CLASSES}>
+            {CUSTOM_KEY_SUBJECTS.map((subject) => (
+              <option key={subject} value={subject}>
+                {subject.charAt(0).toUpperCase() + subject.slice(1)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span>Number</span>
+          <input type="number" min="1" max="999" value={draft.number} onChange={update('number')} className={`w-24 ${INPUT_CLASSES}`} />
+        </label>
+        <label className="flex min-w-[12rem] flex-1 flex-col gap-1">
+          <span>Title</span>
+          <input type="text" value={draft.title} onChange={update('title')} placeholder="Homework 3: Circles" className={INPUT_CLASSES} />
+        </label>
+        <label className="inline-flex cursor-pointer items-center gap-2 rounded-full border border-slate-200 px-3 py-1.5 font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600">
+          <Upload className="size-4" aria-hidden />
+          {isReading ? 'Reading…' : 'Upload TXT/PDF'}
+          <input
+            type="file"
+            accept=".txt,.pdf,.docx,.rtf,text/plain,application/pdf"
+            className="hidden"
+            onChange={(event) => {
+              handleFile(event.target.files?.[0]);
+              event.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <textarea
+          value={draft.raw}
+          onChange={update('raw')}
+          rows={14}
+          placeholder={'1. B\n2. D\n3. 2/3, .6666\n4. A or C'}
+          className={`w-full font-mono ${INPUT_CLASSES}`}
+        />
+        <div className="rounded-2xl bg-slate-50 p-3 text-xs text-slate-600">
+          <p className="font-semibold text-slate-700">
+            {preview.entry.total > 0
+              ? `${preview.entry.label} · ${preview.entry.total} questions`
+              : 'Parsed answers appear here'}
+          </p>
+          {preview.issues.length > 0 ? (
+            <ul className="mt-2 space-y-1 text-amber-700">
+              {preview.issues.map((issue, index) => (
+                <li key={`${issue.type}-${index}`}>
+                  {AUDIT_ISSUE_LABELS[issue.type]}: {issue.message}
+                </li>
+              ))}
+            </ul>
+          ) : null}
+          <div className="mt-2 columns-3 gap-x-4 font-mono text-sm">
+            {Array.from(preview.entry.key.entries()).map(([question, answer]) => (
+              <div key={question} className="mb-0.5 flex break-inside-avoid gap-2">
+                <span className="font-medium text-slate-500">{question}.</span>
+                <span className="text-slate-800">{answer}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {stored ? (
+        <p className="text-xs text-slate-400">
+          Saving changed answers does not regrade stored results; use Key errata on the grading page for that.
+        </p>
+      ) : null}
+      {message ? <p className="text-xs text-rose-600">{message}</p> : null}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="rounded-full bg-blue-500 px-4 py-2 text-sm font-semibold text-white transition hover:bg-blue-600"
+        >
+          {stored ? 'Save key' : 'Add key'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="rounded-full border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-slate-300"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,189 @@
+import { useMemo, useState } from 'react';
+import { ClipboardCopy, Target, X } from 'lucide-react';
+import { analyzeDistractors, formatDistractorReport, listGradedWorksheets } from './distractors.js';
+import { indexKeys } from './keyBank.js';
+
+function share(count, total) {
+  return total > 0 ? (count / total) * 100 : 0;
+}
+
+function ResponseBar({ row }) {
+  const segments = [
+    { key: 'correct', count: row.correct, className: 'bg-emerald-400', label: `${row.correctAnswer} (key)` },
+    ...row.wrong.map((item) => ({
+      key: item.answer,
+      count: item.count,
+      className: row.dominant?.answer === item.answer ? 'bg-rose-500' : 'bg-rose-200',
+      label: item.answer
+    })),
+    { key: 'skipped', count: row.skipped, className: 'bg-slate-300', label: 'Skipped' }
+  ].filter((segment) => segment.count > 0);
+
+  return (
+    <div className="flex h-3 w-full overflow-hidden rounded-full bg-slate-100">
+      {segments.map((segment) => (
+        <span
+          key={segment.key}
+          title={`${segment.label}: ${segment.count}`}
+          className={segment.className}
+          style={{ width: `${share(segment.count, row.responses)}%` }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export function DistractorReport({ students, keys, initialKeyId, onClose }) {
+  const keyLookup = useMemo(() => indexKeys(keys), [keys]);
+  const worksheets = useMemo(() => listGradedWorksheets(students, keyLookup), [students, keyLookup]);
+  const [worksheetId, setWorksheetId] = useState(() =>
+    worksheets.some((item) => item.id === initialKeyId) ? initialKeyId : worksheets[0]?.id ?? ''
+  );
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const keyMeta = keyLookup.get(worksheetId);
+  const report = useMemo(
+    () => (keyMeta ? analyzeDistractors(students, keyMeta) : null),
+    [students, keyMeta]
+  );
+  const rows = report ? (flaggedOnly ? report.flagged : report.questions.filter((row) => row.responses > 0)) : [];
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(formatDistractorReport(report));
+      setCopyStatus('Report copied');
+    } catch {
+      setCopyStatus('Clipboard blocked');
+    }
+    window.setTimeout(() => setCopyStatus(''), 1500);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sky-50 via-white to-rose-50 pb-16 text-slate-900">
+      <header className="border-b border-white/70 bg-white/80 backdrop-blur">
+        <div className="mx-auto flex max-w-6xl flex-wrap items-center justify-between gap-4 px-4 py-4">
+          <div className="flex items-center gap-3">
+            <Target className="size-10 text-blue-500" aria-hidden />
+            <div>
+              <h1 className="text-2xl font-semibold text-slate-900">Distractor analysis</h1>
+              <p className="text-sm text-slate-500">
+                {report
+                  ? `${report.students} students · ${report.uploads} uploads · ${report.flagged.length} questions to reteach`
+                  : 'Answer choices across every student and upload'}
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-slate-300 hover:text-slate-900 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-200"
+          >
+            <X className="size-4" aria-hidden />
+            Back to grading
+          </button>
+        </div>
+      </header>
+
+      <main className="mx-auto mt-6 max-w-6xl space-y-6 px-4">
+        {worksheets.length === 0 ? (
+          <p className="rounded-3xl border border-dashed border-slate-200 bg-white/60 p-5 text-sm text-slate-500">
+            No graded worksheets yet.
+          </p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="flex flex-wrap items-center gap-4">
+                <select
+                  value={worksheetId}
+                  onChange={(event) => setWorksheetId(event.target.value)}
+                  className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+                >
+                  {worksheets.map((item) => (
+                    <option key={item.id} value={item.id}>
+                      {item.label} ({item.uploads} {item.uploads === 1 ? 'upload' : 'uploads'})
+                    </option>
+                  ))}
+                </select>
+                <label className="inline-flex items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={flaggedOnly}
+                    onChange={(event) => setFlaggedOnly(event.target.checked)}
+                    className="size-4 rounded border-slate-300 text-blue-600 focus:ring-blue-200"
+                  />
+                  Only questions to reteach
+                </label>
+              </div>
+              <div className="flex items-center gap-3">
+                {copyStatus ? <span className="text-xs text-blue-600">{copyStatus}</span> : null}
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  disabled={!report}
+                  className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600"
+                >
+                  <ClipboardCopy className="size-4" aria-hidden />
+                  Copy reteach list
+                </button>
+              </div>
+            </div>
+
+            <section className="rounded-3xl border border-white/80 bg-white p-5 shadow-lg shadow-sky-100">
+              {rows.length === 0 ? (
+                <p className="text-sm text-slate-500">
+                  {flaggedOnly
+                    ? 'No single wrong answer dominates any question yet.'
+                    : 'No answers logged for this worksheet yet.'}
+                </p>
+              ) : (
+                <table className="w-full text-left text-xs text-slate-600">
+                  <thead className="text-[11px] uppercase tracking-wide text-slate-400">
+                    <tr>
+                      <th className="py-2 pr-3 font-semibold">Q</th>
+                      <th className="py-2 pr-3 font-semibold">Key</th>
+                      <th className="py-2 pr-3 font-semibold">Correct</th>
+                      <th className="w-1/3 py-2 pr-3 font-semibold">Responses</th>
+                      <th className="py-2 font-semibold">Wrong answers</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row) => (
+                      <tr
+                        key={row.question}
+                        className={`border-t border-slate-100 ${row.dominant ? 'bg-rose-50/70' : ''}`}
+                      >
+                        <td className="py-2 pr-3 font-semibold text-slate-700">{row.question}</td>
+                        <td className="py-2 pr-3">{row.correctAnswer}</td>
+                        <td className="py-2 pr-3">
+                          {row.correct}/{row.responses} ({share(row.correct, row.responses).toFixed(0)}%)
+                        </td>
+                        <td className="py-2 pr-3">
+                          <ResponseBar row={row} />
+                        </td>
+                        <td className="py-2">
+                          {row.wrong.length === 0
+                            ? '—'
+                            : row.wrong.map((item) => `${item.answer} ×${item.count}`).join(' · ')}
+                          {row.dominant ? (
+                            <span className="block font-semibold text-rose-600">
+                              {row.dominant.answer} is {Math.round(row.dominant.share * 100)}% of misses
+                              {row.dominant.rivalsKey ? ', chosen as often as the key' : ''}
+                            </span>
+                          ) : null}
+                          {row.skipped > 0 ? (
+                            <span className="block text-slate-400">{row.skipped} skipped</span>
+                          ) : null}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { BAND_MAX } from './domainBreakdown.js';
+import { SAT_DOMAINS } from './studentMetadata.js';
+
+export const DOMAIN_SHORT_LABELS = {
+  'information-and-ideas': 'Info & Ideas',
+  'craft-and-structure': 'Craft',
+  'expression-of-ideas': 'Expression',
+  'standard-english-conventions': 'Conventions',
+  algebra: 'Algebra',
+  'advanced-math': 'Adv. Math',
+  'problem-solving-data-analysis': 'Data',
+  'geometry-trigonometry': 'Geo/Trig'
+};
+
+const BANDS = Array.from({ length: BAND_MAX }, (_, index) => index + 1);
+
+// bands is the entry's domainBands; onChange gets the next object.
+export function DomainBandsEditor({ bands, onChange }) {
+  const update = (domainId, value) => {
+    const next = { ...(bands ?? {}) };
+    if (value) {
+      next[domainId] = Number.parseInt(value, 10);
+    } else {
+      delete next[domainId];
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="mt-2">
+      <p className="text-[10px] uppercase text-slate-500">Domain bands (1-{BAND_MAX})</p>
+      <div className="mt-1 grid grid-cols-2 gap-x-3 gap-y-1 sm:grid-cols-4">
+        {SAT_DOMAINS.map((domain) => (
+          <label key={domain.id} className="flex items-center justify-between gap-1" title={domain.label}>
+            <span className={domain.section === 'math' ? 'text-rose-600' : 'text-blue-600'}>
+              {DOMAIN_SHORT_LABELS[domain.id]}
+            </span>
+            <select
+              value={bands?.[domain.id] ?? ''}
+              onChange={(event) => update(domain.id, event.target.value)}
+              className="rounded border border-slate-200 px-1 py-0.5 text-xs text-slate-600"
+            >
+              <option value="">—</option>
+              {BANDS.map((band) => (
+                <option key={band} value={band}>
+                  {band}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export function DomainBandsSummary({ bands }) {
+  const filled = SAT_DOMAINS.filter((domain) => Number.isInteger(bands?.[domain.id]));
+  if (filled.length === 0) {
+    return null;
+  }
+  return (
+    <p className="flex flex-wrap gap-x-2 text-[11px] text-slate-500">
+      {filled.map((domain) => (
+        <span key={domain.id} title={`${domain.label}: band ${bands[domain.id]} of ${BAND_MAX}`}>
+          {DOMAIN_SHORT_LABELS[domain.id]}{' '}
+          <span className={`font-semibold ${domain.section === 'math' ? 'text-rose-600' : 'text-blue-600'}`}>
+            {bands[domain.id]}
+          </span>
+        </span>
+      ))}
+    </p>
+  );
+}
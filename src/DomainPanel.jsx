@@ -0,0 +1,89 @@
+import { useMemo } from 'react';
+import { buildDomainBreakdown, BAND_MAX } from './domainBreakdown.js';
+import { indexKeys } from './keyBank.js';
+import { TrendBadge } from './SkillsPanel.jsx';
+
+function BandChange({ change }) {
+  if (change === null || change === 0) {
+    return null;
+  }
+  return (
+    <span className={change > 0 ? 'text-emerald-600' : 'text-rose-600'}>
+      {' '}
+      ({change > 0 ? `+${change}` : change})
+    </span>
+  );
+}
+
+export function DomainPanel({ student, worksheetsMeta }) {
+  const domains = useMemo(
+    () => buildDomainBreakdown(student, indexKeys(worksheetsMeta)),
+    [student, worksheetsMeta]
+  );
+  const hasData = domains.some((domain) => domain.worksheets || domain.tests.length > 0);
+
+  return (
+    <section className="rounded-3xl border border-white/80 bg-white p-5 shadow-lg shadow-sky-100">
+      <div className="flex items-baseline justify-between gap-3">
+        <h3 className="text-sm font-semibold text-slate-800">Domains</h3>
+        <p className="text-[11px] text-slate-400">Worksheet accuracy vs test bands</p>
+      </div>
+      {!hasData ? (
+        <p className="mt-3 rounded-2xl border border-dashed border-slate-200 px-3 py-4 text-xs text-slate-400">
+          No domain data yet. Add bands to a practice or official test, or grade worksheets whose keys have skill
+          tags.
+        </p>
+      ) : (
+        <table className="mt-3 w-full text-left text-xs text-slate-600">
+          <thead className="text-[10px] uppercase tracking-wide text-slate-400">
+            <tr>
+              <th className="py-1 pr-2 font-semibold">Domain</th>
+              <th className="py-1 pr-2 font-semibold">Worksheets</th>
+              <th className="py-1 pr-2 font-semibold">Trend</th>
+              <th className="py-1 font-semibold">Test band</th>
+            </tr>
+          </thead>
+          <tbody>
+            {domains.map((domain) => (
+              <tr key={domain.id} className="border-t border-slate-100">
+                <td
+                  className={`py-1.5 pr-2 font-medium ${
+                    domain.section === 'math' ? 'text-rose-600' : 'text-blue-600'
+                  }`}
+                >
+                  {domain.label}
+                </td>
+                <td className="py-1.5 pr-2">
+                  {domain.worksheets ? (
+                    <span title={`${domain.worksheets.correct}/${domain.worksheets.graded} correct`}>
+                      {domain.worksheets.accuracy.toFixed(0)}%
+                    </span>
+                  ) : (
+                    <span className="text-slate-300">—</span>
+                  )}
+                </td>
+                <td className="py-1.5 pr-2">
+                  <TrendBadge trend={domain.worksheets?.trend ?? null} />
+                </td>
+                <td
+                  className="py-1.5"
+                  title={domain.tests.map((test) => `${test.label} ${test.date}: ${test.band}`).join('\n')}
+                >
+                  {domain.latestBand !== null ? (
+                    <>
+                      <span className="font-semibold text-slate-800">{domain.latestBand}</span>
+                      <span className="text-slate-400">/{BAND_MAX}</span>
+                      <BandChange change={domain.bandChange} />
+                    </>
+                  ) : (
+                    <span className="text-slate-300">—</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
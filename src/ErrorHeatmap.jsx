@@ -0,0 +1,97 @@
+import { useMemo, useState } from 'react';
+import { buildClassErrorHeatmap, buildErrorHeatmap } from './errorHeatmap.js';
+
+const LEGEND = [
+  { label: 'Not graded', className: 'bg-slate-100 text-slate-400' },
+  { label: 'Never missed', className: 'bg-emerald-100 text-emerald-700' },
+  { label: 'Under 1/3', className: 'bg-amber-100 text-amber-700' },
+  { label: 'Under 2/3', className: 'bg-orange-300 text-orange-900' },
+  { label: '2/3 or more', className: 'bg-rose-500 text-white' }
+];
+
+function cellClass(rate) {
+  if (rate === null) {
+    return LEGEND[0].className;
+  }
+  if (rate === 0) {
+    return LEGEND[1].className;
+  }
+  if (rate < 1 / 3) {
+    return LEGEND[2].className;
+  }
+  if (rate < 2 / 3) {
+    return LEGEND[3].className;
+  }
+  return LEGEND[4].className;
+}
+
+function cellTitle(cell, scope) {
+  if (cell.attempts === 0) {
+    return `Question ${cell.question}: not graded yet`;
+  }
+  const base = `Question ${cell.question}: missed ${cell.misses} of ${cell.attempts}`;
+  return scope === 'class' ? `${base} (${cell.students} ${cell.students === 1 ? 'student' : 'students'})` : base;
+}
+
+export function ErrorHeatmap({ record, worksheetId, total, students }) {
+  const [scope, setScope] = useState('student');
+  const classAvailable = (students ?? []).length > 1;
+  const cells = useMemo(
+    () =>
+      scope === 'class' && classAvailable
+        ? buildClassErrorHeatmap(students, worksheetId, total)
+        : buildErrorHeatmap(record, total),
+    [scope, classAvailable, students, worksheetId, total, record]
+  );
+
+  if (total === 0) {
+    return null;
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-100 bg-white/90 p-3 text-xs text-slate-600">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="font-semibold text-slate-700">Miss heatmap</p>
+        {classAvailable ? (
+          <div className="inline-flex rounded-full border border-slate-200 p-0.5 text-[11px]">
+            {[
+              ['student', 'This student'],
+              ['class', 'All students']
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setScope(value)}
+                aria-pressed={scope === value}
+                className={`rounded-full px-2 py-0.5 font-medium transition ${
+                  scope === value ? 'bg-blue-500 text-white' : 'text-slate-500 hover:text-slate-800'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        ) : null}
+      </div>
+      <div className="mt-2 grid grid-cols-10 gap-1">
+        {cells.map((cell) => (
+          <span
+            key={cell.question}
+            title={cellTitle(cell, scope)}
+            className={`flex h-6 items-center justify-center rounded text-[10px] font-semibold ${cellClass(cell.rate)}`}
+          >
+            {cell.question}
+          </span>
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-[10px] text-slate-500">
+        {LEGEND.map((item) => (
+          <span key={item.label} className="inline-flex items-center gap-1">
+            <span className={`inline-block size-2.5 rounded-sm ${item.className}`} />
+            {item.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
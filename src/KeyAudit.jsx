@@ -0,0 +1,147 @@
+import { useMemo, useState } from 'react';
+import { ClipboardCopy, ShieldCheck, X } from 'lucide-react';
+import { AUDIT_ISSUE_LABELS, auditKeyBank, formatAuditReport } from './keyAudit.js';
+import { KeySuspects } from './KeySuspects.jsx';
+
+const ISSUE_CLASSES = {
+  dropped: 'bg-amber-100 text-amber-700',
+  duplicate: 'bg-rose-100 text-rose-700',
+  gap: 'bg-orange-100 text-orange-700',
+  choice: 'bg-rose-100 text-rose-700',
+  total: 'bg-violet-100 text-violet-700',
+  highlight: 'bg-sky-100 text-sky-700',
+  metadata: 'bg-slate-100 text-slate-700'
+};
+
+// keys are the key files as bundled; currentKeys have errata applied and are
+// what stored results were graded against.
+export function KeyAudit({ keys, currentKeys = keys, students = [], onClose }) {
+  const audit = useMemo(() => auditKeyBank(keys), [keys]);
+  const [showClean, setShowClean] = useState(false);
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const flaggedCount = audit.keys.filter((item) => item.issues.length > 0).length;
+  const visibleKeys = showClean ? audit.keys : audit.keys.filter((item) => item.issues.length > 0);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(formatAuditReport(audit));
+      setCopyStatus('Report copied');
+    } catch {
+      setCopyStatus('Clipboard blocked');
+    }
+    window.setTimeout(() => setCopyStatus(''), 1500);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sky-50 via-white to-rose-50 pb-16 text-slate-900">
+      <header className="border-b border-white/70 bg-white/80 backdrop-blur">
+        <div className="mx-auto flex max-w-6xl flex-wrap items-center justify-between gap-4 px-4 py-4">
+          <div className="flex items-center gap-3">
+            <ShieldCheck className="size-10 text-blue-500" aria-hidden />
+            <div>
+              <h1 className="text-2xl font-semibold text-slate-900">Answer key audit</h1>
+              <p className="text-sm text-slate-500">
+                {audit.keys.length} keys checked · {flaggedCount} with issues
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-slate-300 hover:text-slate-900 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-200"
+          >
+            <X className="size-4" aria-hidden />
+            Back to grading
+          </button>
+        </div>
+      </header>
+
+      <main className="mx-auto mt-6 max-w-6xl space-y-6 px-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <label className="inline-flex items-center gap-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={showClean}
+              onChange={(event) => setShowClean(event.target.checked)}
+              className="size-4 rounded border-slate-300 text-blue-600 focus:ring-blue-200"
+            />
+            Show keys without issues
+          </label>
+          <div className="flex items-center gap-3">
+            {copyStatus ? <span className="text-xs text-blue-600">{copyStatus}</span> : null}
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600"
+            >
+              <ClipboardCopy className="size-4" aria-hidden />
+              Copy report
+            </button>
+          </div>
+        </div>
+
+        <KeySuspects students={students} keys={currentKeys} />
+
+        {audit.unmatchedHighlights.length > 0 ? (
+          <section className="rounded-3xl border border-amber-200 bg-amber-50 p-5 text-sm text-amber-800">
+            <p className="font-semibold">Content Worksheets Light entries without a key file</p>
+            <ul className="mt-2 space-y-1 text-xs">
+              {audit.unmatchedHighlights.map((highlight) => (
+                <li key={highlight.text}>{highlight.text}</li>
+              ))}
+            </ul>
+          </section>
+        ) : null}
+
+        {visibleKeys.length === 0 ? (
+          <p className="rounded-3xl border border-emerald-200 bg-emerald-50 p-5 text-sm text-emerald-700">
+            No issues found in any answer key.
+          </p>
+        ) : (
+          <div className="grid gap-4 md:grid-cols-2">
+            {visibleKeys.map((item) => (
+              <section
+                key={item.keyId}
+                className="rounded-3xl border border-white/80 bg-white p-5 shadow-lg shadow-sky-100"
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <div>
+                    <p className="text-sm font-semibold text-slate-800">{item.label}</p>
+                    <p className="text-xs text-slate-400">
+                      {item.keyId}.txt · {item.total} questions
+                      {item.highlight ? ` · highlights: ${item.highlight.spec}` : ''}
+                    </p>
+                  </div>
+                  <span
+                    className={`rounded-full px-2 py-0.5 text-xs font-semibold ${
+                      item.issues.length > 0 ? 'bg-rose-100 text-rose-700' : 'bg-emerald-100 text-emerald-700'
+                    }`}
+                  >
+                    {item.issues.length > 0
+                      ? `${item.issues.length} issue${item.issues.length === 1 ? '' : 's'}`
+                      : 'OK'}
+                  </span>
+                </div>
+                {item.issues.length > 0 ? (
+                  <ul className="mt-3 space-y-2 text-xs text-slate-600">
+                    {item.issues.map((issue, index) => (
+                      <li key={`${issue.type}-${index}`} className="flex items-start gap-2">
+                        <span
+                          className={`shrink-0 rounded-full px-2 py-0.5 font-medium ${ISSUE_CLASSES[issue.type]}`}
+                        >
+                          {AUDIT_ISSUE_LABELS[issue.type]}
+                        </span>
+                        <span>{issue.message}</span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : null}
+              </section>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+import { useMemo, useState } from 'react';
+import { BookOpen, ChevronDown, ChevronUp, Pencil, Plus, Trash2, X } from 'lucide-react';
+import { CustomKeyForm } from './CustomKeyForm.jsx';
+import { filterKeys, groupKeysByPriority, isHighlightedQuestion } from './keyBrowser.js';
+import { matchWorksheetHighlights } from './keyAudit.js';
+
+// Search results this small open without a click.
+const AUTO_OPEN_LIMIT = 3;
+
+function KeyCard({ entry, highlight, open, onToggle, onEdit, onDelete }) {
+  return (
+    <section className="rounded-2xl border border-white/80 bg-white p-4 shadow-lg shadow-sky-100">
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-expanded={open}
+        className="flex w-full items-start justify-between gap-3 text-left"
+      >
+        <span>
+          <span className="block text-sm font-semibold text-slate-800">
+            {entry.label}
+            {entry.custom ? (
+              <span className="ml-2 rounded-full bg-blue-100 px-2 py-0.5 text-[10px] font-medium text-blue-700">
+                Custom
+              </span>
+            ) : null}
+          </span>
+          <span className="block text-xs text-slate-400">
+            {entry.total} questions
+            {highlight ? ` · Light: ${highlight.spec}` : ''}
+            {entry.errata?.length ? ` · ${entry.errata.length} errata` : ''}
+          </span>
+        </span>
+        {open ? (
+          <ChevronUp className="size-4 shrink-0 text-slate-400" aria-hidden />
+        ) : (
+          <ChevronDown className="size-4 shrink-0 text-slate-400" aria-hidden />
+        )}
+      </button>
+      {entry.custom ? (
+        <div className="mt-2 flex gap-3 text-xs">
+          <button
+            type="button"
+            onClick={onEdit}
+            className="inline-flex items-center gap-1 font-medium text-blue-600 hover:text-blue-800"
+          >
+            <Pencil className="size-3.5" aria-hidden />
+            Edit
+          </button>
+          <button
+            type="button"
+            onClick={onDelete}
+            className="inline-flex items-center gap-1 font-medium text-rose-600 hover:text-rose-800"
+          >
+            <Trash2 className="size-3.5" aria-hidden />
+            Delete
+          </button>
+        </div>
+      ) : null}
+      {open ? (
+        <div className="mt-3 columns-2 gap-x-4 font-mono text-sm sm:columns-3">
+          {Array.from(entry.key.entries()).map(([question, answer]) => (
+            <div
+              key={question}
+              className={`mb-0.5 flex break-inside-avoid gap-2 rounded px-1 ${
+                isHighlightedQuestion(highlight, question) ? 'bg-amber-100' : ''
+              }`}
+            >
+              <span className="font-medium text-slate-500">{question}.</span>
+              <span className="text-slate-800">{answer}</span>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </section>
+  );
+}
+
+export function KeyBrowser({ keys, customKeys = [], onSaveCustomKey, onDeleteCustomKey, onClose }) {
+  const [query, setQuery] = useState('');
+  // null when closed, 'new' for a new key, or the stored custom key being edited.
+  const [editing, setEditing] = useState(null);
+  const [expanded, setExpanded] = useState(() => new Set());
+  const highlights = useMemo(() => matchWorksheetHighlights(keys).byKey, [keys]);
+  const visible = useMemo(() => filterKeys(keys, query), [keys, query]);
+  const groups = useMemo(() => groupKeysByPriority(visible), [visible]);
+  const autoOpen = query.trim() !== '' && visible.length <= AUTO_OPEN_LIMIT;
+
+  const toggle = (id) => {
+    setExpanded((previous) => {
+      const next = new Set(previous);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const storedKey = (id) => customKeys.find((item) => item.id === id) ?? null;
+
+  const handleSave = (draft, previous) => {
+    const saved = onSaveCustomKey(draft, previous);
+    if (!saved) {
+      return;
+    }
+    setEditing(null);
+    setExpanded((current) => new Set(current).add(saved.id));
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sky-50 via-white to-rose-50 pb-16 text-slate-900">
+      <header className="border-b border-white/70 bg-white/80 backdrop-blur">
+        <div className="mx-auto flex max-w-6xl flex-wrap items-center justify-between gap-4 px-4 py-4">
+          <div className="flex items-center gap-3">
+            <BookOpen className="size-10 text-blue-500" aria-hidden />
+            <div>
+              <h1 className="text-2xl font-semibold text-slate-900">Answer keys</h1>
+              <p className="text-sm text-slate-500">
+                {keys.length} keys · <span className="rounded bg-amber-100 px-1">highlighted</span> questions are
+                the Content Worksheets Light ranges
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-slate-300 hover:text-slate-900 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-200"
+          >
+            <X className="size-4" aria-hidden />
+            Back to grading
+          </button>
+        </div>
+      </header>
+
+      <main className="mx-auto mt-6 max-w-6xl space-y-6 px-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="search"
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            placeholder="Search by number or title, e.g. 204"
+            autoFocus
+            className="w-full max-w-sm rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+          />
+          <button
+            type="button"
+            onClick={() =>
+              setExpanded(expanded.size > 0 ? new Set() : new Set(visible.map((entry) => entry.id)))
+            }
+            className="rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600"
+          >
+            {expanded.size > 0 ? 'Collapse all' : 'Expand all'}
+          </button>
+          {onSaveCustomKey ? (
+            <button
+              type="button"
+              onClick={() => setEditing(editing ? null : 'new')}
+              className="inline-flex items-center gap-2 rounded-full bg-blue-500 px-4 py-2 text-sm font-semibold text-white transition hover:bg-blue-600"
+            >
+              <Plus className="size-4" aria-hidden />
+              Add key
+            </button>
+          ) : null}
+        </div>
+
+        {editing ? (
+          <CustomKeyForm
+            key={editing === 'new' ? 'new' : editing.id}
+            stored={editing === 'new' ? null : editing}
+            keys={keys}
+            onSave={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        ) : null}
+
+        {groups.length === 0 ? (
+          <p className="rounded-3xl border border-dashed border-slate-200 bg-white/60 p-5 text-sm text-slate-500">
+            No keys match “{query}”.
+          </p>
+        ) : null}
+
+        {groups.map((group) => (
+          <section key={group.subject} className="space-y-4">
+            <h2 className="text-lg font-semibold text-slate-800">{group.subjectLabel}</h2>
+            {group.priorities.map((bucket) => (
+              <div key={bucket.priority} className="space-y-3">
+                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">{bucket.label}</p>
+                <div className="grid items-start gap-4 md:grid-cols-2 lg:grid-cols-3">
+                  {bucket.entries.map((entry) => (
+                    <KeyCard
+                      key={entry.id}
+                      entry={entry}
+                      highlight={highlights.get(entry.id) ?? null}
+                      open={autoOpen || expanded.has(entry.id)}
+                      onToggle={() => toggle(entry.id)}
+                      onEdit={() => setEditing(storedKey(entry.id))}
+                      onDelete={() => {
+                        const stored = storedKey(entry.id);
+                        if (stored) {
+                          onDeleteCustomKey?.(stored);
+                        }
+                      }}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </section>
+        ))}
+      </main>
+    </div>
+  );
+}
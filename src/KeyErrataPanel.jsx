@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { Undo2 } from 'lucide-react';
+
+const FRACTION_FORMATTER = new Intl.NumberFormat(undefined, {
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 1
+});
+
+const DATE_FORMATTER = new Intl.DateTimeFormat(undefined, {
+  month: 'short',
+  day: 'numeric'
+});
+
+const LOG_PREVIEW_LIMIT = 5;
+
+function formatScore(score) {
+  return `${score.correct}/${score.denominator} (${FRACTION_FORMATTER.format(score.percent)}%)`;
+}
+
+export function KeyErrataPanel({ keyMeta, log, onApply, onRevert }) {
+  const [question, setQuestion] = useState('');
+  const [answer, setAnswer] = useState('');
+  const [note, setNote] = useState('');
+  const [message, setMessage] = useState('');
+
+  if (!keyMeta) {
+    return null;
+  }
+
+  const errata = keyMeta.errata ?? [];
+  const keyLog = (log ?? []).filter((item) => item.keyId === keyMeta.id).slice(0, LOG_PREVIEW_LIMIT);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const questionNumber = Number.parseInt(question, 10);
+    if (!Number.isInteger(questionNumber) || questionNumber < 1) {
+      setMessage('Enter a question number.');
+      return;
+    }
+    const error = onApply({ question: questionNumber, answer, note });
+    if (error) {
+      setMessage(error);
+      return;
+    }
+    setQuestion('');
+    setAnswer('');
+    setNote('');
+    setMessage('Key updated and stored results regraded.');
+  };
+
+  return (
+    <details className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-xs text-slate-600">
+      <summary className="cursor-pointer font-medium text-slate-700">
+        Key errata{errata.length > 0 ? ` (${errata.length} active)` : ''}
+      </summary>
+
+      <form onSubmit={handleSubmit} className="mt-3 flex flex-wrap items-end gap-2">
+        <label className="flex flex-col gap-1">
+          <span>Question</span>
+          <input
+            type="number"
+            min="1"
+            value={question}
+            onChange={(event) => setQuestion(event.target.value)}
+            className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span>Correct answer</span>
+          <input
+            type="text"
+            value={answer}
+            onChange={(event) => setAnswer(event.target.value)}
+            placeholder="D or 2/3"
+            className="w-28 rounded-lg border border-slate-200 px-2 py-1 text-sm focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+          />
+        </label>
+        <label className="flex min-w-[8rem] flex-1 flex-col gap-1">
+          <span>Note</span>
+          <input
+            type="text"
+            value={note}
+            onChange={(event) => setNote(event.target.value)}
+            placeholder="Why the key was wrong"
+            className="rounded-lg border border-slate-200 px-2 py-1 text-sm focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+          />
+        </label>
+        <button
+          type="submit"
+          className="rounded-full bg-blue-500 px-3 py-1.5 text-xs font-semibold text-white transition hover:bg-blue-600"
+        >
+          Apply
+        </button>
+      </form>
+      {message ? <p className="mt-2 text-slate-500">{message}</p> : null}
+
+      {errata.length > 0 ? (
+        <ul className="mt-3 space-y-1">
+          {errata.map((erratum) => (
+            <li key={erratum.id} className="flex items-center justify-between gap-2">
+              <span>
+                Q{erratum.question}: <span className="line-through">{erratum.originalAnswer}</span> →{' '}
+                <span className="font-semibold text-slate-800">{erratum.answer}</span>
+                {erratum.note ? <span className="text-slate-400"> · {erratum.note}</span> : null}
+              </span>
+              <button
+                type="button"
+                onClick={() => onRevert(erratum)}
+                className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-2 py-0.5 hover:border-rose-300 hover:text-rose-600"
+              >
+                <Undo2 className="size-3" aria-hidden />
+                Revert
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
+      {keyLog.length > 0 ? (
+        <div className="mt-3 border-t border-slate-100 pt-2">
+          <p className="font-medium text-slate-700">Change log</p>
+          <ul className="mt-1 space-y-2">
+            {keyLog.map((entry) => (
+              <li key={entry.id}>
+                <p>
+                  {DATE_FORMATTER.format(new Date(entry.recordedAt))} · Q{entry.question} {entry.from} →{' '}
+                  {entry.to}
+                  {entry.note ? ` · ${entry.note}` : ''}
+                </p>
+                {entry.changes.length > 0 ? (
+                  <ul className="ml-3 text-slate-500">
+                    {entry.changes.map((change) => (
+                      <li key={change.studentId}>
+                        {change.name}: {formatScore(change.before)} → {formatScore(change.after)}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="ml-3 text-slate-400">No stored scores moved.</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+    </details>
+  );
+}
@@ -0,0 +1,80 @@
+import { useMemo, useState } from 'react';
+import { findSuspectKeyAnswers } from './keySuspects.js';
+
+// Lines shown around the suspect key line.
+const CONTEXT_LINES = 2;
+
+function KeyFileExcerpt({ raw, line }) {
+  const lines = String(raw ?? '').split(/\r?\n/);
+  const start = Math.max(1, line - CONTEXT_LINES);
+  const end = Math.min(lines.length, line + CONTEXT_LINES);
+  const excerpt = [];
+  for (let number = start; number <= end; number += 1) {
+    excerpt.push(
+      <span
+        key={number}
+        className={`block px-2 ${number === line ? 'bg-amber-100 font-semibold text-amber-900' : 'text-slate-500'}`}
+      >
+        <span className="inline-block w-8 select-none text-right text-slate-400">{number}</span> {lines[number - 1]}
+      </span>
+    );
+  }
+  return <pre className="mt-2 overflow-x-auto rounded-lg bg-slate-50 py-1 font-mono text-[11px]">{excerpt}</pre>;
+}
+
+export function KeySuspects({ students, keys }) {
+  const suspects = useMemo(() => findSuspectKeyAnswers(students, keys), [students, keys]);
+  const [openId, setOpenId] = useState(null);
+  const keyLookup = useMemo(() => new Map(keys.map((entry) => [entry.id, entry])), [keys]);
+
+  return (
+    <section className="rounded-3xl border border-white/80 bg-white p-5 shadow-lg shadow-sky-100">
+      <p className="text-sm font-semibold text-slate-800">Suspect key answers</p>
+      <p className="text-xs text-slate-400">
+        Questions that students scoring 80%+ on the rest of the worksheet miss with the same answer.
+      </p>
+      {suspects.length === 0 ? (
+        <p className="mt-3 text-xs text-slate-500">No suspect answers in the stored results.</p>
+      ) : (
+        <ul className="mt-3 space-y-3 text-xs text-slate-600">
+          {suspects.map((suspect) => {
+            const id = `${suspect.keyId}-${suspect.question}`;
+            return (
+              <li key={id} className="rounded-2xl border border-amber-200 bg-amber-50/60 p-3">
+                <p className="font-semibold text-slate-800">
+                  {suspect.label} · Q{suspect.question}: key says {suspect.keyAnswer}, strong students say{' '}
+                  {suspect.suggestedAnswer}
+                </p>
+                <p className="mt-1">
+                  {suspect.agreeing} of {suspect.strongAnswered} strong students answered{' '}
+                  {suspect.suggestedAnswer}; {suspect.strongCorrect} matched the key.{' '}
+                  <span className="text-slate-500">
+                    (
+                    {suspect.students
+                      .map((student) => `${student.name} ${Math.round(student.accuracy * 100)}%`)
+                      .join(', ')}
+                    )
+                  </span>
+                </p>
+                {suspect.line ? (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => setOpenId(openId === id ? null : id)}
+                      className="mt-1 font-mono text-blue-600 underline-offset-2 hover:underline"
+                    >
+                      src/keys/{suspect.keyId}.txt:{suspect.line}
+                    </button>
+                    {openId === id ? (
+                      <KeyFileExcerpt raw={keyLookup.get(suspect.keyId)?.raw} line={suspect.line} />
+                    ) : null}
+                  </>
+                ) : null}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
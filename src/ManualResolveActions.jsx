@@ -0,0 +1,52 @@
+export const RESOLUTION_LABELS = {
+  correct: 'counted correct',
+  incorrect: 'marked wrong',
+  voided: 'voided'
+};
+
+const BUTTON_CLASSES =
+  'rounded-full border border-slate-200 bg-white px-2 py-0.5 text-[11px] font-medium text-slate-600 transition';
+
+// item is a manual-review entry ({ question, answers, reasons }); onResolve
+// gets { action: 'accept', answer } | { action: 'wrong' } | { action: 'void' }.
+// Without a key answer there is nothing to grade against, so only Void shows.
+export function ManualResolveActions({ item, keyAnswer, onResolve }) {
+  const answers = Array.from(new Set((item.answers ?? []).filter(Boolean)));
+  return (
+    <span className="mt-1 flex flex-wrap gap-1">
+      {keyAnswer
+        ? answers.map((answer) => (
+            <button
+              key={answer}
+              type="button"
+              onClick={() => onResolve({ action: 'accept', answer })}
+              className={`${BUTTON_CLASSES} hover:border-emerald-200 hover:text-emerald-700`}
+            >
+              Count as {answer}
+            </button>
+          ))
+        : null}
+      {keyAnswer ? (
+        <button
+          type="button"
+          onClick={() => onResolve({ action: 'wrong' })}
+          className={`${BUTTON_CLASSES} hover:border-rose-200 hover:text-rose-600`}
+        >
+          Wrong
+        </button>
+      ) : null}
+      <button
+        type="button"
+        onClick={() => onResolve({ action: 'void' })}
+        className={`${BUTTON_CLASSES} hover:border-slate-300 hover:text-slate-900`}
+      >
+        Void
+      </button>
+    </span>
+  );
+}
+
+export function formatResolution(item) {
+  const label = RESOLUTION_LABELS[item.status] ?? item.status;
+  return item.status === 'voided' ? label : `${label} (${item.answer || '—'})`;
+}
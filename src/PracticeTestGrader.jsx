@@ -0,0 +1,276 @@
+import { useState } from 'react';
+import { Upload } from 'lucide-react';
+import { parseKeyText } from './grader.js';
+import { formatQuestionRanges } from './keyAudit.js';
+import {
+  PRACTICE_MODULES,
+  gradePracticeTest,
+  parseScaleTable,
+  splitByModule,
+  summarizeSections,
+  validatePracticeKey
+} from './practiceTests.js';
+import { readUploadText } from './uploadText.js';
+
+const SECTION_CLASSES = {
+  readingWriting: 'text-blue-600',
+  math: 'text-rose-600'
+};
+
+const ROUTING_LABELS = {
+  upper: 'harder module 2',
+  lower: 'easier module 2'
+};
+
+export function ModuleBreakdown({ moduleResults }) {
+  const sections = summarizeSections(moduleResults);
+  if (sections.length === 0) {
+    return null;
+  }
+  return (
+    <div className="space-y-1 text-xs text-slate-600">
+      {sections.map((section) => (
+        <div key={section.id}>
+          <p>
+            <span className={`font-semibold ${SECTION_CLASSES[section.id]}`}>{section.label}</span>{' '}
+            {section.correct}/{section.total} raw
+            {moduleResults.scores?.[section.id] ? (
+              <>
+                {' → '}
+                <span className="font-semibold text-slate-800">{moduleResults.scores[section.id].scaled}</span>
+                {moduleResults.scores[section.id].routing
+                  ? ` (${ROUTING_LABELS[moduleResults.scores[section.id].routing]})`
+                  : ''}
+              </>
+            ) : null}
+            <span className="text-slate-400">
+              {' · '}
+              {section.modules.map((module) => `${module.label.replace(/^\S+ /, '')} ${module.correct}/${module.total}`).join(' · ')}
+            </span>
+          </p>
+          {section.modules.map((module) => {
+            const missed = [
+              ...module.incorrect.map((item) => item.question),
+              ...module.missing,
+              ...module.omitted
+            ];
+            const review = module.manualReview.map((item) => item.question);
+            if (missed.length === 0 && review.length === 0) {
+              return null;
+            }
+            return (
+              <p key={module.id} className="pl-2 text-[11px] text-slate-500">
+                {module.label}: {missed.length > 0 ? `missed ${formatQuestionRanges(missed)}` : ''}
+                {missed.length > 0 && review.length > 0 ? '; ' : ''}
+                {review.length > 0 ? (
+                  <span className="text-amber-600">review {formatQuestionRanges(review)}</span>
+                ) : null}
+              </p>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function PracticeTestGrader({ practiceKey, onSave, onCancel }) {
+  const [text, setText] = useState('');
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const handleFile = async (file) => {
+    if (!file) {
+      return;
+    }
+    try {
+      setText((await readUploadText(file)).trim());
+      setResults(null);
+      setMessage('');
+    } catch (err) {
+      setMessage(err.message || 'Unable to read file');
+    }
+  };
+
+  const handleGrade = () => {
+    const graded = gradePracticeTest(practiceKey, text);
+    const answered = graded.modules.some((module) => module.missing.length < module.total);
+    setResults(answered ? graded : null);
+    setMessage(
+      answered
+        ? ''
+        : 'No answers matched a module. Put a heading like "RW M1" above each module or prefix answers like "M1-12 C".'
+    );
+  };
+
+  return (
+    <div className="mt-2 space-y-2 rounded-xl border border-blue-100 bg-white p-3">
+      <textarea
+        value={text}
+        onChange={(event) => {
+          setText(event.target.value);
+          setResults(null);
+        }}
+        rows={6}
+        placeholder={'RW M1\n1. B\n2. D\n...\nMath M2\n1. 3/4\n\nor M1-12 C, M3-5 B'}
+        className="w-full rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs text-slate-700 focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={handleGrade}
+          disabled={!text.trim()}
+          className="rounded-full bg-blue-500 px-3 py-1 text-xs font-semibold text-white transition hover:bg-blue-600 disabled:cursor-not-allowed disabled:bg-slate-300"
+        >
+          Grade
+        </button>
+        <label className="inline-flex cursor-pointer items-center gap-1 rounded-full border border-slate-200 px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600">
+          <Upload className="size-3.5" aria-hidden />
+          Upload
+          <input
+            type="file"
+            accept=".txt,.pdf,.docx,.rtf,text/plain,application/pdf"
+            className="hidden"
+            onChange={(event) => {
+              handleFile(event.target.files?.[0]);
+              event.target.value = '';
+            }}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-xs font-medium text-slate-500 hover:text-slate-800"
+        >
+          Cancel
+        </button>
+      </div>
+      {message ? <p className="text-xs text-rose-600">{message}</p> : null}
+      {results ? (
+        <div className="space-y-2 border-t border-slate-100 pt-2">
+          <ModuleBreakdown moduleResults={results} />
+          <p className="text-[11px] text-slate-500">
+            {results.scores?.composite
+              ? `Saving fills in ${results.scores.composite} overall and the section scores.`
+              : results.scores
+                ? 'Saving fills in the section score the conversion table covers.'
+                : 'No conversion table for this test; enter the scaled scores by hand.'}
+          </p>
+          {results.unassigned > 0 ? (
+            <p className="text-[11px] text-amber-600">
+              {results.unassigned} answer{results.unassigned === 1 ? '' : 's'} had no module and {results.unassigned === 1 ? 'was' : 'were'} skipped.
+            </p>
+          ) : null}
+          <button
+            type="button"
+            onClick={() => onSave(results)}
+            className="rounded-full bg-emerald-500 px-3 py-1 text-xs font-semibold text-white transition hover:bg-emerald-600"
+          >
+            Save results
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Adds or replaces the module-organized answer key for one Bluebook test,
+// with an optional conversion table in the sidecar JSON format.
+// onSave gets { testId, raw, scale }.
+export function PracticeKeyForm({ testId, practiceKey, onSave, onCancel }) {
+  const [raw, setRaw] = useState(practiceKey?.raw ?? '');
+  const [tableText, setTableText] = useState(
+    practiceKey?.scale ? JSON.stringify(practiceKey.scale, null, 2) : ''
+  );
+  const [message, setMessage] = useState('');
+
+  const { modules } = splitByModule(raw);
+  const counts = PRACTICE_MODULES.map((module) => ({
+    ...module,
+    count: parseKeyText(modules.get(module.id)).size
+  }));
+
+  const handleFile = async (file) => {
+    if (!file) {
+      return;
+    }
+    try {
+      setRaw((await readUploadText(file)).trim());
+      setMessage('');
+    } catch (err) {
+      setMessage(err.message || 'Unable to read file');
+    }
+  };
+
+  const handleSave = () => {
+    const { scale, error: tableError } = parseScaleTable(tableText);
+    const error = validatePracticeKey(raw) ?? tableError;
+    if (error) {
+      setMessage(error);
+      return;
+    }
+    onSave({ testId, raw, scale });
+  };
+
+  return (
+    <div className="mt-2 space-y-2 rounded-xl border border-blue-100 bg-white p-3">
+      <textarea
+        value={raw}
+        onChange={(event) => {
+          setRaw(event.target.value);
+          setMessage('');
+        }}
+        rows={6}
+        placeholder={'RW M1\n1. B\n2. D\n...\nMath M1\n1. 3/4\n...'}
+        className="w-full rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs text-slate-700 focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+      />
+      <p className="text-[11px] text-slate-500">
+        {counts.map((module) => `${module.label} ${module.count}`).join(' · ')}
+      </p>
+      <label className="flex flex-col gap-1">
+        <span className="text-[10px] uppercase text-slate-500">Conversion table (optional)</span>
+        <textarea
+          value={tableText}
+          onChange={(event) => {
+            setTableText(event.target.value);
+            setMessage('');
+          }}
+          rows={4}
+          placeholder={'{ "math": { "scaled": [200, 200, 210, ...] },\n  "readingWriting": { "routingThreshold": 16, "lower": [...], "upper": [...] } }'}
+          className="w-full rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs text-slate-700 focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100"
+        />
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!raw.trim()}
+          className="rounded-full bg-blue-500 px-3 py-1 text-xs font-semibold text-white transition hover:bg-blue-600 disabled:cursor-not-allowed disabled:bg-slate-300"
+        >
+          Save key
+        </button>
+        <label className="inline-flex cursor-pointer items-center gap-1 rounded-full border border-slate-200 px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600">
+          <Upload className="size-3.5" aria-hidden />
+          Upload
+          <input
+            type="file"
+            accept=".txt,.pdf,.docx,.rtf,text/plain,application/pdf"
+            className="hidden"
+            onChange={(event) => {
+              handleFile(event.target.files?.[0]);
+              event.target.value = '';
+            }}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-xs font-medium text-slate-500 hover:text-slate-800"
+        >
+          Cancel
+        </button>
+      </div>
+      {message ? <p className="text-xs text-rose-600">{message}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { FileUp } from 'lucide-react';
+import { applyScoreReport, diffScoreReport, matchReportTarget, parseScoreReport } from './scoreReport.js';
+import { readUploadText } from './uploadText.js';
+
+const NEW_ENTRY = 'new';
+
+function targetOptions(student) {
+  return [
+    ...(student.practiceTests ?? []).map((test) => ({
+      value: `practiceTests:${test.id}`,
+      label: test.label
+    })),
+    ...(student.customPracticeTests ?? []).map((test) => ({
+      value: `customPracticeTests:${test.id}`,
+      label: test.label
+    })),
+    { value: `customPracticeTests:${NEW_ENTRY}`, label: 'New custom practice test' },
+    ...(student.realTests ?? []).map((test) => ({
+      value: `realTests:${test.id}`,
+      label: `Official SAT ${test.date || '(no date)'}`
+    })),
+    { value: `realTests:${NEW_ENTRY}`, label: 'New official SAT' }
+  ];
+}
+
+function encodeTarget(target) {
+  return `${target.list}:${target.id ?? NEW_ENTRY}`;
+}
+
+function decodeTarget(value) {
+  const [list, id] = value.split(':');
+  return { list, id: id === NEW_ENTRY ? null : id };
+}
+
+export function ScoreReportImport({ student, onUpdate }) {
+  const [pending, setPending] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const handleFile = async (file) => {
+    if (!file) {
+      return;
+    }
+    setMessage('');
+    try {
+      const report = parseScoreReport(await readUploadText(file));
+      if (report.composite === null && report.readingWriting === null && report.math === null) {
+        setPending(null);
+        setMessage(`No scores found in ${file.name}.`);
+        return;
+      }
+      setPending({ report, fileName: file.name, target: encodeTarget(matchReportTarget(student, report)) });
+    } catch (err) {
+      setMessage(err.message || 'Unable to read file');
+    }
+  };
+
+  const target = pending ? decodeTarget(pending.target) : null;
+  const entry = target?.id ? (student[target.list] ?? []).find((item) => item.id === target.id) : null;
+  const changes = pending ? diffScoreReport(entry, pending.report) : [];
+
+  const handleSave = () => {
+    onUpdate((current) => applyScoreReport(current, pending.report, target));
+    setPending(null);
+  };
+
+  return (
+    <>
+      <label className="inline-flex cursor-pointer items-center gap-2 rounded-full border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-slate-300 hover:text-slate-900">
+        <FileUp className="size-3.5" aria-hidden />
+        Import report
+        <input
+          type="file"
+          accept=".pdf,.txt,application/pdf,text/plain"
+          className="hidden"
+          onChange={(event) => {
+            handleFile(event.target.files?.[0]);
+            event.target.value = '';
+          }}
+        />
+      </label>
+      {message ? <p className="basis-full text-xs text-rose-600">{message}</p> : null}
+      {pending ? (
+        <div className="basis-full space-y-2 rounded-xl border border-blue-100 bg-blue-50/50 p-3 text-xs text-slate-600">
+          <p className="font-semibold text-slate-800">Import {pending.fileName}</p>
+          <label className="flex flex-wrap items-center gap-2">
+            <span>Save to</span>
+            <select
+              value={pending.target}
+              onChange={(event) => setPending({ ...pending, target: event.target.value })}
+              className="rounded-lg border border-slate-200 px-2 py-1 text-xs text-slate-600"
+            >
+              {targetOptions(student).map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {changes.length === 0 ? (
+            <p className="text-slate-500">Nothing new in this report for that entry.</p>
+          ) : (
+            <table className="w-full text-left">
+              <tbody>
+                {changes.map((change) => (
+                  <tr key={change.id} className="border-t border-blue-100">
+                    <td className="py-1 pr-2 font-medium text-slate-700">{change.label}</td>
+                    <td className="py-1 pr-2 text-slate-400 line-through">{change.before === '' ? '—' : change.before}</td>
+                    <td className="py-1 font-semibold text-slate-900">{change.after}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={changes.length === 0}
+              className="rounded-full bg-blue-500 px-3 py-1 font-semibold text-white transition hover:bg-blue-600 disabled:cursor-not-allowed disabled:bg-slate-300"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setPending(null)}
+              className="font-medium text-slate-500 hover:text-slate-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </>
+  );
+}
@@ -0,0 +1,89 @@
+import { useMemo } from 'react';
+import { Minus, TrendingDown, TrendingUp } from 'lucide-react';
+import { summarizeSkills } from './skillAnalytics.js';
+import { indexKeys } from './keyBank.js';
+
+// Trend changes smaller than this many points read as flat.
+const FLAT_TREND = 5;
+
+function barClass(accuracy) {
+  if (accuracy >= 90) {
+    return 'bg-emerald-400';
+  }
+  if (accuracy >= 70) {
+    return 'bg-amber-400';
+  }
+  return 'bg-rose-400';
+}
+
+export function TrendBadge({ trend }) {
+  if (trend === null) {
+    return <span className="text-slate-300">—</span>;
+  }
+  const rounded = Math.round(trend);
+  if (Math.abs(trend) < FLAT_TREND) {
+    return (
+      <span className="inline-flex items-center gap-1 text-slate-400" title="Recent uploads vs earlier ones">
+        <Minus className="size-3" aria-hidden />
+        {rounded > 0 ? `+${rounded}` : rounded}
+      </span>
+    );
+  }
+  const Icon = trend > 0 ? TrendingUp : TrendingDown;
+  return (
+    <span
+      className={`inline-flex items-center gap-1 ${trend > 0 ? 'text-emerald-600' : 'text-rose-600'}`}
+      title="Recent uploads vs earlier ones"
+    >
+      <Icon className="size-3" aria-hidden />
+      {trend > 0 ? `+${rounded}` : rounded}
+    </span>
+  );
+}
+
+export function SkillsPanel({ student, worksheetsMeta }) {
+  const skills = useMemo(
+    () => summarizeSkills(student.worksheets, indexKeys(worksheetsMeta)),
+    [student.worksheets, worksheetsMeta]
+  );
+
+  return (
+    <section className="rounded-3xl border border-white/80 bg-white p-5 shadow-lg shadow-sky-100">
+      <div className="flex items-baseline justify-between gap-3">
+        <h3 className="text-sm font-semibold text-slate-800">Skills</h3>
+        <p className="text-[11px] text-slate-400">Weakest first · from tagged key questions</p>
+      </div>
+      {skills.length === 0 ? (
+        <p className="mt-3 rounded-2xl border border-dashed border-slate-200 px-3 py-4 text-xs text-slate-400">
+          No tagged questions graded yet. Skills come from the <code>tags</code> in each key&apos;s
+          metadata header.
+        </p>
+      ) : (
+        <ul className="mt-3 space-y-2 text-xs text-slate-600">
+          {skills.map((skill) => (
+            <li key={skill.id} className="rounded-2xl bg-slate-50 px-3 py-2">
+              <div className="flex items-baseline justify-between gap-3">
+                <p>
+                  <span className="font-semibold text-slate-700">{skill.label}</span>
+                  {skill.domainLabel ? <span className="text-slate-400"> · {skill.domainLabel}</span> : null}
+                </p>
+                <TrendBadge trend={skill.trend} />
+              </div>
+              <div className="mt-1.5 h-1.5 overflow-hidden rounded-full bg-slate-200">
+                <div
+                  className={`h-full rounded-full ${barClass(skill.accuracy)}`}
+                  style={{ width: `${skill.accuracy}%` }}
+                />
+              </div>
+              <p className="mt-1 text-slate-500">
+                {skill.correct}/{skill.graded} correct ({skill.accuracy.toFixed(0)}%) · {skill.attempts}{' '}
+                {skill.attempts === 1 ? 'attempt' : 'attempts'} over {skill.uploads}{' '}
+                {skill.uploads === 1 ? 'upload' : 'uploads'}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
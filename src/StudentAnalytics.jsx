@@ -7,9 +7,20 @@ import {
   Pencil,
   Check,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  RotateCcw
 } from 'lucide-react';
-import { PRIORITY_LEVELS, WORKSHEET_PRIORITY, COURSE_GUIDELINES } from './studentMetadata.js';
+import { PARSER_VERSION } from './grader.js';
+import { regradeFromSubmission, resolveManualReview } from './worksheetRecords.js';
+import { SkillsPanel } from './SkillsPanel.jsx';
+import { ErrorHeatmap } from './ErrorHeatmap.jsx';
+import { ModuleBreakdown, PracticeKeyForm, PracticeTestGrader } from './PracticeTestGrader.jsx';
+import { applyPracticeResults } from './practiceTests.js';
+import { ScoreReportImport } from './ScoreReportImport.jsx';
+import { DomainBandsEditor, DomainBandsSummary } from './DomainBands.jsx';
+import { DomainPanel } from './DomainPanel.jsx';
+import { ManualResolveActions, formatResolution } from './ManualResolveActions.jsx';
+import { PRIORITY_LEVELS, COURSE_GUIDELINES } from './studentMetadata.js';
 
 const DATE_FORMATTER = new Intl.DateTimeFormat(undefined, {
   year: 'numeric',
@@ -166,8 +177,9 @@ function TopicChecklist({ student, worksheetsMeta, onUpdate }) {
     };
     
     worksheetsMeta.forEach(item => {
-      const priority = WORKSHEET_PRIORITY[item.id] || 'low';
-      const subject = item.id.startsWith('english') ? 'english' : 'math';
+      // Priority comes from the key's metadata header or sidecar
+      const priority = item.priority ?? 'low';
+      const subject = item.subjectToken === 'english' ? 'english' : 'math';
       groups[subject][priority].push(item);
     });
     
@@ -261,9 +273,67 @@ function TopicChecklist({ student, worksheetsMeta, onUpdate }) {
   );
 }
 
-function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
+const OUTCOME_LABELS = {
+  correct: 'correct',
+  incorrect: 'wrong',
+  manual: 'manual review',
+  omitted: 'skipped',
+  missing: 'not answered'
+};
+
+function formatOutcome({ status, answer }) {
+  const label = OUTCOME_LABELS[status] ?? status;
+  return answer ? `${label} (${answer})` : label;
+}
+
+function formatRegradeScore(score) {
+  return `${score.correct}/${score.denominator} (${score.percent.toFixed(0)}%)`;
+}
+
+function RegradePreview({ outcome, onSave, onDiscard }) {
+  const { before, after, changes } = outcome;
+  return (
+    <div className="mt-2 space-y-2 border-t border-slate-100 pt-2">
+      <p className="font-medium text-slate-700">
+        {formatRegradeScore(before)} → {formatRegradeScore(after)}
+      </p>
+      {changes.length > 0 ? (
+        <ul className="space-y-0.5">
+          {changes.map((change) => (
+            <li key={change.question}>
+              Question {change.question}: {formatOutcome(change.before)} → {formatOutcome(change.after)}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>No differences with the current parser and key.</p>
+      )}
+      <div className="flex gap-2">
+        {changes.length > 0 ? (
+          <button
+            type="button"
+            onClick={onSave}
+            className="rounded-full bg-blue-500 px-3 py-1 font-semibold text-white transition hover:bg-blue-600"
+          >
+            Save re-grade
+          </button>
+        ) : null}
+        <button
+          type="button"
+          onClick={onDiscard}
+          className="rounded-full border border-slate-200 px-3 py-1 font-medium text-slate-600 transition hover:border-slate-300"
+        >
+          {changes.length > 0 ? 'Discard' : 'Close'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function WorksheetsColumn({ student, students, worksheetsMeta, onUpdate }) {
   const [lastDeletedHistory, setLastDeletedHistory] = useState(null);
   const [collapsedCards, setCollapsedCards] = useState({});
+  const [regradePreview, setRegradePreview] = useState(null);
 
   const worksheetMap = useMemo(() => {
     const assigned = new Map();
@@ -308,8 +378,8 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
         .filter((item) => worksheetMap.has(item.id))
         .map((item) => {
           const record = worksheetMap.get(item.id);
-          const subject = item.id.startsWith('math') ? 'math' : 'english';
-          const priority = WORKSHEET_PRIORITY[item.id] ?? 'other';
+          const subject = item.subjectToken === 'math' ? 'math' : 'english';
+          const priority = item.priority ?? 'other';
           const latestHistoryTimestamp =
             Array.isArray(record?.history) && record.history.length > 0
               ? toTimestamp(record.history[0].recordedAt)
@@ -410,6 +480,38 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
     });
   };
 
+  const handlePreviewRegrade = (record, meta, historyId) => {
+    const outcome = regradeFromSubmission(record, historyId, meta);
+    setRegradePreview(outcome ? { worksheetId: record.worksheetId, historyId, outcome } : null);
+  };
+
+  const handleSaveRegrade = (meta) => {
+    if (!regradePreview) {
+      return;
+    }
+    const { worksheetId, historyId } = regradePreview;
+    onUpdate((draft) => ({
+      worksheets: (draft.worksheets ?? []).map((worksheet) => {
+        if (worksheet.worksheetId !== worksheetId) {
+          return worksheet;
+        }
+        // Re-run against the latest record in case it changed since the preview
+        return regradeFromSubmission(worksheet, historyId, meta)?.record ?? worksheet;
+      })
+    }));
+    setRegradePreview(null);
+  };
+
+  const handleResolveManual = (meta, worksheetId, historyId, question, resolution) => {
+    onUpdate((draft) => ({
+      worksheets: (draft.worksheets ?? []).map((worksheet) =>
+        worksheet.worksheetId === worksheetId
+          ? resolveManualReview(worksheet, historyId, question, resolution, meta) ?? worksheet
+          : worksheet
+      )
+    }));
+  };
+
   const toggleWorksheetCollapsed = (cardId) => {
     if (!cardId) {
       return;
@@ -556,7 +658,11 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
                   ...entry,
                   incorrect: Array.isArray(entry.incorrect) ? entry.incorrect : [],
                   manualReview: Array.isArray(entry.manualReview) ? entry.manualReview : [],
-                  missing: Array.isArray(entry.missing) ? entry.missing : []
+                  missing: Array.isArray(entry.missing) ? entry.missing : [],
+                  omitted: Array.isArray(entry.omitted) ? entry.omitted : [],
+                  guessed: Array.isArray(entry.guessed) ? entry.guessed : [],
+                  voided: Array.isArray(entry.voided) ? entry.voided : [],
+                  resolved: Array.isArray(entry.resolved) ? entry.resolved : []
                 }))
                 .sort((a, b) => {
                   const aDate = a.recordedAt ?? '';
@@ -641,6 +747,12 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
                   </div>
                   {!isCollapsed ? (
                     <div className="mt-4 space-y-4">
+                      <ErrorHeatmap
+                        record={record}
+                        worksheetId={record.worksheetId}
+                        total={totalQuestions}
+                        students={students}
+                      />
                       {historyList.length > 0 ? (
                         <div className="rounded-2xl border border-slate-100 bg-slate-50 p-3">
                           <p className="text-[11px] font-semibold uppercase tracking-wide text-slate-500">
@@ -656,6 +768,19 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
                                   ? ((entry.correct / entry.attempted) * 100).toFixed(0)
                                   : '0';
                             const reviewedChecked = Boolean(entry.reviewed);
+                            // Guess markers split misses into guesses vs. confident errors
+                            const missedQuestions = new Set(
+                              entry.incorrect.map((item) => item.question)
+                            );
+                            const luckyGuesses = entry.guessed.filter(
+                              (question) => !missedQuestions.has(question)
+                            );
+                            const missedGuesses = entry.guessed.filter((question) =>
+                              missedQuestions.has(question)
+                            );
+                            const confidentMisses = entry.incorrect.filter(
+                              (item) => !entry.guessed.includes(item.question)
+                            ).length;
                             return (
                               <li key={entry.id} className="space-y-2 relative">
                                 <button
@@ -672,7 +797,7 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
                                       {entryDate}
                                     </p>
                                     <p className="mt-1 text-slate-500">
-                                      {entry.correct}/{entry.attempted || 0} ({entryPercent}%)
+                                      {entry.correct}/{(entry.attempted || 0) - entry.voided.length} ({entryPercent}%)
                                       correct
                                     </p>
                                   </div>
@@ -692,6 +817,37 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
                                     Reviewed in class?
                                   </label>
                                 </div>
+                                {entry.submission ? (
+                                  <div className="rounded-lg border border-slate-100 bg-white/80 px-3 py-2 text-xs text-slate-500">
+                                    <div className="flex flex-wrap items-center justify-between gap-2">
+                                      <p>
+                                        {entry.submission.fileName || 'Pasted answers'} · parser v
+                                        {entry.submission.parserVersion ?? '?'}
+                                        {entry.submission.parserVersion !== PARSER_VERSION
+                                          ? ` (now v${PARSER_VERSION})`
+                                          : ''}
+                                        {entry.regradedAt
+                                          ? ` · re-graded ${formatDate(entry.regradedAt)}`
+                                          : ''}
+                                      </p>
+                                      <button
+                                        type="button"
+                                        onClick={() => handlePreviewRegrade(record, meta, entry.id)}
+                                        className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-2 py-0.5 font-medium text-slate-600 transition hover:border-blue-300 hover:text-blue-600"
+                                      >
+                                        <RotateCcw className="size-3" aria-hidden />
+                                        Re-grade from original
+                                      </button>
+                                    </div>
+                                    {regradePreview?.historyId === entry.id ? (
+                                      <RegradePreview
+                                        outcome={regradePreview.outcome}
+                                        onSave={() => handleSaveRegrade(meta)}
+                                        onDiscard={() => setRegradePreview(null)}
+                                      />
+                                    ) : null}
+                                  </div>
+                                ) : null}
                                 {entry.incorrect.length ? (
                                   <details className="rounded-lg border border-slate-100 bg-white/80 px-3 py-2">
                                     <summary className="cursor-pointer text-xs font-semibold text-slate-600">
@@ -704,11 +860,31 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
                                           {(item.studentAnswer || '—').toString().toUpperCase()}
                                           {' -> '}
                                           {(item.correctAnswer || '—').toString().toUpperCase()}
+                                          {item.guessed ? (
+                                            <span className="text-slate-400"> (guess)</span>
+                                          ) : null}
                                         </li>
                                       ))}
                                     </ul>
                                   </details>
                                 ) : null}
+                                {entry.guessed.length > 0 || entry.omitted.length > 0 ? (
+                                  <div className="rounded-lg border border-slate-100 bg-white/80 px-3 py-2 text-xs text-slate-500">
+                                    {entry.guessed.length > 0 ? (
+                                      <p>
+                                        Guesses: {luckyGuesses.length} lucky
+                                        {luckyGuesses.length > 0
+                                          ? ` (${formatQuestionRanges(luckyGuesses)})`
+                                          : ''}{' '}
+                                        · {missedGuesses.length} missed · {confidentMisses} confident
+                                        misses
+                                      </p>
+                                    ) : null}
+                                    {entry.omitted.length > 0 ? (
+                                      <p>Skipped: {formatQuestionRanges(entry.omitted)}</p>
+                                    ) : null}
+                                  </div>
+                                ) : null}
                                 {entry.manualReview.length ? (
                                   <details className="rounded-lg border border-slate-100 bg-white/80 px-3 py-2">
                                     <summary className="cursor-pointer text-xs font-semibold text-slate-600">
@@ -722,11 +898,35 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
                                           <span className="block text-[11px] text-slate-400">
                                             {(item.reasons || []).join('; ')}
                                           </span>
+                                          <ManualResolveActions
+                                            item={item}
+                                            keyAnswer={meta.key?.get(item.question) ?? ''}
+                                            onResolve={(resolution) =>
+                                              handleResolveManual(
+                                                meta,
+                                                record.worksheetId,
+                                                entry.id,
+                                                item.question,
+                                                resolution
+                                              )
+                                            }
+                                          />
                                         </li>
                                       ))}
                                     </ul>
                                   </details>
                                 ) : null}
+                                {entry.resolved.length > 0 ? (
+                                  <div className="rounded-lg border border-slate-100 bg-white/80 px-3 py-2 text-xs text-slate-500">
+                                    <p className="font-semibold text-slate-600">Resolved</p>
+                                    {entry.resolved.map((item) => (
+                                      <p key={`${entry.id}-resolved-${item.question}`}>
+                                        Question {item.question}: {(item.answers || []).join(', ') || '—'}{' '}
+                                        {'->'} {formatResolution(item)}
+                                      </p>
+                                    ))}
+                                  </div>
+                                ) : null}
                               </li>
                             );
                           })}
@@ -875,13 +1075,18 @@ function WorksheetsColumn({ student, worksheetsMeta, onUpdate }) {
 
 function PracticeTestsColumn({
   student,
+  practiceKeys,
+  onSavePracticeKey,
   onAddCustomPractice,
   onUpdatePractice,
   onUpdateCustomPractice,
   onDeleteCustomPractice,
+  onUpdate,
   variant = 'standalone'
 }) {
   const [isEditing, setIsEditing] = useState(false);
+  const [gradingId, setGradingId] = useState(null);
+  const [keyEditingId, setKeyEditingId] = useState(null);
 
   const sortedPracticeTests = useMemo(() => {
     const tests = Array.isArray(student.practiceTests) ? [...student.practiceTests] : [];
@@ -944,6 +1149,9 @@ function PracticeTestsColumn({
           </button>
         </div>
       </div>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <ScoreReportImport student={student} onUpdate={onUpdate} />
+      </div>
 
       <div className="mt-4 space-y-4">
         <div>
@@ -967,6 +1175,60 @@ function PracticeTestsColumn({
                         className="rounded-lg border border-slate-200 px-2 py-1 text-xs text-slate-600"
                       />
                     </div>
+                    {keyEditingId === test.id ? (
+                      <PracticeKeyForm
+                        testId={test.id}
+                        practiceKey={practiceKeys.get(test.id)}
+                        onSave={(entry) => {
+                          onSavePracticeKey(entry);
+                          setKeyEditingId(null);
+                        }}
+                        onCancel={() => setKeyEditingId(null)}
+                      />
+                    ) : practiceKeys.has(test.id) ? (
+                      gradingId === test.id ? (
+                        <PracticeTestGrader
+                          practiceKey={practiceKeys.get(test.id)}
+                          onSave={(results) => {
+                            onUpdate((current) => ({
+                              practiceTests: (current.practiceTests ?? []).map((item) =>
+                                item.id === test.id ? applyPracticeResults(item, results) : item
+                              )
+                            }));
+                            setGradingId(null);
+                          }}
+                          onCancel={() => setGradingId(null)}
+                        />
+                      ) : (
+                        <div className="mt-2 flex flex-wrap gap-3">
+                          <button
+                            type="button"
+                            onClick={() => setGradingId(test.id)}
+                            className="text-xs font-medium text-blue-600 hover:text-blue-800"
+                          >
+                            {test.moduleResults ? 'Regrade answers by module' : 'Grade answers by module'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setKeyEditingId(test.id)}
+                            className="text-xs font-medium text-slate-500 hover:text-slate-800"
+                          >
+                            Edit answer key
+                          </button>
+                        </div>
+                      )
+                    ) : (
+                      <p className="mt-2 text-[11px] text-slate-400">
+                        Grading by module needs an answer key for this test.{' '}
+                        <button
+                          type="button"
+                          onClick={() => setKeyEditingId(test.id)}
+                          className="font-medium text-blue-600 hover:text-blue-800"
+                        >
+                          Add answer key
+                        </button>
+                      </p>
+                    )}
                     <div className="mt-2 space-y-2">
                       <label className="flex flex-col gap-1">
                         <span className="text-[10px] uppercase text-slate-500">Overall score</span>
@@ -1011,6 +1273,10 @@ function PracticeTestsColumn({
                         </label>
                       </div>
                     </div>
+                    <DomainBandsEditor
+                      bands={test.domainBands}
+                      onChange={(next) => onUpdatePractice(test.id, 'domainBands', next)}
+                    />
                   </>
                 ) : (
                   (() => {
@@ -1049,6 +1315,8 @@ function PracticeTestsColumn({
                             ) : null}
                           </div>
                         )}
+                        <ModuleBreakdown moduleResults={test.moduleResults} />
+                        <DomainBandsSummary bands={test.domainBands} />
                       </div>
                     );
                   })()
@@ -1140,6 +1408,10 @@ function PracticeTestsColumn({
                         </label>
                       </div>
                     </div>
+                    <DomainBandsEditor
+                      bands={test.domainBands}
+                      onChange={(next) => onUpdateCustomPractice(test.id, 'domainBands', next)}
+                    />
                   </>
                 ) : (
                   <div className="space-y-1">
@@ -1170,6 +1442,7 @@ function PracticeTestsColumn({
                         ) : null}
                       </div>
                     )}
+                    <DomainBandsSummary bands={test.domainBands} />
                   </div>
                 )}
               </li>
@@ -1254,6 +1527,9 @@ function OfficialTestsColumn({
             </button>
           </div>
         </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <ScoreReportImport student={student} onUpdate={onUpdate} />
+        </div>
         <div className="mt-4 space-y-4 text-sm text-slate-600">
           {isEditing ? (
             <label className="flex flex-col gap-1 text-xs">
@@ -1395,6 +1671,10 @@ function OfficialTestsColumn({
                               />
                             </label>
                           </div>
+                          <DomainBandsEditor
+                            bands={test.domainBands}
+                            onChange={(next) => onUpdateRealTest(test.id, 'domainBands', next)}
+                          />
                         </>
                       ) : (
                         <div className="space-y-1">
@@ -1418,6 +1698,7 @@ function OfficialTestsColumn({
                               )}
                             </div>
                           )}
+                          <DomainBandsSummary bands={test.domainBands} />
                         </div>
                       )}
                     </li>
@@ -1438,6 +1719,8 @@ function OfficialTestsColumn({
 
 function AssessmentsColumn({
   student,
+  practiceKeys,
+  onSavePracticeKey,
   onAddCustomPractice,
   onUpdatePractice,
   onUpdateCustomPractice,
@@ -1452,10 +1735,13 @@ function AssessmentsColumn({
       <div className="grid gap-4 md:grid-cols-2">
         <PracticeTestsColumn
           student={student}
+          practiceKeys={practiceKeys}
+          onSavePracticeKey={onSavePracticeKey}
           onAddCustomPractice={onAddCustomPractice}
           onUpdatePractice={onUpdatePractice}
           onUpdateCustomPractice={onUpdateCustomPractice}
           onDeleteCustomPractice={onDeleteCustomPractice}
+          onUpdate={onUpdate}
           variant="contained"
         />
         <OfficialTestsColumn
@@ -1919,7 +2205,10 @@ function ReferenceColumn({ onDeleteStudent }) {
 
 export function StudentAnalytics({
   student,
+  students,
   worksheetsMeta,
+  practiceKeys,
+  onSavePracticeKey,
   onClose,
   onUpdate,
   onAddCustomPractice,
@@ -1958,11 +2247,18 @@ export function StudentAnalytics({
       <main className="mx-auto mt-6 max-w-[90rem] px-4">
         <div className="grid gap-8 lg:grid-cols-2">
           <div className="space-y-6">
-            <WorksheetsColumn student={student} worksheetsMeta={worksheetsMeta} onUpdate={onUpdate} />
+            <WorksheetsColumn
+              student={student}
+              students={students}
+              worksheetsMeta={worksheetsMeta}
+              onUpdate={onUpdate}
+            />
           </div>
           <div className="space-y-6">
             <AssessmentsColumn
               student={student}
+              practiceKeys={practiceKeys}
+              onSavePracticeKey={onSavePracticeKey}
               onAddCustomPractice={onAddCustomPractice}
               onUpdatePractice={onUpdatePractice}
               onUpdateCustomPractice={onUpdateCustomPractice}
@@ -1973,6 +2269,8 @@ export function StudentAnalytics({
               onDeleteRealTest={onDeleteRealTest}
             />
             <TestDayPredictor student={student} />
+            <DomainPanel student={student} worksheetsMeta={worksheetsMeta} />
+            <SkillsPanel student={student} worksheetsMeta={worksheetsMeta} />
             <ReferenceColumn onDeleteStudent={onDeleteStudent} />
           </div>
         </div>
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { parseDelimited, readClassSheet } from '../classImport.js';
+import { grade, parseKeyText, parseStudentAnswers } from '../grader.js';
+
+describe('parseDelimited', () => {
+  it('handles quoted fields with commas, quotes and newlines', () => {
+    const rows = parseDelimited('Name,Note\r\n"Lee, Sam","said ""hi""\nlater"\r\n\r\nAva,ok');
+    expect(rows).toEqual([
+      ['Name', 'Note'],
+      ['Lee, Sam', 'said "hi"\nlater'],
+      ['Ava', 'ok']
+    ]);
+  });
+
+  it('detects tab separated exports', () => {
+    expect(parseDelimited('Name\t1\t2\nAva\tA\tB')).toEqual([
+      ['Name', '1', '2'],
+      ['Ava', 'A', 'B']
+    ]);
+  });
+});
+
+describe('readClassSheet', () => {
+  it('maps form export columns to students and question numbers', () => {
+    const csv = [
+      'Timestamp,Email Address,Student Name,"1. Which choice completes the text?",Q2,Question 3',
+      '2025/01/05 10:00,ava@example.com,Ava Chen,B,c,2/3',
+      '2025/01/05 10:02,sam@example.com,Sam Lee,A,,skip',
+      '2025/01/05 10:03,,,C,D,1',
+      '2025/01/05 10:04,kai@example.com,Kai,,,'
+    ].join('\n');
+
+    const sheet = readClassSheet(csv);
+
+    expect(sheet.questions).toEqual([1, 2, 3]);
+    expect(sheet.nameHeader).toBe('Student Name');
+    expect(sheet.rows).toEqual([
+      { line: 2, name: 'Ava Chen', text: '1. B\n2. c\n3. 2/3' },
+      { line: 3, name: 'Sam Lee', text: '1. A\n3. skip' }
+    ]);
+    expect(sheet.skipped).toEqual([
+      { line: 4, reason: 'Missing student name' },
+      { line: 5, name: 'Kai', reason: 'No answers' }
+    ]);
+
+    const key = parseKeyText('1. B\n2. C\n3. .6666');
+    const result = grade({ key, studentAnswers: parseStudentAnswers(sheet.rows[0].text) });
+    expect(result.correct).toBe(3);
+  });
+
+  it('joins first and last name columns', () => {
+    const sheet = readClassSheet('First Name,Last Name,1\nAva,Chen,D');
+    expect(sheet.rows[0].name).toBe('Ava Chen');
+  });
+
+  it('rejects sheets without question columns', () => {
+    expect(() => readClassSheet('Name,Score\nAva,10')).toThrow('No question columns');
+  });
+});
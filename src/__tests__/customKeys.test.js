@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildCustomKey,
+  createCustomKeyEntry,
+  diffKeyAnswers,
+  mergeCustomKeys,
+  validateCustomKey
+} from '../customKeys.js';
+import { KEY_BANK } from '../keyBank.js';
+
+const stored = {
+  id: 'custom-math-301-abc',
+  subject: 'math',
+  number: 301,
+  title: 'Circles Review',
+  raw: '1. B\n2. 2/3, .6666\n3. D'
+};
+
+describe('custom keys', () => {
+  it('builds entries shaped like the bundled keys', () => {
+    const entry = createCustomKeyEntry(stored);
+    expect(entry.id).toBe('custom-math-301-abc');
+    expect(entry.custom).toBe(true);
+    expect(entry.label).toBe('Math 301: Circles Review');
+    expect(entry.total).toBe(3);
+    expect(entry.key.get(1)).toBe('B');
+  });
+
+  it('merges custom keys into the sorted bank', () => {
+    const merged = mergeCustomKeys(KEY_BANK, [stored]);
+    expect(merged).toHaveLength(KEY_BANK.length + 1);
+    const index = merged.findIndex((entry) => entry.id === stored.id);
+    const laterMath = merged.slice(index + 1).filter((entry) => entry.subjectToken === 'math');
+    expect(laterMath.every((entry) => entry.number >= 301)).toBe(true);
+    expect(mergeCustomKeys(KEY_BANK, [])).toBe(KEY_BANK);
+  });
+
+  it('rejects incomplete drafts and clashing keys', () => {
+    const draft = { subject: 'math', number: '301', title: 'Circles Review', raw: stored.raw };
+    expect(validateCustomKey(draft, KEY_BANK)).toBeNull();
+    expect(validateCustomKey({ ...draft, number: '0' }, KEY_BANK)).toMatch(/1 to 999/);
+    expect(validateCustomKey({ ...draft, title: ' ' }, KEY_BANK)).toMatch(/title/);
+    expect(validateCustomKey({ ...draft, raw: 'no answers here' }, KEY_BANK)).toMatch(/No answers/);
+
+    const merged = mergeCustomKeys(KEY_BANK, [stored]);
+    expect(validateCustomKey({ ...draft, title: 'circles review' }, merged)).toMatch(/already exists/);
+    expect(validateCustomKey(draft, merged, stored.id)).toBeNull();
+  });
+
+  it('keeps the id and creation time when a key is edited', () => {
+    const created = buildCustomKey({ subject: 'english', number: '12', title: ' Commas ', raw: '1. A\n' });
+    expect(created.id).toMatch(/^custom-english-12-/);
+    expect(created.title).toBe('Commas');
+    expect(created.number).toBe(12);
+
+    const edited = buildCustomKey({ subject: 'english', number: '13', title: 'Commas', raw: '1. C' }, created);
+    expect(edited.id).toBe(created.id);
+    expect(edited.createdAt).toBe(created.createdAt);
+    expect(edited.number).toBe(13);
+  });
+
+  it('lists changed, added and removed answers between two versions', () => {
+    const before = createCustomKeyEntry(stored).key;
+    const after = createCustomKeyEntry({ ...stored, raw: '1. C\n2. 2/3, .6666\n4. A' }).key;
+    expect(diffKeyAnswers(before, after)).toEqual({
+      changed: [{ question: 1, from: 'B', to: 'C' }],
+      added: [4],
+      removed: [3]
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeDistractors, formatDistractorReport, listGradedWorksheets } from '../distractors.js';
+import { parseKeyText } from '../grader.js';
+
+const KEY = { id: 'math-207-functions', label: 'Math 207: Functions', key: parseKeyText('1. A\n2. B\n3. C'), total: 3 };
+
+function upload(incorrect, omitted = []) {
+  return {
+    total: 3,
+    missing: [],
+    omitted,
+    manualReview: [],
+    incorrect: Object.entries(incorrect).map(([question, studentAnswer]) => ({
+      question: Number(question),
+      studentAnswer,
+      correctAnswer: KEY.key.get(Number(question))
+    }))
+  };
+}
+
+function student(id, history) {
+  return { id, worksheets: [{ worksheetId: KEY.id, history }] };
+}
+
+const STUDENTS = [
+  student('ava', [upload({ 2: 'd' }), upload({ 2: 'D', 3: 'A' })]),
+  student('sam', [upload({ 2: 'D' }, [3])]),
+  student('kim', [upload({ 2: 'C' })]),
+  { id: 'new', worksheets: [] }
+];
+
+describe('analyzeDistractors', () => {
+  it('pools answer choices across students and uploads', () => {
+    const report = analyzeDistractors(STUDENTS, KEY);
+
+    expect(report).toMatchObject({ students: 3, uploads: 4 });
+    expect(report.questions[1]).toMatchObject({
+      correct: 0,
+      wrong: [
+        { answer: 'D', count: 3 },
+        { answer: 'C', count: 1 }
+      ],
+      dominant: { answer: 'D', count: 3, share: 0.75, rivalsKey: true }
+    });
+    expect(report.questions[2]).toMatchObject({ correct: 2, skipped: 1, dominant: null });
+    expect(report.flagged.map((row) => row.question)).toEqual([2]);
+  });
+
+  it('formats a reteach list', () => {
+    expect(formatDistractorReport(analyzeDistractors(STUDENTS, KEY))).toBe(
+      [
+        'Math 207: Functions: 3 students, 4 uploads',
+        'Reteach:',
+        '  Q2 (key B): D chosen 3 of 4 wrong answers, 0 correct'
+      ].join('\n')
+    );
+  });
+});
+
+describe('listGradedWorksheets', () => {
+  it('lists worksheets with uploads, busiest first', () => {
+    expect(listGradedWorksheets(STUDENTS, new Map([[KEY.id, KEY]]))).toEqual([
+      { id: KEY.id, label: KEY.label, uploads: 4 }
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+import { deflateRawSync } from 'node:zlib';
+import { describe, expect, it } from 'vitest';
+import { docxXmlToText, extractDocxText, extractRtfText } from '../documentText.js';
+import { parseStudentAnswers } from '../grader.js';
+
+function paragraph(text) {
+  return `<w:p><w:pPr><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+}
+
+function table(rows) {
+  const body = rows
+    .map((cells) => `<w:tr>${cells.map((cell) => `<w:tc>${paragraph(cell)}</w:tc>`).join('')}</w:tr>`)
+    .join('');
+  return `<w:tbl>${body}</w:tbl>`;
+}
+
+function documentXml(...blocks) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document><w:body>${blocks.join('')}</w:body></w:document>`;
+}
+
+// Single-entry zip with a deflated member, laid out like a .docx export.
+function zip(name, content) {
+  const nameBytes = Buffer.from(name);
+  const raw = Buffer.from(content);
+  const data = deflateRawSync(raw);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(raw.length, 22);
+  local.writeUInt16LE(nameBytes.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(raw.length, 24);
+  central.writeUInt16LE(nameBytes.length, 28);
+  central.writeUInt32LE(0, 42);
+
+  const directoryOffset = local.length + nameBytes.length + data.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + nameBytes.length, 12);
+  end.writeUInt32LE(directoryOffset, 16);
+
+  const file = Buffer.concat([local, nameBytes, data, central, nameBytes, end]);
+  return file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+}
+
+describe('docx extraction', () => {
+  it('reads paragraphs and question/answer table rows', () => {
+    const xml = documentXml(
+      paragraph('Math 204 &amp; homework'),
+      table([
+        ['Question', 'Answer'],
+        ['1', 'A'],
+        ['2.', '2/3'],
+        ['3', 'c']
+      ])
+    );
+
+    const text = docxXmlToText(xml);
+    expect(text).toBe('Math 204 & homework\nQuestion\tAnswer\n1. A\n2. 2/3\n3. c');
+    expect(Array.from(parseStudentAnswers(text).answers)).toEqual([
+      [1, 'A'],
+      [2, '2/3'],
+      [3, 'C']
+    ]);
+  });
+
+  it('pairs a row of question numbers with the row of answers below it', () => {
+    const xml = documentXml(table([['1', '2', '3'], ['B', 'D', '-7']]));
+    expect(docxXmlToText(xml)).toBe('1. B\n2. D\n3. -7');
+  });
+
+  it('unzips word/document.xml from a .docx file', async () => {
+    const buffer = zip('word/document.xml', documentXml(paragraph('1) A'), paragraph('2) B')));
+    await expect(extractDocxText(buffer)).resolves.toBe('1) A\n2) B');
+  });
+
+  it('rejects files that are not zip archives', async () => {
+    await expect(extractDocxText(new TextEncoder().encode('1. A').buffer)).rejects.toThrow(
+      'not a valid .docx'
+    );
+  });
+});
+
+describe('rtf extraction', () => {
+  it('reads paragraphs and skips font and color tables', () => {
+    const rtf =
+      '{\\rtf1\\ansi{\\fonttbl{\\f0 Times New Roman;}}{\\colortbl;\\red0\\green0\\blue0;}' +
+      '\\f0\\fs24 Name: Jordan\\par 1. A\\par 2.\\tab C\\par Caf\\\'e9 \\u8212? 3) D\\par}';
+
+    expect(extractRtfText(rtf)).toBe('Name: Jordan\n1. A\n2.\tC\nCafé — 3) D');
+  });
+
+  it('rebuilds table rows', () => {
+    const rtf =
+      '{\\rtf1\\ansi Answers\\par' +
+      '\\trowd\\cellx1000\\cellx2000\\pard\\intbl 1\\cell A\\cell\\row' +
+      '\\trowd\\cellx1000\\cellx2000\\pard\\intbl 2\\cell 5/4\\cell\\row' +
+      '\\pard Done\\par}';
+
+    expect(extractRtfText(rtf)).toBe('Answers\n1. A\n2. 5/4\nDone');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { buildDomainBreakdown, collectDomainBands } from '../domainBreakdown.js';
+import { questionDomains, summarizeDomains } from '../skillAnalytics.js';
+
+const keyMeta = {
+  id: 'math-204-lines',
+  tags: ['linear-functions'],
+  questionMeta: new Map([
+    [3, { tags: ['circles', 'algebra'] }]
+  ])
+};
+const keyLookup = new Map([[keyMeta.id, keyMeta]]);
+
+function record() {
+  return {
+    worksheetId: keyMeta.id,
+    questionStats: {
+      1: { status: 'correct', attempts: 1 },
+      2: { status: 'incorrect', attempts: 2 },
+      3: { status: 'correct', attempts: 1 },
+      4: { status: 'manual', attempts: 1 }
+    },
+    history: []
+  };
+}
+
+describe('domain breakdown', () => {
+  it('maps question skills and domain tags onto domains', () => {
+    expect(questionDomains(keyMeta, 1)).toEqual(['algebra']);
+    expect(questionDomains(keyMeta, 3)).toEqual(['geometry-trigonometry', 'algebra']);
+    expect(questionDomains({ tags: ['unknown'] }, 1)).toEqual([]);
+  });
+
+  it('rolls worksheet results up by domain in report order', () => {
+    const domains = summarizeDomains([record()], keyLookup);
+    expect(domains.map((domain) => [domain.id, domain.correct, domain.graded])).toEqual([
+      ['algebra', 2, 3],
+      ['geometry-trigonometry', 1, 1]
+    ]);
+  });
+
+  it('joins worksheet accuracy with the latest test bands', () => {
+    const student = {
+      worksheets: [record()],
+      practiceTests: [
+        { id: 'BB04', label: 'Bluebook 04', date: '2025-02-01', domainBands: { algebra: 4 } },
+        { id: 'BB05', label: 'Bluebook 05', date: '', domainBands: { algebra: 7 } }
+      ],
+      customPracticeTests: [],
+      realTests: [
+        { id: 'official-1', date: '2025-03-08', status: 'completed', domainBands: { algebra: 6, 'craft-and-structure': 5 } },
+        { id: 'official-2', date: '2025-05-03', status: 'upcoming', domainBands: { algebra: 1 } }
+      ]
+    };
+    expect(collectDomainBands(student).get('algebra').map((item) => item.band)).toEqual([7, 4, 6]);
+
+    const breakdown = buildDomainBreakdown(student, keyLookup);
+    expect(breakdown).toHaveLength(8);
+    const algebra = breakdown.find((domain) => domain.id === 'algebra');
+    expect(algebra).toMatchObject({ latestBand: 6, bandChange: 2 });
+    expect(algebra.worksheets.accuracy).toBeCloseTo(66.67, 1);
+    expect(breakdown.find((domain) => domain.id === 'craft-and-structure')).toMatchObject({
+      latestBand: 5,
+      bandChange: null,
+      worksheets: null
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { buildClassErrorHeatmap, buildErrorHeatmap } from '../errorHeatmap.js';
+
+function upload({ incorrect = [], missing = [], omitted = [] }) {
+  return {
+    total: 4,
+    missing,
+    omitted,
+    manualReview: [],
+    incorrect: incorrect.map((question) => ({ question, studentAnswer: 'A', correctAnswer: 'B' }))
+  };
+}
+
+const AVA = {
+  id: 'ava',
+  worksheets: [
+    {
+      worksheetId: 'math-204-lines',
+      history: [upload({ incorrect: [2] }), upload({ incorrect: [2, 3], missing: [4] })]
+    }
+  ]
+};
+
+const SAM = {
+  id: 'sam',
+  worksheets: [{ worksheetId: 'math-204-lines', history: [upload({ omitted: [2], missing: [3, 4] })] }]
+};
+
+describe('buildErrorHeatmap', () => {
+  it('counts misses across every upload, not just the latest', () => {
+    const cells = buildErrorHeatmap(AVA.worksheets[0], 4);
+
+    expect(cells.map((cell) => [cell.question, cell.misses, cell.attempts])).toEqual([
+      [1, 0, 2],
+      [2, 2, 2],
+      [3, 1, 2],
+      [4, 0, 1]
+    ]);
+    expect(cells[2].rate).toBe(0.5);
+  });
+});
+
+describe('buildClassErrorHeatmap', () => {
+  it('adds every student together and counts skips as misses', () => {
+    const cells = buildClassErrorHeatmap([AVA, SAM, { id: 'new', worksheets: [] }], 'math-204-lines', 4);
+
+    expect(cells[1]).toMatchObject({ misses: 3, attempts: 3, students: 2, rate: 1 });
+    expect(cells[3]).toMatchObject({ misses: 0, attempts: 1, students: 1 });
+  });
+
+  it('leaves questions nobody answered ungraded', () => {
+    const cells = buildClassErrorHeatmap([SAM], 'math-204-lines', 4);
+
+    expect(cells[3].rate).toBeNull();
+  });
+});
@@ -1,5 +1,11 @@
 import { describe, expect, it } from 'vitest';
-import { grade, parseKeyText, parseStudentAnswers } from '../grader.js';
+import {
+  grade,
+  isEquivalentAnswer,
+  parseKeyText,
+  parseStudentAnswers,
+  splitKeyAnswer
+} from '../grader.js';
 
 const KEY_TEXT = `
 1. A
@@ -54,3 +60,132 @@ describe('grade', () => {
     expect(result.manualReview[0].reasons).toContain('Answer outside A-E');
   });
 });
+
+describe('grid-in answers', () => {
+  const GRID_KEY = `
+1. -29
+2. 77/36
+3. C
+4. 2.5
+5. 49
+`;
+
+  it('keeps numeric, fractional, decimal and negative key answers', () => {
+    const key = parseKeyText(GRID_KEY);
+
+    expect(key.size).toBe(5);
+    expect(key.get(1)).toBe('-29');
+    expect(key.get(2)).toBe('77/36');
+    expect(key.get(4)).toBe('2.5');
+  });
+
+  it('accepts equivalent fractions and SAT truncated or rounded decimals', () => {
+    const key = parseKeyText(GRID_KEY);
+    const student = parseStudentAnswers('1. -29 2) 2.138 3. c 4: 5/2 5. 49.0');
+    const result = grade({ key, studentAnswers: student, skipMissing: false });
+
+    expect(result.correct).toBe(5);
+    expect(result.manualReviewCount).toBe(0);
+  });
+
+  it('rejects decimals that do not fill the grid', () => {
+    const key = parseKeyText(GRID_KEY);
+    const student = parseStudentAnswers('2. 2.14 5. 48');
+    const result = grade({ key, studentAnswers: student, skipMissing: true });
+
+    expect(result.correct).toBe(0);
+    expect(result.incorrect.map((item) => item.question)).toEqual([2, 5]);
+  });
+
+  it('only sends unreadable grid-in answers to manual review', () => {
+    const key = parseKeyText(GRID_KEY);
+    const student = parseStudentAnswers('1. 1/2/3 2. 7/0 5. 49');
+    const result = grade({ key, studentAnswers: student, skipMissing: true });
+
+    expect(result.correct).toBe(1);
+    expect(result.manualReview.map((item) => item.question)).toEqual([1, 2]);
+    expect(result.manualReview[0].reasons).toContain('Unreadable grid-in answer');
+  });
+});
+
+describe('isEquivalentAnswer', () => {
+  it('compares grid-in values using SAT decimal rules', () => {
+    expect(isEquivalentAnswer('2.139', '77/36')).toBe(true);
+    expect(isEquivalentAnswer('.6666', '2/3')).toBe(true);
+    expect(isEquivalentAnswer('0.667', '2/3')).toBe(true);
+    expect(isEquivalentAnswer('.66', '2/3')).toBe(false);
+    expect(isEquivalentAnswer('-.6666', '-2/3')).toBe(true);
+    expect(isEquivalentAnswer('-.667', '-2/3')).toBe(false);
+    expect(isEquivalentAnswer('B', 'b')).toBe(true);
+    expect(isEquivalentAnswer('2', 'B')).toBe(false);
+  });
+});
+
+describe('multiple accepted answers', () => {
+  const ALTERNATE_KEY = `
+1. A
+5. B or D
+12. 2/3, .6666, .6667
+`;
+
+  it('parses alternates listed with "or" or commas', () => {
+    const key = parseKeyText(ALTERNATE_KEY);
+
+    expect(key.get(1)).toBe('A');
+    expect(key.get(5)).toBe('B or D');
+    expect(key.get(12)).toBe('2/3 or .6666 or .6667');
+    expect(splitKeyAnswer(key.get(12))).toEqual(['2/3', '.6666', '.6667']);
+  });
+
+  it('still scans comma separated pairs on one line', () => {
+    const key = parseKeyText('1. A, 2. B');
+
+    expect(key.get(1)).toBe('A');
+    expect(key.get(2)).toBe('B');
+  });
+
+  it('marks a student correct when any accepted answer matches', () => {
+    const key = parseKeyText(ALTERNATE_KEY);
+    const student = parseStudentAnswers('1. a 5. d 12. 0.667');
+    const result = grade({ key, studentAnswers: student, skipMissing: false });
+
+    expect(result.correct).toBe(3);
+  });
+
+  it('reports every accepted answer for misses', () => {
+    const key = parseKeyText(ALTERNATE_KEY);
+    const student = parseStudentAnswers('5. c');
+    const result = grade({ key, studentAnswers: student, skipMissing: true });
+
+    expect(result.incorrect).toEqual([
+      { question: 5, correctAnswer: 'B or D', studentAnswer: 'C' }
+    ]);
+  });
+});
+
+describe('skip and guess markers', () => {
+  it('counts explicit skips as attempted but blank', () => {
+    const key = parseKeyText(KEY_TEXT);
+    const student = parseStudentAnswers('1) a 2) ? 3) c');
+    const result = grade({ key, studentAnswers: student, skipMissing: true });
+
+    expect(result.omitted).toEqual([2]);
+    expect(result.omittedCount).toBe(1);
+    expect(result.missing).toEqual([4, 5]);
+    expect(result.denominator).toBe(3);
+    expect(result.correct).toBe(2);
+    expect(result.attemptedQuestions).toEqual([1, 2, 3]);
+  });
+
+  it('grades guesses normally and records them', () => {
+    const key = parseKeyText(KEY_TEXT);
+    const student = parseStudentAnswers('1) a? 2) c* 3) c');
+    const result = grade({ key, studentAnswers: student, skipMissing: true });
+
+    expect(result.correct).toBe(2);
+    expect(result.guessed).toEqual([1, 2]);
+    expect(result.incorrect).toEqual([
+      { question: 2, correctAnswer: 'B', studentAnswer: 'C', guessed: true }
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import {
+  auditKey,
+  auditKeyBank,
+  formatAuditReport,
+  formatQuestionRanges,
+  parseWorksheetHighlights
+} from '../keyAudit.js';
+import { KEY_BANK } from '../keyBank.js';
+
+function entry(raw, overrides = {}) {
+  return {
+    id: 'english-150-sample',
+    label: 'English 150: Sample',
+    number: 150,
+    subjectToken: 'english',
+    descriptor: 'Sample',
+    raw,
+    ...overrides
+  };
+}
+
+describe('auditKey', () => {
+  it('reports ignored lines, duplicates, gaps and answers outside the choice set', () => {
+    const result = auditKey(entry('1. A\n2. B\n2. C\nAnswers continue\n5. E\n6. 12'));
+
+    expect(result.issues.map((issue) => [issue.type, issue.line ?? null])).toEqual([
+      ['duplicate', 3],
+      ['dropped', 4],
+      ['choice', 5],
+      ['choice', 6],
+      ['gap', null]
+    ]);
+    expect(result.issues[4].message).toBe('Missing question 3-4');
+  });
+
+  it('allows grid-in values on math keys', () => {
+    const result = auditKey(entry('1. A\n2. 7/2 or 3.5', { subjectToken: 'math' }));
+    expect(result.issues).toEqual([]);
+  });
+
+  it('compares totals with the worksheet highlights', () => {
+    const [highlight] = parseWorksheetHighlights([
+      { title: 'Content Worksheets Light', worksheetHighlights: ['150 Sample - entire packet (1-4)'] }
+    ]);
+    const result = auditKey(entry('1. A\n2. B\n3. C'), { highlight });
+
+    expect(result.issues.map((issue) => issue.message)).toEqual([
+      'Content Worksheets Light lists the entire packet as 1-4 but the key ends at 3'
+    ]);
+  });
+});
+
+describe('parseWorksheetHighlights', () => {
+  it('reads question ranges from the course guidelines', () => {
+    const highlights = parseWorksheetHighlights();
+    const lines = highlights.find((item) => item.number === 204);
+
+    expect(lines.ranges[0]).toEqual([13, 15]);
+    expect(lines.highest).toBe(86);
+    expect(highlights.find((item) => item.number === 107).highest).toBeNull();
+  });
+
+  it('formats question lists as ranges', () => {
+    expect(formatQuestionRanges([9, 3, 4, 5, 7])).toBe('3-5, 7, 9');
+  });
+});
+
+describe('bundled answer keys', () => {
+  it('audits every key in src/keys', () => {
+    const audit = auditKeyBank(KEY_BANK);
+
+    // Printed so the test run doubles as the key audit report.
+    console.info(formatAuditReport(audit));
+
+    expect(audit.keys).toHaveLength(KEY_BANK.length);
+    expect(audit.keys.every((item) => item.total > 0)).toBe(true);
+  });
+});
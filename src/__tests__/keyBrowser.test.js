@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { filterKeys, groupKeysByPriority, isHighlightedQuestion } from '../keyBrowser.js';
+import { KEY_BANK } from '../keyBank.js';
+import { matchWorksheetHighlights } from '../keyAudit.js';
+
+describe('filterKeys', () => {
+  it('matches worksheet numbers by prefix and words by label', () => {
+    expect(filterKeys(KEY_BANK, '204').map((entry) => entry.id)).toEqual(['math-204-lines']);
+    expect(filterKeys(KEY_BANK, 'math 20').every((entry) => entry.subjectToken === 'math')).toBe(true);
+    expect(filterKeys(KEY_BANK, 'poems').map((entry) => entry.id)).toEqual(['english-112-poems']);
+    expect(filterKeys(KEY_BANK, '  ')).toBe(KEY_BANK);
+  });
+});
+
+describe('groupKeysByPriority', () => {
+  it('groups by subject, then priority with unprioritized keys last', () => {
+    const groups = groupKeysByPriority(KEY_BANK);
+
+    expect(groups.map((group) => group.subjectLabel)).toEqual(['English', 'Math']);
+    expect(groups[1].priorities.map((bucket) => bucket.label)).toEqual([
+      'High Priority',
+      'Medium Priority',
+      'Low Priority',
+      'Unprioritized'
+    ]);
+    expect(groups[1].priorities[0].entries.map((entry) => entry.number)).toContain(204);
+  });
+});
+
+describe('isHighlightedQuestion', () => {
+  it('checks the Content Worksheets Light ranges', () => {
+    const highlight = matchWorksheetHighlights(KEY_BANK).byKey.get('math-204-lines');
+
+    expect(isHighlightedQuestion(highlight, 14)).toBe(true);
+    expect(isHighlightedQuestion(highlight, 1)).toBe(false);
+    expect(isHighlightedQuestion(null, 14)).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { findPoorMatch, rankKeyMatches, suggestKey } from '../keyDetect.js';
+import { parseKeyText, parseStudentAnswers } from '../grader.js';
+
+function keyEntry(id, number, subjectToken, descriptor, raw) {
+  const key = parseKeyText(raw);
+  return {
+    id,
+    key,
+    total: key.size,
+    number,
+    subjectToken,
+    descriptor,
+    label: `${subjectToken} ${number}: ${descriptor}`
+  };
+}
+
+const KEYS = [
+  keyEntry('math-204-lines', 204, 'math', 'Lines', '1. A\n2. B\n3. C\n4. D\n5. A\n6. B'),
+  keyEntry('math-207-functions', 207, 'math', 'Functions', '1. D\n2. D\n3. A\n4. B\n5. C\n6. C'),
+  keyEntry('english-112-poems', 112, 'english', 'Poems', '1. B\n2. A\n3. D\n4. C')
+];
+
+function rank(text, fileName = '') {
+  return rankKeyMatches({ text, fileName, parsed: parseStudentAnswers(text), keyEntries: KEYS });
+}
+
+describe('rankKeyMatches', () => {
+  it('ranks the key whose answers agree best first', () => {
+    const matches = rank('1. D\n2. D\n3. A\n4. B\n5. C\n6. A');
+
+    expect(matches[0]).toMatchObject({ keyId: 'math-207-functions', matched: 5, answered: 6 });
+    expect(matches[0].reasons).toEqual(['answers']);
+  });
+
+  it('uses the filename and headings when there are no answers yet', () => {
+    expect(rank('', 'Jordan_math207.pdf')[0].keyId).toBe('math-207-functions');
+    expect(rank('English 112 Poems\n')[0]).toMatchObject({
+      keyId: 'english-112-poems',
+      reasons: ['heading']
+    });
+  });
+
+  it('counts answers beyond the end of a key as disagreement', () => {
+    const matches = rank('1. B\n2. A\n3. D\n4. C\n5. A\n6. B');
+    const poems = matches.find((match) => match.keyId === 'english-112-poems');
+
+    expect(poems).toMatchObject({ matched: 4, answered: 6, highest: 6 });
+  });
+});
+
+describe('key suggestions', () => {
+  it('suggests a different key and flags a poor match', () => {
+    const matches = rank('1. D\n2. D\n3. A\n4. B\n5. C\n6. C');
+
+    expect(suggestKey(matches, 'math-204-lines')?.keyId).toBe('math-207-functions');
+    expect(suggestKey(matches, 'math-207-functions')).toBeNull();
+
+    const warning = findPoorMatch(matches, 'math-204-lines');
+    expect(warning.better.keyId).toBe('math-207-functions');
+    expect(warning.selected.agreement).toBeLessThan(0.5);
+    expect(findPoorMatch(matches, 'math-207-functions')).toBeNull();
+  });
+
+  it('does not warn on very short submissions', () => {
+    expect(findPoorMatch(rank('1. D\n2. D'), 'math-204-lines')).toBeNull();
+  });
+});
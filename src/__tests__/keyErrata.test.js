@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyKeyErrata,
+  normalizeErratumAnswer,
+  regradeStudents,
+  regradeWorksheetRecord
+} from '../keyErrata.js';
+import { parseKeyText } from '../grader.js';
+
+const BASE_KEY = {
+  id: 'math-204-lines',
+  label: 'Math 204: Lines',
+  key: parseKeyText('1. A\n2. B\n3. C'),
+  total: 3
+};
+
+function record() {
+  return {
+    worksheetId: 'math-204-lines',
+    skipMissingUsed: true,
+    questionStats: {
+      1: { status: 'correct', studentAnswer: 'A', correctAnswer: 'A' },
+      2: { status: 'incorrect', studentAnswer: 'C', correctAnswer: 'B' },
+      // Older records may not keep the answer behind a correct question
+      3: { status: 'correct', studentAnswer: '', correctAnswer: 'C' }
+    },
+    correct: 2,
+    denominator: 3,
+    percent: (2 / 3) * 100,
+    history: [
+      {
+        id: 'history-1',
+        total: 3,
+        correct: 2,
+        percent: (2 / 3) * 100,
+        incorrect: [{ question: 2, correctAnswer: 'B', studentAnswer: 'C' }],
+        incorrectCount: 1,
+        manualReview: [],
+        manualReviewCount: 0,
+        missing: [],
+        missingCount: 0,
+        omitted: [],
+        skipMissingUsed: true
+      }
+    ]
+  };
+}
+
+function errataKey(question, answer) {
+  return applyKeyErrata([BASE_KEY], [{ keyId: BASE_KEY.id, question, answer }])[0];
+}
+
+describe('applyKeyErrata', () => {
+  it('overrides answers without changing the bundled key', () => {
+    const entry = errataKey(2, 'B or C');
+
+    expect(entry.key.get(2)).toBe('B or C');
+    expect(entry.errata).toHaveLength(1);
+    expect(BASE_KEY.key.get(2)).toBe('B');
+  });
+
+  it('normalizes answers written like key file lines', () => {
+    expect(normalizeErratumAnswer(4, 'b, d')).toBe('B or D');
+    expect(normalizeErratumAnswer(4, 'maybe')).toBeNull();
+  });
+});
+
+describe('regradeWorksheetRecord', () => {
+  it('marks a student correct when the key is fixed to their answer', () => {
+    const { record: updated, before, after, changed } = regradeWorksheetRecord(
+      record(),
+      { question: 2, from: 'B', to: 'C' },
+      errataKey(2, 'C')
+    );
+
+    expect(changed).toBe(true);
+    expect(before.correct).toBe(2);
+    expect(after.correct).toBe(3);
+    expect(updated.questionStats[2]).toMatchObject({ status: 'correct', correctAnswer: 'C' });
+    expect(updated.history[0]).toMatchObject({ correct: 3, incorrect: [], incorrectCount: 0, percent: 100 });
+  });
+
+  it('marks previously correct answers wrong, using the old key answer when none was stored', () => {
+    const { record: updated } = regradeWorksheetRecord(
+      record(),
+      { question: 3, from: 'C', to: 'D' },
+      errataKey(3, 'D')
+    );
+
+    expect(updated.questionStats[3]).toMatchObject({ status: 'incorrect', studentAnswer: 'C' });
+    expect(updated.incorrect.map((item) => item.question)).toEqual([2, 3]);
+    expect(updated.history[0].correct).toBe(1);
+    expect(updated.history[0].incorrect).toContainEqual({
+      question: 3,
+      correctAnswer: 'D',
+      studentAnswer: 'C'
+    });
+  });
+
+  it('only reports students whose scores moved', () => {
+    const students = [
+      { id: 's1', name: 'Ava', worksheets: [record()] },
+      { id: 's2', name: 'Sam', worksheets: [] }
+    ];
+    const { students: next, changes } = regradeStudents(
+      students,
+      { question: 1, from: 'A', to: 'A or B' },
+      errataKey(1, 'A or B')
+    );
+
+    expect(changes).toEqual([]);
+    expect(next[0].worksheets[0].questionStats[1].correctAnswer).toBe('A or B');
+    expect(next[1]).toBe(students[1]);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { expandQuestionSpec, readKeyMetadata } from '../keyMetadata.js';
+import { KEY_LOOKUP, createKeyEntry } from '../keyBank.js';
+import { auditKey } from '../keyAudit.js';
+
+const HEADER_KEY = [
+  '---',
+  'title: Slopes and Intercepts',
+  'priority: High',
+  'choices: ABCD',
+  'tags 1-2: slope',
+  'tags 2, 3: intercepts',
+  'difficulty 3: hard',
+  '---',
+  '1. A',
+  '2. B',
+  '3. C'
+].join('\n');
+
+describe('readKeyMetadata', () => {
+  it('reads a header block and leaves the answers for parseKeyText', () => {
+    const { metadata, body, headerLineCount } = readKeyMetadata(HEADER_KEY);
+
+    expect(metadata).toMatchObject({ title: 'Slopes and Intercepts', priority: 'high', choices: ['A', 'B', 'C', 'D'] });
+    expect(metadata.questions.get(2)).toEqual({ tags: ['slope', 'intercepts'], difficulty: null });
+    expect(metadata.questions.get(3)).toEqual({ tags: ['intercepts'], difficulty: 'hard' });
+    expect(metadata.problems).toEqual([]);
+    expect(body).toBe('1. A\n2. B\n3. C');
+    expect(headerLineCount).toBe(8);
+  });
+
+  it('lets a sidecar override the header and reports bad values', () => {
+    const { metadata } = readKeyMetadata(HEADER_KEY, {
+      priority: 'medium',
+      number: 240,
+      questions: { '1': { difficulty: 'easy' }, '4-x': { tags: ['extra'] } },
+      colour: 'blue'
+    });
+
+    expect(metadata).toMatchObject({ priority: 'medium', number: 240 });
+    expect(metadata.questions.get(1)).toEqual({ tags: ['slope'], difficulty: 'easy' });
+    expect(metadata.problems).toEqual([
+      'Sidecar: "4-x" is not a question number or range',
+      'Sidecar: unknown field "colour"'
+    ]);
+  });
+
+  it('applies tags without question numbers to the whole key', () => {
+    const { metadata } = readKeyMetadata('---\ntags: boundaries\ndifficulty: medium\n---\n1. A');
+
+    expect(metadata).toMatchObject({ tags: ['boundaries'], difficulty: 'medium' });
+    expect(metadata.problems).toEqual([]);
+  });
+
+  it('expands question lists and ranges', () => {
+    expect(expandQuestionSpec('1-3, 7')).toEqual([1, 2, 3, 7]);
+    expect(expandQuestionSpec('5-2')).toBeNull();
+  });
+});
+
+describe('createKeyEntry', () => {
+  it('falls back to the filename when there is no metadata', () => {
+    const entry = createKeyEntry('./keys/math-204-lines.txt', '1. A\n2. B');
+
+    expect(entry).toMatchObject({ label: 'Math 204: Lines', subjectToken: 'math', number: 204, priority: null });
+  });
+
+  it('uses header fields over the filename and audits the answers only', () => {
+    const entry = createKeyEntry('./keys/math-204-lines.txt', HEADER_KEY);
+
+    expect(entry.label).toBe('Math 204: Slopes and Intercepts');
+    expect(entry.total).toBe(3);
+    expect(auditKey(entry).issues).toEqual([]);
+  });
+
+  it('carries the bundled priorities and alternates', () => {
+    expect(KEY_LOOKUP.get('math-204-lines').priority).toBe('high');
+    expect(KEY_LOOKUP.get('english-112-completes-the-text').priority).toBe('high');
+    expect(KEY_LOOKUP.get('english-112-poems').priority).toBeNull();
+    expect(KEY_LOOKUP.get('english-121-grammar-challenge-boundaries').alternates).toHaveLength(2);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { findSuspectKeyAnswers } from '../keySuspects.js';
+import { createKeyEntry } from '../keyBank.js';
+
+const KEY = createKeyEntry(
+  './keys/math-204-lines.txt',
+  '---\npriority: high\n---\n1. A\n2. B\n3. C\n4. D\n5. A\n6. B\n7. C'
+);
+
+function student(name, overrides) {
+  const questionStats = {};
+  for (let question = 1; question <= 7; question += 1) {
+    questionStats[question] = { status: 'correct', studentAnswer: KEY.key.get(question) };
+  }
+  Object.entries(overrides).forEach(([question, answer]) => {
+    questionStats[question] = { status: 'incorrect', studentAnswer: answer };
+  });
+  return { id: name.toLowerCase(), name, worksheets: [{ worksheetId: KEY.id, questionStats }] };
+}
+
+describe('findSuspectKeyAnswers', () => {
+  it('flags questions strong students miss with the same answer', () => {
+    const students = [
+      student('Ava', { 7: 'd' }),
+      student('Sam', { 7: 'D' }),
+      student('Kim', {}),
+      // Weak on the rest of the worksheet, so not counted either way.
+      student('Lee', { 1: 'B', 2: 'C', 3: 'D', 7: 'A' })
+    ];
+
+    const [suspect, ...rest] = findSuspectKeyAnswers(students, [KEY]);
+
+    expect(rest).toEqual([]);
+    expect(suspect).toMatchObject({
+      keyId: KEY.id,
+      question: 7,
+      keyAnswer: 'C',
+      suggestedAnswer: 'D',
+      line: 10,
+      agreeing: 2,
+      strongAnswered: 3,
+      strongCorrect: 1
+    });
+    expect(suspect.students.map((item) => item.name)).toEqual(['Ava', 'Sam']);
+  });
+
+  it('ignores scattered wrong answers', () => {
+    const students = [student('Ava', { 7: 'D' }), student('Sam', { 7: 'A' }), student('Kim', {})];
+
+    expect(findSuspectKeyAnswers(students, [KEY])).toEqual([]);
+  });
+});
@@ -76,3 +76,182 @@ describe('parseStudentAnswers', () => {
     );
   });
 });
+
+describe('parseStudentAnswers grid-in entries', () => {
+  it('reads numeric answers after an explicit separator', () => {
+    const parsed = parseStudentAnswers('1. -29\n2) 77/36\n3: .6666\n4. B');
+    expect(parsed.answers.get(1)).toBe('-29');
+    expect(parsed.answers.get(2)).toBe('77/36');
+    expect(parsed.answers.get(3)).toBe('.6666');
+    expect(parsed.answers.get(4)).toBe('B');
+  });
+
+  it('does not treat the next question number as an answer', () => {
+    const parsed = parseStudentAnswers('1.\n2. B\n3. 49\n4.\n5) C');
+    expect(parsed.answers.has(1)).toBe(false);
+    expect(parsed.answers.get(2)).toBe('B');
+    expect(parsed.answers.get(3)).toBe('49');
+    expect(parsed.answers.has(4)).toBe(false);
+    expect(parsed.manualReview).toEqual([]);
+  });
+});
+
+describe('parseStudentAnswers diagnostics', () => {
+  it('reads a point between two digits as a decimal, not a separator', () => {
+    const parsed = parseStudentAnswers('1.5\n2. .5\n3.75');
+    expect(Array.from(parsed.answers)).toEqual([[2, '.5']]);
+  });
+
+  it('reports detected pairs with character offsets', () => {
+    const input = '1) a\n2. 77/36';
+    const parsed = parseStudentAnswers(input);
+
+    expect(parsed.pairs).toEqual([
+      expect.objectContaining({ question: 1, answer: 'A', start: 0, end: 4, status: 'ok' }),
+      expect.objectContaining({ question: 2, answer: '77/36', start: 5, end: 13, status: 'ok' })
+    ]);
+    expect(input.slice(parsed.pairs[1].start, parsed.pairs[1].end)).toBe('2. 77/36');
+  });
+
+  it('reports text the parser could not interpret', () => {
+    const input = 'Name: Jordan\n1) a\n(2) b\nsee back';
+    const parsed = parseStudentAnswers(input);
+
+    expect(parsed.unmatched).toEqual([
+      { text: 'Name: Jordan', start: 0, end: 12 },
+      { text: 'see back', start: 24, end: 32 }
+    ]);
+    expect(parsed.ambiguous).toEqual([]);
+  });
+
+  it('flags ambiguous tokens and manual-review pairs', () => {
+    const input = '1) a\n7.\nBCD\n3) z\n1) b';
+    const parsed = parseStudentAnswers(input);
+    const reasons = parsed.ambiguous.map((item) => [item.text, item.reason]);
+
+    expect(reasons).toEqual([
+      ['1) a', 'Duplicate answers provided'],
+      ['7.', 'Question number without an answer'],
+      ['BCD', 'Answer letters without a question number'],
+      ['3) z', 'Answer outside A-E'],
+      ['1) b', 'Duplicate answers provided']
+    ]);
+    expect(parsed.ambiguous[1]).toMatchObject({ start: 5, end: 7, question: 7 });
+  });
+});
+
+describe('parseStudentAnswers compact answer strings', () => {
+  it('expands a range followed by a letter string', () => {
+    const parsed = parseStudentAnswers('1-10: ABDCCADBBA');
+    expect(Array.from(parsed.answers.entries())).toEqual([
+      [1, 'A'],
+      [2, 'B'],
+      [3, 'D'],
+      [4, 'C'],
+      [5, 'C'],
+      [6, 'A'],
+      [7, 'D'],
+      [8, 'B'],
+      [9, 'B'],
+      [10, 'A']
+    ]);
+    expect(parsed.unmatched).toEqual([]);
+  });
+
+  it('expands a starting number and ignores grouping spaces', () => {
+    const parsed = parseStudentAnswers('21 ABCD DCBA\n29) c');
+    expect(parsed.answers.get(21)).toBe('A');
+    expect(parsed.answers.get(24)).toBe('D');
+    expect(parsed.answers.get(25)).toBe('D');
+    expect(parsed.answers.get(28)).toBe('A');
+    expect(parsed.answers.get(29)).toBe('C');
+    expect(parsed.pairs.find((pair) => pair.question === 25)).toMatchObject({ start: 8, end: 9 });
+  });
+
+  it('sends every question in a mismatched range to manual review', () => {
+    const parsed = parseStudentAnswers('1-5: ABCD\n6) a');
+    expect(parsed.answers.size).toBe(1);
+    expect(parsed.answers.get(6)).toBe('A');
+    expect(parsed.manualReview.map((item) => item.question)).toEqual([1, 2, 3, 4, 5]);
+    expect(parsed.manualReview[0].reasons[0]).toMatch(/does not match range/);
+    expect(parsed.manualReview[4].answers).toEqual([]);
+  });
+
+  it('accepts single-letter groups after a range or "N:" prefix', () => {
+    const parsed = parseStudentAnswers('1-10: A B D C C A D B B A\n11: C D');
+    expect(Array.from(parsed.answers.values()).join('')).toBe('ABDCCADBBACD');
+    expect(parsed.answers.get(12)).toBe('D');
+    expect(parseStudentAnswers('1-3: A B C').answers.get(1)).toBe('A');
+  });
+
+  it('sends a spaced range with the wrong number of letters to manual review', () => {
+    const parsed = parseStudentAnswers('1-3: A B');
+    expect(parsed.answers.size).toBe(0);
+    expect(parsed.manualReview.map((item) => item.question)).toEqual([1, 2, 3]);
+  });
+
+  it('leaves prose and dates after a bare number alone', () => {
+    expect(parseStudentAnswers('Submitted 12 Dec 2024').answers.size).toBe(0);
+    expect(parseStudentAnswers('3 ace').answers.size).toBe(0);
+    expect(parseStudentAnswers('Due 5 bad days').answers.size).toBe(0);
+  });
+
+  it('keeps single-letter pairs out of compact parsing', () => {
+    const parsed = parseStudentAnswers('1) a 2) b 3) c');
+    expect(parsed.answers.get(1)).toBe('A');
+    expect(parsed.answers.get(2)).toBe('B');
+    expect(parsed.answers.get(3)).toBe('C');
+  });
+});
+
+describe('parseStudentAnswers skip and guess markers', () => {
+  it('records explicit skips separately from answers', () => {
+    const parsed = parseStudentAnswers('1. ?\n2. -\n3 skip\n4. -29\n5- a');
+    expect(parsed.omitted).toEqual([1, 2, 3]);
+    expect(parsed.answers.get(4)).toBe('-29');
+    expect(parsed.answers.get(5)).toBe('A');
+    expect(parsed.manualReview).toEqual([]);
+  });
+
+  it('flags guesses without changing the answer', () => {
+    const parsed = parseStudentAnswers('12 C?\n13) d*\n14. 2/3?\n15. a');
+    expect(parsed.answers.get(12)).toBe('C');
+    expect(parsed.answers.get(13)).toBe('D');
+    expect(parsed.answers.get(14)).toBe('2/3');
+    expect(parsed.guessed).toEqual([12, 13, 14]);
+  });
+
+  it('does not read a dash in a heading line as a skip', () => {
+    const answers = Array.from({ length: 12 }, (_, index) => `${index + 1}. ${'ABCD'[index % 4]}`);
+    const parsed = parseStudentAnswers(`Worksheet 12 - Lines\n${answers.join('\n')}`);
+    expect(parsed.omitted).toEqual([]);
+    expect(parsed.manualReview).toEqual([]);
+    expect(parsed.answers.get(12)).toBe('D');
+  });
+
+  it('keeps a dash-separated range instead of reading a skip', () => {
+    const parsed = parseStudentAnswers('1. A\n2 - 3 B C');
+    expect(parsed.omitted).toEqual([]);
+    expect(parsed.manualReview).toEqual([]);
+    expect(Array.from(parsed.answers)).toEqual([
+      [1, 'A'],
+      [2, 'B'],
+      [3, 'C']
+    ]);
+  });
+
+  it('reads a dash before a separator or the next pair as a skip', () => {
+    const parsed = parseStudentAnswers('1. -, 2. B\n3 - 4. C');
+    expect(parsed.omitted).toEqual([1, 3]);
+    expect(parsed.answers.get(4)).toBe('C');
+  });
+
+  it('sends a skip next to an answer for the same question to manual review', () => {
+    const parsed = parseStudentAnswers('4. ?\n4. B');
+    expect(parsed.omitted).toEqual([]);
+    expect(parsed.answers.has(4)).toBe(false);
+    expect(parsed.manualReview).toEqual([
+      { question: 4, answers: ['B'], reasons: ['Answer and skip marker both provided'] }
+    ]);
+  });
+});
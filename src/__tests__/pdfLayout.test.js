@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { layoutPageText } from '../pdfLayout.js';
+import { parseStudentAnswers } from '../grader.js';
+
+const FONT_SIZE = 12;
+const CHAR_WIDTH = 6;
+
+function item(str, x, y) {
+  return {
+    str,
+    transform: [FONT_SIZE, 0, 0, FONT_SIZE, x, y],
+    width: str.length * CHAR_WIDTH,
+    height: FONT_SIZE
+  };
+}
+
+describe('layoutPageText', () => {
+  it('reads a two-column sheet column by column', () => {
+    // Content-stream order interleaves the columns row by row.
+    const items = [
+      item('1.', 72, 700),
+      item('A', 90, 700),
+      item('4.', 300, 700),
+      item('D', 318, 700),
+      item('2.', 72, 680),
+      item('B', 90, 680),
+      item('5.', 300, 680),
+      item('A', 318, 680),
+      item('3.', 72, 660),
+      item('C', 90, 660),
+      item('6.', 300, 660),
+      item('B', 318, 660)
+    ];
+
+    expect(layoutPageText(items)).toBe('1. A\n2. B\n3. C\n4. D\n5. A\n6. B');
+  });
+
+  it('joins digits that pdf.js split into separate items', () => {
+    const items = [item('1', 72, 700), item('2', 78, 700), item('.', 84, 700), item('B', 96, 700)];
+
+    expect(layoutPageText(items)).toBe('12. B');
+  });
+
+  it('keeps a question number with its answer when they sit in separate tab stops', () => {
+    const items = [
+      item('11.', 72, 700),
+      item('C', 120, 700),
+      item('12.', 72, 680),
+      item('D', 120, 680)
+    ];
+
+    const text = layoutPageText(items);
+    expect(text).toBe('11. C\n12. D');
+    expect(parseStudentAnswers(text).answers.get(12)).toBe('D');
+  });
+
+  it('emits headings that span the columns before the columns below them', () => {
+    const items = [
+      item('1.', 72, 700),
+      item('A', 90, 700),
+      item('3.', 300, 700),
+      item('C', 318, 700),
+      item('Math 204 Lines answers for the whole page', 72, 740),
+      item('2.', 72, 680),
+      item('B', 90, 680),
+      item('4.', 300, 680),
+      item('D', 318, 680)
+    ];
+
+    expect(layoutPageText(items)).toBe(
+      'Math 204 Lines answers for the whole page\n1. A\n2. B\n3. C\n4. D'
+    );
+  });
+
+  it('returns an empty string for pages without text', () => {
+    expect(layoutPageText([])).toBe('');
+    expect(layoutPageText([item('   ', 72, 700)])).toBe('');
+  });
+});
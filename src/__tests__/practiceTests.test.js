@@ -0,0 +1,188 @@
+import { describe, expect, it } from 'vitest';
+import {
+  PRACTICE_KEYS,
+  applyPracticeResults,
+  createPracticeKey,
+  gradePracticeTest,
+  mergePracticeKeys,
+  parseScaleTable,
+  scaleSection,
+  splitByModule,
+  summarizeSections,
+  validatePracticeKey
+} from '../practiceTests.js';
+import { loadPracticeKeys, savePracticeKeys } from '../studentStore.js';
+
+const KEY = `RW M1
+1. A
+2. B
+3. C
+RW M2
+1. D
+2. A
+Math M1
+1. 4
+2. B
+Math M2
+1. 3/4
+2. C`;
+
+describe('practice tests', () => {
+  it('reads module headings from a practice key', () => {
+    const key = createPracticeKey('BB04', KEY);
+    expect(key.modules.map((module) => module.key.size)).toEqual([3, 2, 2, 2]);
+    expect(key.modules[3].key.get(1)).toBe('3/4');
+  });
+
+  it('routes module-prefixed answers to the right module', () => {
+    const { modules, unassigned } = splitByModule('5 A\nM1-1 A, M1-2 C\nM3-1 4\nM2-2 A\nMath\nM2-1 .75');
+    expect(unassigned).toBe('5 A');
+    expect(modules.get('rw1')).toBe('1. A, \n2. C');
+    expect(modules.get('rw2')).toBe('2. A');
+    expect(modules.get('math1')).toBe('1. 4');
+    expect(modules.get('math2')).toBe('1. .75');
+  });
+
+  it('grades each module and totals the sections', () => {
+    const key = createPracticeKey('BB04', KEY);
+    const answers = `Reading and Writing
+Module 1
+1. A
+2. B
+3. D
+Module 2: 1 D 2 A
+Math Module 1
+1. 4
+2. ?
+Math M2 - 1. 0.75
+7 B`;
+    const results = gradePracticeTest(key, answers, '2026-03-01T00:00:00.000Z');
+    expect(results.unassigned).toBe(0);
+    expect(results.modules.map((module) => `${module.label} ${module.correct}/${module.total}`)).toEqual([
+      'RW M1 2/3',
+      'RW M2 2/2',
+      'Math M1 1/2',
+      'Math M2 1/2'
+    ]);
+    expect(results.modules[0].incorrect).toEqual([{ question: 3, correctAnswer: 'C', studentAnswer: 'D' }]);
+    expect(results.modules[2].omitted).toEqual([2]);
+    expect(results.modules[3].missing).toEqual([2]);
+
+    const sections = summarizeSections(results);
+    expect(sections.map((section) => [section.id, section.correct, section.total])).toEqual([
+      ['readingWriting', 4, 5],
+      ['math', 2, 4]
+    ]);
+  });
+});
+
+describe('practice test scaling', () => {
+  const scale = {
+    readingWriting: { routingThreshold: 3, lower: [200, 250, 300, 350, 400, 450], upper: [200, 300, 400, 500, 600, 700] },
+    math: { scaled: [200, 300, 400, 500, 600] }
+  };
+
+  it('scales each section and routes module 2 by the module 1 raw score', () => {
+    const key = createPracticeKey('BB04', KEY, scale);
+    const results = gradePracticeTest(key, 'M1-1 A, M1-2 B, M1-3 C\nM2-1 D\nM3-1 4\nM4-1. 3/4, M4-2 C');
+    expect(results.scores).toEqual({
+      readingWriting: { raw: 4, routing: 'upper', scaled: 600 },
+      math: { raw: 3, routing: null, scaled: 500 },
+      composite: 1100
+    });
+
+    const lower = gradePracticeTest(key, 'M1-1 A, M1-2 B\nM2-1 D, M2-2 A');
+    expect(lower.scores.readingWriting).toEqual({ raw: 4, routing: 'lower', scaled: 400 });
+    expect(lower.scores.composite).toBeUndefined();
+  });
+
+  it('fills the practice test entry and keeps the raw counts', () => {
+    const key = createPracticeKey('BB04', KEY, scale);
+    const results = gradePracticeTest(key, 'M1-1 A, M1-2 B, M1-3 C\nM2-1 D\nM3-1 4\nM4-1. 3/4, M4-2 C');
+    const entry = applyPracticeResults(
+      { id: 'BB04', label: 'Bluebook 04', date: '2026-03-01', composite: '', math: '', readingWriting: '' },
+      results
+    );
+    expect(entry).toMatchObject({ composite: '1100', math: '500', readingWriting: '600', date: '2026-03-01' });
+    expect(entry.moduleResults.scores.math.raw).toBe(3);
+
+    const unscaled = applyPracticeResults({ id: 'BB05', composite: '1250' }, gradePracticeTest(createPracticeKey('BB05', KEY), 'M1-1 A'));
+    expect(unscaled.composite).toBe('1250');
+  });
+
+  it('rebuilds or clears the composite when only one section scales', () => {
+    const key = createPracticeKey('BB04', KEY, { math: scale.math });
+    const results = gradePracticeTest(key, 'M3-1 4\nM4-1. 3/4, M4-2 C');
+    expect(results.scores).toEqual({ math: { raw: 3, routing: null, scaled: 500 } });
+
+    const withEnglish = applyPracticeResults({ id: 'BB04', composite: '1400', math: '700', readingWriting: '650' }, results);
+    expect(withEnglish).toMatchObject({ composite: '1150', math: '500', readingWriting: '650' });
+
+    const withoutEnglish = applyPracticeResults({ id: 'BB04', composite: '1400', math: '700', readingWriting: '' }, results);
+    expect(withoutEnglish).toMatchObject({ composite: '', math: '500' });
+  });
+
+  it('ignores tables that do not cover the raw score', () => {
+    expect(scaleSection({ scaled: [200, 300] }, [{ id: 'math1', correct: 5 }])).toBeNull();
+    expect(scaleSection(null, [{ id: 'math1', correct: 1 }])).toBeNull();
+  });
+});
+
+describe('practice keys added in the app', () => {
+  it('grades a stored key through the merged practice keys', () => {
+    savePracticeKeys([{ testId: 'BB05', raw: KEY }]);
+    const keys = mergePracticeKeys(PRACTICE_KEYS, loadPracticeKeys());
+    expect(keys.has('BB05')).toBe(true);
+    const graded = gradePracticeTest(keys.get('BB05'), KEY);
+    expect(summarizeSections(graded).map((section) => section.correct)).toEqual([5, 4]);
+    window.localStorage.clear();
+  });
+
+  it('lets a stored key replace a bundled one', () => {
+    const bundled = new Map([['BB04', createPracticeKey('BB04', 'RW M1\n1. A')]]);
+    const keys = mergePracticeKeys(bundled, [{ testId: 'BB04', raw: KEY }]);
+    expect(keys.get('BB04').modules[0].key.size).toBe(3);
+    expect(bundled.get('BB04').modules[0].key.size).toBe(1);
+  });
+
+  it('rejects key text without module headings', () => {
+    expect(validatePracticeKey('1. A\n2. B')).toMatch(/No module answers/);
+    expect(validatePracticeKey(KEY)).toBeNull();
+  });
+});
+
+describe('conversion tables added in the app', () => {
+  const TABLE = JSON.stringify({
+    math: { scaled: [200, 300, 400, 500, 600] },
+    readingWriting: { routingThreshold: 2, lower: [200, 250, 300, 350, 400, 450], upper: [200, 300, 400, 500, 600, 700] }
+  });
+
+  it('scales a stored key with the table saved next to it', () => {
+    const { scale, error } = parseScaleTable(TABLE);
+    expect(error).toBeNull();
+    savePracticeKeys([{ testId: 'BB06', raw: KEY, scale }]);
+    const keys = mergePracticeKeys(PRACTICE_KEYS, loadPracticeKeys());
+    const graded = gradePracticeTest(keys.get('BB06'), KEY);
+    expect(graded.scores.readingWriting).toEqual({ raw: 5, scaled: 700, routing: 'upper' });
+    expect(graded.scores.math.scaled).toBe(600);
+    expect(graded.scores.composite).toBe(1300);
+    window.localStorage.clear();
+  });
+
+  it('keeps a bundled table when the stored key has none', () => {
+    const { scale } = parseScaleTable(TABLE);
+    const bundled = new Map([['BB04', createPracticeKey('BB04', KEY, scale)]]);
+    const keys = mergePracticeKeys(bundled, [{ testId: 'BB04', raw: KEY, scale: null }]);
+    expect(keys.get('BB04').scale).toBe(scale);
+  });
+
+  it('rejects tables that cannot be used', () => {
+    expect(parseScaleTable('')).toEqual({ scale: null, error: null });
+    expect(parseScaleTable('{ math:').error).toMatch(/not valid JSON/);
+    expect(parseScaleTable('{"math": {"scaled": "200"}}').error).toMatch(/^Math needs/);
+    expect(parseScaleTable('{"readingWriting": {"routingThreshold": 16, "lower": [200]}}').error).toMatch(
+      /^Reading and Writing needs/
+    );
+    expect(parseScaleTable('{"total": {"scaled": [200]}}').error).toMatch(/Add a "math"/);
+  });
+});
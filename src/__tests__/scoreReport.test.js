@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { applyScoreReport, diffScoreReport, matchReportTarget, parseScoreReport } from '../scoreReport.js';
+import { createStudent } from '../studentStore.js';
+
+const PRACTICE_REPORT = `SAT Practice Test #4
+Test Date: Mar 9, 2025   Printed 03/12/2025
+Your Total Score 1240 400-1600
+Reading and Writing Section Score 620 200-800
+Math Section Score 620 200-800
+Knowledge and Skills
+Information and Ideas (26% of test section, 12-14 questions) Performance: ■■■■■
+Craft and Structure (28%, 13-15 questions) Performance: ■■■■
+Algebra (35%, 13-15 questions) Band 6
+Advanced Math (35%, 13-15 questions) 5 of 7`;
+
+const OFFICIAL_REPORT = `SAT Score Report
+Test Date 10/05/2024
+TOTAL SCORE
+1310
+Reading and Writing
+640
+Math
+670`;
+
+describe('score reports', () => {
+  it('reads a Bluebook practice report', () => {
+    const report = parseScoreReport(PRACTICE_REPORT);
+    expect(report).toMatchObject({
+      kind: 'practice',
+      practiceTestId: 'BB04',
+      date: '2025-03-09',
+      composite: 1240,
+      readingWriting: 620,
+      math: 620
+    });
+    expect(report.domains.map((domain) => [domain.id, domain.band])).toEqual([
+      ['information-and-ideas', 5],
+      ['craft-and-structure', 4],
+      ['algebra', 6],
+      ['advanced-math', 5]
+    ]);
+  });
+
+  it('reads an official report and adds up missing totals', () => {
+    expect(parseScoreReport(OFFICIAL_REPORT)).toMatchObject({
+      kind: 'official',
+      date: '2024-10-05',
+      composite: 1310,
+      readingWriting: 640,
+      math: 670,
+      domains: []
+    });
+    expect(parseScoreReport('Reading and Writing 600\nMath 650').composite).toBe(1250);
+  });
+
+  it('fills the matching Bluebook entry and lists the changes first', () => {
+    const student = createStudent('Ada');
+    student.practiceTests = student.practiceTests.map((test) =>
+      test.id === 'BB04' ? { ...test, composite: '1200', math: '620' } : test
+    );
+    const report = parseScoreReport(PRACTICE_REPORT);
+    const target = matchReportTarget(student, report);
+    expect(target).toEqual({ list: 'practiceTests', id: 'BB04' });
+
+    const entry = student.practiceTests.find((test) => test.id === 'BB04');
+    const changes = diffScoreReport(entry, report);
+    expect(changes.map((change) => `${change.label}: ${change.before || '—'} → ${change.after}`)).toEqual([
+      'Date: — → 2025-03-09',
+      'Overall score: 1200 → 1240',
+      'English: — → 620',
+      'Information and Ideas: — → 5',
+      'Craft and Structure: — → 4',
+      'Algebra: — → 6',
+      'Advanced Math: — → 5'
+    ]);
+
+    const updated = applyScoreReport(student, report, target, '2025-03-12T00:00:00.000Z').practiceTests;
+    expect(updated.find((test) => test.id === 'BB04')).toMatchObject({
+      composite: '1240',
+      readingWriting: '620',
+      date: '2025-03-09',
+      domainBands: { algebra: 6 },
+      reportImportedAt: '2025-03-12T00:00:00.000Z'
+    });
+    expect(updated).toHaveLength(student.practiceTests.length);
+  });
+
+  it('matches official tests by date or adds a completed one', () => {
+    const student = { realTests: [{ id: 'official-1', date: '2024-10-05', status: 'upcoming', composite: '' }] };
+    const report = parseScoreReport(OFFICIAL_REPORT);
+    expect(matchReportTarget(student, report)).toEqual({ list: 'realTests', id: 'official-1' });
+    expect(applyScoreReport(student, report, { list: 'realTests', id: 'official-1' }).realTests[0]).toMatchObject({
+      status: 'completed',
+      composite: '1310'
+    });
+
+    const added = applyScoreReport({ realTests: [] }, report, { list: 'realTests', id: null }).realTests;
+    expect(added).toHaveLength(1);
+    expect(added[0]).toMatchObject({ date: '2024-10-05', status: 'completed', math: '670' });
+  });
+});
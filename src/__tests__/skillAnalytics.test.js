@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { questionSkills, summarizeSkills } from '../skillAnalytics.js';
+import { KEY_LOOKUP } from '../keyBank.js';
+
+const KEY = {
+  id: 'math-204-lines',
+  total: 4,
+  tags: ['linear-equations-two-variables'],
+  questionMeta: new Map([
+    [3, { tags: ['circles'], difficulty: null }],
+    [4, { tags: ['circles', 'custom-skill'], difficulty: null }]
+  ])
+};
+
+function upload(recordedAt, incorrect) {
+  return {
+    id: recordedAt,
+    recordedAt,
+    total: 4,
+    missing: [],
+    omitted: [],
+    manualReview: [],
+    incorrect: incorrect.map((question) => ({ question, studentAnswer: 'A', correctAnswer: 'B' }))
+  };
+}
+
+const RECORD = {
+  worksheetId: KEY.id,
+  questionStats: {
+    1: { status: 'correct', attempts: 2 },
+    2: { status: 'incorrect', attempts: 1 },
+    3: { status: 'incorrect', attempts: 1 },
+    4: { status: 'manual', attempts: 1 }
+  },
+  history: [
+    upload('2026-03-04', [2, 3]),
+    upload('2026-03-03', [3]),
+    upload('2026-03-02', [3]),
+    upload('2026-03-01', [1, 2])
+  ]
+};
+
+describe('questionSkills', () => {
+  it('prefers question tags over key-wide tags', () => {
+    expect(questionSkills(KEY, 1)).toEqual(['linear-equations-two-variables']);
+    expect(questionSkills(KEY, 3)).toEqual(['circles']);
+  });
+
+  it('reads the tags on bundled keys', () => {
+    expect(questionSkills(KEY_LOOKUP.get('english-115-transitions'), 1)).toEqual(['transitions']);
+  });
+});
+
+describe('summarizeSkills', () => {
+  it('aggregates accuracy weakest first and skips unresolved questions', () => {
+    const skills = summarizeSkills([RECORD], new Map([[KEY.id, KEY]]));
+
+    expect(skills.map((skill) => [skill.id, skill.correct, skill.graded])).toEqual([
+      ['circles', 0, 1],
+      ['linear-equations-two-variables', 1, 2]
+    ]);
+    expect(skills[0]).toMatchObject({ label: 'Circles', domainLabel: 'Geometry and Trigonometry' });
+    expect(skills[1].attempts).toBe(3);
+  });
+
+  it('compares recent uploads with earlier ones for the trend', () => {
+    const [, linear] = summarizeSkills([RECORD], new Map([[KEY.id, KEY]]));
+
+    // Earliest upload 0/2, the three since 5/6.
+    expect(linear.uploads).toBe(4);
+    expect(linear.trend).toBeCloseTo((5 / 6) * 100);
+  });
+});
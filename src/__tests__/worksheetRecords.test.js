@@ -0,0 +1,191 @@
+import { describe, expect, it } from 'vitest';
+import { PARSER_VERSION, grade, parseKeyText, parseStudentAnswers } from '../grader.js';
+import {
+  buildHistoryEntry,
+  buildRunQuestionStats,
+  historyDenominator,
+  historyOutcomes,
+  regradeFromSubmission,
+  resolveManualReview,
+  summarizeQuestionStats
+} from '../worksheetRecords.js';
+
+const KEY = {
+  id: 'math-204-lines',
+  label: 'Math 204: Lines',
+  key: parseKeyText('1. A\n2. B\n3. C\n4. D'),
+  total: 4
+};
+
+function gradeRun(text, keyMeta = KEY, previousStats = {}) {
+  const parsedAnswers = parseStudentAnswers(text);
+  const gradeResult = grade({ key: keyMeta.key, studentAnswers: parsedAnswers, skipMissing: true });
+  const nowIso = '2026-01-01T00:00:00.000Z';
+  const { attempted, questionStats } = buildRunQuestionStats(
+    gradeResult,
+    parsedAnswers,
+    keyMeta,
+    previousStats,
+    nowIso
+  );
+  const entry = buildHistoryEntry(gradeResult, {
+    attempted,
+    skipMissing: true,
+    submission: { text, fileName: 'ava.txt' },
+    nowIso
+  });
+  return { entry, questionStats };
+}
+
+function recordFrom(runs) {
+  // runs are newest first, like record.history
+  const questionStats = {};
+  [...runs].reverse().forEach((run) => Object.assign(questionStats, run.questionStats));
+  return {
+    worksheetId: KEY.id,
+    skipMissingUsed: true,
+    questionStats,
+    ...summarizeQuestionStats(questionStats, KEY, true),
+    history: runs.map((run) => run.entry)
+  };
+}
+
+describe('buildHistoryEntry', () => {
+  it('keeps the raw submission with the parser version', () => {
+    const { entry } = gradeRun('1. A\n2. C');
+
+    expect(entry.submission).toEqual({
+      text: '1. A\n2. C',
+      fileName: 'ava.txt',
+      parserVersion: PARSER_VERSION
+    });
+    expect(entry).toMatchObject({ correct: 1, attempted: 2, missing: [3, 4] });
+  });
+});
+
+describe('regradeFromSubmission', () => {
+  it('re-grades against the current key and reports per-question changes', () => {
+    const run = gradeRun('1. A\n2. C\n3. C');
+    const record = recordFrom([run]);
+    const fixedKey = { ...KEY, key: parseKeyText('1. A\n2. C\n3. C\n4. D') };
+
+    const outcome = regradeFromSubmission(record, run.entry.id, fixedKey);
+
+    expect(outcome.before).toMatchObject({ correct: 2, denominator: 3 });
+    expect(outcome.after).toMatchObject({ correct: 3, denominator: 3 });
+    expect(outcome.changes).toEqual([
+      { question: 2, before: { status: 'incorrect', answer: 'C' }, after: { status: 'correct', answer: '' } }
+    ]);
+    expect(outcome.record.questionStats[2]).toMatchObject({ status: 'correct', attempts: 1 });
+    expect(outcome.record.correct).toBe(3);
+    expect(outcome.record.history[0]).toMatchObject({ id: run.entry.id, correct: 3 });
+  });
+
+  it('leaves questions a newer upload covered alone', () => {
+    const older = gradeRun('1. A\n2. C');
+    const newer = gradeRun('2. D', KEY, older.questionStats);
+    const record = recordFrom([newer, older]);
+    const fixedKey = { ...KEY, key: parseKeyText('1. B\n2. C\n3. C\n4. D') };
+
+    const outcome = regradeFromSubmission(record, older.entry.id, fixedKey);
+
+    expect(outcome.changes.map((change) => change.question)).toEqual([1, 2]);
+    expect(outcome.record.questionStats[1].status).toBe('incorrect');
+    expect(outcome.record.questionStats[2]).toEqual(record.questionStats[2]);
+    expect(outcome.record.history[0]).toBe(newer.entry);
+  });
+
+  it('returns null for entries logged without a submission', () => {
+    const run = gradeRun('1. A');
+    const record = recordFrom([{ ...run, entry: { ...run.entry, submission: null } }]);
+
+    expect(regradeFromSubmission(record, run.entry.id, KEY)).toBeNull();
+  });
+});
+
+describe('resolveManualReview', () => {
+  const NOW = '2026-02-01T00:00:00.000Z';
+
+  it('grades an accepted answer and recalculates the record', () => {
+    const run = gradeRun('1. A\n2. B\n2. C\n3. F');
+    const record = recordFrom([run]);
+    expect(record.manualReview.map((item) => item.question)).toEqual([2, 3]);
+
+    const updated = resolveManualReview(record, run.entry.id, 2, { action: 'accept', answer: 'B' }, KEY, NOW);
+
+    expect(updated.questionStats[2]).toMatchObject({ status: 'correct', studentAnswer: 'B', attempts: 1 });
+    expect(updated.questionStats[2].manualAnswers).toBeUndefined();
+    expect(updated).toMatchObject({ correct: 2, manualReviewCount: 1, denominator: 3 });
+    expect(updated.history[0]).toMatchObject({ correct: 2, manualReviewCount: 1 });
+    expect(updated.history[0].resolved).toEqual([
+      {
+        question: 2,
+        action: 'accept',
+        answer: 'B',
+        status: 'correct',
+        answers: ['B', 'C'],
+        reasons: expect.any(Array),
+        resolvedAt: NOW
+      }
+    ]);
+    expect(historyOutcomes(updated.history[0]).get(2)).toEqual({ status: 'correct', answer: 'B' });
+  });
+
+  it('marks an item wrong or voids it out of the denominator', () => {
+    const run = gradeRun('1. A\n2. B\n2. C\n3. F');
+    const record = recordFrom([run]);
+
+    const wrong = resolveManualReview(record, run.entry.id, 3, { action: 'wrong' }, KEY, NOW);
+    expect(wrong.incorrect).toEqual([{ question: 3, studentAnswer: 'F', correctAnswer: 'C' }]);
+    expect(wrong.history[0].incorrect).toEqual([{ question: 3, studentAnswer: 'F', correctAnswer: 'C' }]);
+
+    const voided = resolveManualReview(wrong, run.entry.id, 2, { action: 'void' }, KEY, NOW);
+    expect(voided).toMatchObject({ correct: 1, voided: [2], denominator: 2, percent: 50 });
+    expect(voided.history[0]).toMatchObject({ voided: [2], manualReview: [], percent: 50 });
+    expect(historyOutcomes(voided.history[0]).get(2).status).toBe('voided');
+  });
+
+  it('only touches the history entry when a newer upload covered the question', () => {
+    const older = gradeRun('2. B\n2. C');
+    const newer = gradeRun('2. D', KEY, older.questionStats);
+    const record = recordFrom([newer, older]);
+
+    const updated = resolveManualReview(record, older.entry.id, 2, { action: 'accept', answer: 'B' }, KEY, NOW);
+
+    expect(updated.questionStats[2]).toEqual(record.questionStats[2]);
+    expect(updated.history[1]).toMatchObject({ correct: 1, manualReview: [] });
+  });
+
+  it('keeps resolutions when the entry is re-graded from its submission', () => {
+    const run = gradeRun('1. A\n2. B\n2. C');
+    const resolved = resolveManualReview(recordFrom([run]), run.entry.id, 2, { action: 'void' }, KEY, NOW);
+
+    const outcome = regradeFromSubmission(resolved, run.entry.id, KEY);
+
+    expect(outcome.changes).toEqual([]);
+    expect(outcome.record.questionStats[2].status).toBe('voided');
+    expect(outcome.record.history[0]).toMatchObject({ voided: [2], manualReview: [] });
+  });
+
+  it('only voids a question the key lacks', () => {
+    const run = gradeRun('1. A\n5. B');
+    const record = recordFrom([run]);
+
+    expect(record.manualReview.map((item) => item.question)).toEqual([5]);
+    expect(resolveManualReview(record, run.entry.id, 5, { action: 'accept', answer: 'B' }, KEY, NOW)).toBeNull();
+    expect(resolveManualReview(record, run.entry.id, 5, { action: 'wrong' }, KEY, NOW)).toBeNull();
+    expect(resolveManualReview(record, run.entry.id, 5, { action: 'void' }, KEY, NOW)).not.toBeNull();
+  });
+
+  it('keeps the denominator when voiding a question outside the key', () => {
+    const run = gradeRun('1. A 2. B 3. C 4. A 5. B');
+    const record = recordFrom([run]);
+    expect(record).toMatchObject({ correct: 3, denominator: 4, percent: 75 });
+
+    const updated = resolveManualReview(record, run.entry.id, 5, { action: 'void' }, KEY, NOW);
+
+    expect(updated).toMatchObject({ correct: 3, denominator: 4, percent: 75, voided: [5] });
+    expect(updated.history[0]).toMatchObject({ correct: 3, percent: 75, voided: [5], manualReview: [] });
+    expect(historyDenominator(updated.history[0])).toBe(4);
+  });
+});
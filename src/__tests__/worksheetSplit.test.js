@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { findWorksheetHeaders, splitByWorksheetHeaders } from '../worksheetSplit.js';
+
+const KEYS = [
+  { id: 'english-112-completes-the-text', number: 112, subjectToken: 'english', descriptor: 'Completes the Text', label: 'English 112: Completes the Text' },
+  { id: 'english-112-poems', number: 112, subjectToken: 'english', descriptor: 'Poems', label: 'English 112: Poems' },
+  { id: 'math-204-lines', number: 204, subjectToken: 'math', descriptor: 'Lines', label: 'Math 204: Lines' },
+  { id: 'math-207-functions', number: 207, subjectToken: 'math', descriptor: 'Functions', label: 'Math 207: Functions' },
+  { id: 'math-208-percentages', number: 208, subjectToken: 'math', descriptor: 'Percentages', label: 'Math 208: Percentages' }
+];
+
+describe('splitByWorksheetHeaders', () => {
+  it('splits a submission at worksheet headings', () => {
+    const text = [
+      'Jordan homework',
+      'Math 204 Lines',
+      '1. A 2. B',
+      '207 Functions',
+      '1) c',
+      'MATH 208: 1. D'
+    ].join('\n');
+
+    const { segments, unassigned } = splitByWorksheetHeaders(text, KEYS);
+
+    expect(unassigned).toBe('Jordan homework');
+    expect(segments.map((segment) => [segment.keyId, segment.text])).toEqual([
+      ['math-204-lines', '1. A 2. B'],
+      ['math-207-functions', '1) c'],
+      ['math-208-percentages', '1. D']
+    ]);
+  });
+
+  it('uses the heading words to choose between keys that share a number', () => {
+    const headers = findWorksheetHeaders('English 112 Poems\n1. D', KEYS);
+    expect(headers.map((header) => header.keyId)).toEqual(['english-112-poems']);
+  });
+
+  it('ignores bare numbers without a subject or title', () => {
+    const { segments } = splitByWorksheetHeaders('204 B\n207\n1. A', KEYS);
+    expect(segments).toEqual([]);
+  });
+
+  it('merges repeated headings for the same worksheet', () => {
+    const text = 'Math 204\n1. A\nMath 207\n1. B\nMath 204 continued\n2. C';
+    const { segments } = splitByWorksheetHeaders(text, KEYS);
+
+    expect(segments).toHaveLength(2);
+    expect(segments[0]).toMatchObject({ keyId: 'math-204-lines', text: '1. A\n2. C' });
+  });
+});
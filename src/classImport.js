@@ -0,0 +1,149 @@
+// Reads a class spreadsheet export (CSV or TSV, one row per student, one
+// column per question) into per-student answer text for parseStudentAnswers.
+
+const DELIMITERS = [',', '\t', ';'];
+const NAME_HEADER = /^(?:student(?:'s)?\s*)?(?:full\s*)?name$|^student$/i;
+const FIRST_NAME_HEADER = /^first\s*name$/i;
+const LAST_NAME_HEADER = /^(?:last|sur)\s*name$/i;
+// "1", "Q1", "Question 1", "#1", "1. Which choice..." (form exports repeat the prompt)
+const QUESTION_HEADER = /^\s*(?:q(?:uestion)?\s*\.?\s*|#\s*)?(\d{1,3})(?!\d)(?=\s*[.):\]-]|\s|$)/i;
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? '';
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// RFC 4180 style: quoted fields may contain delimiters, newlines and "" quotes.
+export function parseDelimited(text, delimiter = detectDelimiter(String(text ?? ''))) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function findNameColumns(headers, questionIndexes) {
+  const named = headers.findIndex((header) => NAME_HEADER.test(header.trim()));
+  if (named !== -1) {
+    return [named];
+  }
+
+  const first = headers.findIndex((header) => FIRST_NAME_HEADER.test(header.trim()));
+  const last = headers.findIndex((header) => LAST_NAME_HEADER.test(header.trim()));
+  if (first !== -1) {
+    return last !== -1 ? [first, last] : [first];
+  }
+
+  // Fall back to the first column that is not a question, timestamp or email.
+  const fallback = headers.findIndex(
+    (header, index) =>
+      !questionIndexes.has(index) && !/time\s*stamp|e-?mail|date/i.test(header)
+  );
+  return fallback === -1 ? [] : [fallback];
+}
+
+export function readClassSheet(text) {
+  const [headers, ...body] = parseDelimited(text);
+  if (!headers) {
+    throw new Error('The class file is empty.');
+  }
+
+  const questionColumns = [];
+  headers.forEach((header, index) => {
+    const match = header.match(QUESTION_HEADER);
+    if (match) {
+      questionColumns.push({ index, question: Number.parseInt(match[1], 10) });
+    }
+  });
+  if (questionColumns.length === 0) {
+    throw new Error('No question columns found. Label the columns 1, 2, 3 or Q1, Q2, Q3.');
+  }
+
+  const nameColumns = findNameColumns(headers, new Set(questionColumns.map((column) => column.index)));
+  if (nameColumns.length === 0) {
+    throw new Error('No student name column found. Add a "Name" column.');
+  }
+
+  const rows = [];
+  const skipped = [];
+  body.forEach((cells, index) => {
+    // Spreadsheet row number (header is row 1, blank rows are dropped).
+    const line = index + 2;
+    const name = nameColumns
+      .map((column) => (cells[column] ?? '').trim())
+      .filter(Boolean)
+      .join(' ');
+    if (!name) {
+      skipped.push({ line, reason: 'Missing student name' });
+      return;
+    }
+
+    const answerLines = questionColumns
+      .map(({ index: column, question }) => {
+        const value = (cells[column] ?? '').trim();
+        return value ? `${question}. ${value}` : null;
+      })
+      .filter(Boolean);
+    if (answerLines.length === 0) {
+      skipped.push({ line, name, reason: 'No answers' });
+      return;
+    }
+
+    rows.push({ line, name, text: answerLines.join('\n') });
+  });
+
+  return {
+    questions: questionColumns.map((column) => column.question),
+    nameHeader: nameColumns.map((column) => headers[column].trim()).join(' + '),
+    rows,
+    skipped
+  };
+}
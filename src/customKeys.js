@@ -0,0 +1,93 @@
+// Answer keys added by tutors in the app. They are stored in the browser as
+// { id, subject, number, title, raw } and turned into the same entries as the
+// bundled key files, with subject/number/title acting as a sidecar.
+import { createKeyEntry, sortKeys } from './keyBank.js';
+import { readKeyMetadata } from './keyMetadata.js';
+import { parseKeyText } from './grader.js';
+
+export const CUSTOM_KEY_SUBJECTS = ['english', 'math'];
+
+export function createCustomKeyEntry(stored) {
+  const entry = createKeyEntry(`./custom/${stored.id}.txt`, stored.raw, {
+    subject: stored.subject,
+    number: stored.number,
+    title: stored.title
+  });
+  return { ...entry, custom: true };
+}
+
+export function mergeCustomKeys(entries, storedKeys) {
+  if (!Array.isArray(storedKeys) || storedKeys.length === 0) {
+    return entries;
+  }
+  return sortKeys([...entries, ...storedKeys.map(createCustomKeyEntry)]);
+}
+
+// Returns an error message, or null when the draft can be saved. editingId is
+// the key being edited so it does not clash with itself.
+export function validateCustomKey(draft, entries, editingId = null) {
+  const title = String(draft.title ?? '').trim();
+  const number = Number.parseInt(draft.number, 10);
+  if (!CUSTOM_KEY_SUBJECTS.includes(draft.subject)) {
+    return 'Pick English or Math.';
+  }
+  if (!Number.isInteger(number) || number < 1 || number > 999) {
+    return 'Enter a worksheet number from 1 to 999.';
+  }
+  if (!title) {
+    return 'Give the key a title.';
+  }
+  const { body } = readKeyMetadata(draft.raw);
+  if (parseKeyText(body).size === 0) {
+    return 'No answers found. Use one question per line, like "1. B".';
+  }
+  const clash = entries.find(
+    (entry) =>
+      entry.id !== editingId &&
+      entry.subjectToken === draft.subject &&
+      entry.number === number &&
+      entry.descriptor.toLowerCase() === title.toLowerCase()
+  );
+  if (clash) {
+    return `${clash.label} already exists.`;
+  }
+  return null;
+}
+
+// The id is fixed when the key is created so stored results keep pointing at
+// it after the number or title is edited.
+export function buildCustomKey(draft, previous = null) {
+  const now = new Date().toISOString();
+  const number = Number.parseInt(draft.number, 10);
+  return {
+    id: previous?.id ?? `custom-${draft.subject}-${number}-${Date.now().toString(36)}`,
+    subject: draft.subject,
+    number,
+    title: String(draft.title).trim(),
+    raw: String(draft.raw ?? '').trim(),
+    createdAt: previous?.createdAt ?? now,
+    updatedAt: now
+  };
+}
+
+// Compares two parsed keys (Map question -> answer). `changed` entries use the
+// { question, from, to } shape regradeStudents takes; questions added or
+// removed have no stored result to regrade against and are listed apart.
+export function diffKeyAnswers(before, after) {
+  const changed = [];
+  const added = [];
+  const removed = [];
+  after.forEach((to, question) => {
+    if (!before.has(question)) {
+      added.push(question);
+    } else if (before.get(question) !== to) {
+      changed.push({ question, from: before.get(question), to });
+    }
+  });
+  before.forEach((_, question) => {
+    if (!after.has(question)) {
+      removed.push(question);
+    }
+  });
+  return { changed, added, removed: removed.sort((a, b) => a - b) };
+}
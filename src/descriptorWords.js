@@ -0,0 +1,13 @@
+// Words used to match free text (file names, worksheet headings, highlight
+// titles) against key descriptors. Kept apart from keyBank.js so matching text
+// does not load every bundled key.
+
+// Filler that says nothing about which worksheet the text refers to.
+const DESCRIPTOR_STOP_WORDS = new Set(['and', 'the', 'for', 'with', 'alt', 'set', 'pdf', 'txt']);
+
+export function descriptorWords(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter((word) => word.length >= 3 && !DESCRIPTOR_STOP_WORDS.has(word));
+}
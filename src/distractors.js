@@ -0,0 +1,113 @@
+// Which answers students pick on each question of a worksheet, pooled over
+// every student and every upload. History entries keep the wrong answers;
+// questions not listed as wrong, flagged or unanswered were answered right.
+import { historyOutcomes } from './worksheetRecords.js';
+
+// A wrong answer "dominates" when it has at least this many picks and this
+// share of all wrong picks on the question.
+export const DOMINANT_MIN_PICKS = 3;
+export const DOMINANT_SHARE = 0.5;
+
+function normalizeAnswer(answer) {
+  return String(answer ?? '').trim().toUpperCase();
+}
+
+function recordsFor(students, worksheetId) {
+  return (students ?? [])
+    .map((student) => (student.worksheets ?? []).find((item) => item.worksheetId === worksheetId))
+    .filter(Boolean);
+}
+
+// Worksheets with at least one upload, busiest first.
+export function listGradedWorksheets(students, keyLookup) {
+  const uploads = new Map();
+  (students ?? []).forEach((student) => {
+    (student.worksheets ?? []).forEach((record) => {
+      const count = (record.history ?? []).length;
+      if (count > 0 && keyLookup.has(record.worksheetId)) {
+        uploads.set(record.worksheetId, (uploads.get(record.worksheetId) ?? 0) + count);
+      }
+    });
+  });
+  return Array.from(uploads.entries())
+    .map(([id, count]) => ({ id, label: keyLookup.get(id).label, uploads: count }))
+    .sort((a, b) => b.uploads - a.uploads || a.label.localeCompare(b.label));
+}
+
+export function analyzeDistractors(students, keyMeta) {
+  const records = recordsFor(students, keyMeta.id);
+  const questions = new Map();
+  for (let question = 1; question <= keyMeta.total; question += 1) {
+    questions.set(question, { correct: 0, skipped: 0, wrong: new Map() });
+  }
+
+  let uploads = 0;
+  records.forEach((record) => {
+    (record.history ?? []).forEach((entry) => {
+      uploads += 1;
+      const wrongAnswers = new Map(
+        (entry.incorrect ?? []).map((item) => [item.question, normalizeAnswer(item.studentAnswer)])
+      );
+      historyOutcomes(entry).forEach(({ status }, question) => {
+        const tally = questions.get(question);
+        if (!tally) {
+          return;
+        }
+        if (status === 'correct') {
+          tally.correct += 1;
+        } else if (status === 'omitted') {
+          tally.skipped += 1;
+        } else if (status === 'incorrect') {
+          const answer = wrongAnswers.get(question) || '?';
+          tally.wrong.set(answer, (tally.wrong.get(answer) ?? 0) + 1);
+        }
+      });
+    });
+  });
+
+  const rows = Array.from(questions.entries()).map(([question, tally]) => {
+    const wrong = Array.from(tally.wrong.entries())
+      .map(([answer, count]) => ({ answer, count }))
+      .sort((a, b) => b.count - a.count || a.answer.localeCompare(b.answer));
+    const wrongTotal = wrong.reduce((sum, item) => sum + item.count, 0);
+    const top = wrong[0];
+    const dominant =
+      top && top.count >= DOMINANT_MIN_PICKS && top.count / wrongTotal >= DOMINANT_SHARE
+        ? { ...top, share: top.count / wrongTotal, rivalsKey: top.count >= tally.correct }
+        : null;
+    return {
+      question,
+      correctAnswer: keyMeta.key.get(question) ?? '',
+      responses: tally.correct + tally.skipped + wrongTotal,
+      correct: tally.correct,
+      skipped: tally.skipped,
+      wrong,
+      wrongTotal,
+      dominant
+    };
+  });
+
+  return {
+    worksheetId: keyMeta.id,
+    label: keyMeta.label,
+    students: records.filter((record) => (record.history ?? []).length > 0).length,
+    uploads,
+    questions: rows,
+    flagged: rows.filter((row) => row.dominant)
+  };
+}
+
+export function formatDistractorReport(report) {
+  const lines = [`${report.label}: ${report.students} students, ${report.uploads} uploads`];
+  if (report.flagged.length === 0) {
+    lines.push('No single wrong answer dominates any question.');
+    return lines.join('\n');
+  }
+  lines.push('Reteach:');
+  report.flagged.forEach((row) => {
+    lines.push(
+      `  Q${row.question} (key ${row.correctAnswer}): ${row.dominant.answer} chosen ${row.dominant.count} of ${row.wrongTotal} wrong answers, ${row.correct} correct`
+    );
+  });
+  return lines.join('\n');
+}
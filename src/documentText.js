@@ -0,0 +1,384 @@
+// Pulls plain text out of .docx and .rtf uploads in the browser so they can go
+// through parseStudentAnswers like PDF and TXT files. Students usually type
+// answers into tables, so table rows are rebuilt as "12. C" style lines.
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const DOCX_BODY_PATH = 'word/document.xml';
+const BARE_NUMBER_CELL = /^\(?(\d{1,3})[.):\]]*$/;
+
+function isQuestionCell(text) {
+  return BARE_NUMBER_CELL.test(text.trim());
+}
+
+function questionNumber(text) {
+  return text.trim().match(BARE_NUMBER_CELL)[1];
+}
+
+// A bare number cell followed by an answer cell becomes "12. C"; the explicit
+// separator keeps grid-in answers like "2/3" readable by the parser.
+function rowText(cells) {
+  const parts = [];
+  for (let index = 0; index < cells.length; index += 1) {
+    const cell = cells[index].trim();
+    const next = cells[index + 1]?.trim();
+    if (isQuestionCell(cell) && next && !isQuestionCell(next)) {
+      parts.push(`${questionNumber(cell)}. ${next}`);
+      index += 1;
+    } else if (cell) {
+      parts.push(cell);
+    }
+  }
+  return parts.join('\t');
+}
+
+export function tableToText(rows) {
+  const lines = [];
+  for (let index = 0; index < rows.length; index += 1) {
+    const cells = rows[index];
+    const next = rows[index + 1];
+    const filled = cells.filter((cell) => cell.trim());
+
+    // Transposed layout: a row of question numbers above a row of answers.
+    if (
+      next &&
+      filled.length > 1 &&
+      filled.every(isQuestionCell) &&
+      next.length === cells.length &&
+      !next.filter((cell) => cell.trim()).every(isQuestionCell)
+    ) {
+      cells.forEach((cell, column) => {
+        const answer = next[column]?.trim();
+        if (isQuestionCell(cell) && answer) {
+          lines.push(`${questionNumber(cell)}. ${answer}`);
+        }
+      });
+      index += 1;
+      continue;
+    }
+
+    const text = rowText(cells);
+    if (text) {
+      lines.push(text);
+    }
+  }
+  return lines.join('\n');
+}
+
+function tidyLines(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/[ \u00a0]+/g, ' ').replace(/ *\t */g, '\t').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X'
+        ? Number.parseInt(name.slice(2), 16)
+        : Number.parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
+
+// Walks WordprocessingML tags in order. Only <w:t> runs carry visible text;
+// paragraphs end lines, and table cells/rows are collected for tableToText.
+export function docxXmlToText(xml) {
+  const output = [];
+  const tables = [];
+  let inText = false;
+  let inTabStops = false;
+
+  const currentRow = () => {
+    const table = tables[tables.length - 1];
+    if (!table) {
+      return null;
+    }
+    return table.rows[table.rows.length - 1] ?? null;
+  };
+  const write = (text) => {
+    const row = currentRow();
+    if (row && row.inCell) {
+      row.cells[row.cells.length - 1] += text;
+    } else {
+      output.push(text);
+    }
+  };
+
+  for (const match of String(xml ?? '').matchAll(/<(\/?)([\w:]+)[^>]*?(\/?)>|([^<]+)/g)) {
+    const [, closing, tag, selfClosing, text] = match;
+    if (text !== undefined) {
+      if (inText) {
+        write(decodeXmlText(text));
+      }
+      continue;
+    }
+
+    if (tag === 'w:t') {
+      inText = !closing && !selfClosing;
+    } else if (tag === 'w:tabs') {
+      // Tab stop definitions in paragraph properties, not tab characters.
+      inTabStops = !closing && !selfClosing;
+    } else if (tag === 'w:tab' && !closing && !inTabStops) {
+      write('\t');
+    } else if ((tag === 'w:br' || tag === 'w:cr') && !closing) {
+      write(currentRow()?.inCell ? ' ' : '\n');
+    } else if (tag === 'w:p' && closing) {
+      write(currentRow()?.inCell ? ' ' : '\n');
+    } else if (tag === 'w:tbl') {
+      if (!closing) {
+        tables.push({ rows: [] });
+      } else {
+        const table = tables.pop();
+        write(`${tableToText(table.rows.map((row) => row.cells))}\n`);
+      }
+    } else if (tag === 'w:tr' && !closing && tables.length > 0) {
+      tables[tables.length - 1].rows.push({ cells: [], inCell: false });
+    } else if (tag === 'w:tc') {
+      const row = currentRow();
+      if (row) {
+        if (!closing) {
+          row.cells.push('');
+        }
+        row.inCell = !closing;
+      }
+    }
+  }
+
+  return tidyLines(output.join(''));
+}
+
+async function inflateRaw(bytes) {
+  const stream = new DecompressionStream('deflate-raw');
+  const writer = stream.writable.getWriter();
+  // Errors surface through the reader below.
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+
+// Minimal zip reader: enough to locate one entry through the central
+// directory and inflate it with the browser's DecompressionStream.
+async function readZipEntry(buffer, path) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  let endOffset = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset -= 1) {
+    if (view.getUint32(offset, true) === ZIP_END_OF_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('File is not a valid .docx document');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+
+  for (let entry = 0; entry < entryCount; entry += 1) {
+    if (view.getUint32(offset, true) !== ZIP_DIRECTORY_ENTRY) {
+      break;
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name !== path) {
+      continue;
+    }
+
+    const dataStart =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === ZIP_STORED) {
+      return decoder.decode(data);
+    }
+    if (method === ZIP_DEFLATED) {
+      return decoder.decode(await inflateRaw(data));
+    }
+    throw new Error(`Unsupported .docx compression method ${method}`);
+  }
+
+  return null;
+}
+
+export async function extractDocxText(buffer) {
+  const xml = await readZipEntry(buffer, DOCX_BODY_PATH);
+  if (xml === null) {
+    throw new Error('No document body found in this .docx file');
+  }
+  return docxXmlToText(xml);
+}
+
+// Destinations whose contents are formatting data rather than visible text.
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl',
+  'colortbl',
+  'stylesheet',
+  'info',
+  'pict',
+  'header',
+  'footer',
+  'listtable',
+  'listoverridetable',
+  'themedata',
+  'datastore',
+  'latentstyles'
+]);
+
+export function extractRtfText(raw) {
+  const source = String(raw ?? '');
+  const output = [];
+  const groups = [{ skip: false, unicodeSkip: 1 }];
+  let pendingSkip = 0;
+  let table = null;
+  let inTable = false;
+
+  const state = () => groups[groups.length - 1];
+  const flushTable = () => {
+    if (table) {
+      output.push(`\n${tableToText(table.rows)}\n`);
+      table = null;
+    }
+  };
+  const write = (text) => {
+    if (state().skip) {
+      return;
+    }
+    if (pendingSkip > 0) {
+      pendingSkip -= 1;
+      return;
+    }
+    if (table && inTable) {
+      table.cells[table.cells.length - 1] += text;
+      return;
+    }
+    if (text.trim()) {
+      flushTable();
+    }
+    output.push(text);
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+
+    if (char === '{') {
+      groups.push({ ...state() });
+      continue;
+    }
+    if (char === '}') {
+      if (groups.length > 1) {
+        groups.pop();
+      }
+      continue;
+    }
+    if (char === '\r' || char === '\n') {
+      continue;
+    }
+    if (char !== '\\') {
+      write(char);
+      continue;
+    }
+
+    const next = source[index + 1];
+    if (next === '\\' || next === '{' || next === '}') {
+      write(next);
+      index += 1;
+      continue;
+    }
+    if (next === "'") {
+      const code = Number.parseInt(source.slice(index + 2, index + 4), 16);
+      if (Number.isFinite(code)) {
+        write(String.fromCharCode(code));
+      }
+      index += 3;
+      continue;
+    }
+    if (next === '*') {
+      state().skip = true;
+      index += 1;
+      continue;
+    }
+    if (next === '~') {
+      write(' ');
+      index += 1;
+      continue;
+    }
+
+    const control = source.slice(index + 1).match(/^([a-z]+)(-?\d+)? ?/i);
+    if (!control) {
+      index += 1;
+      continue;
+    }
+    index += control[0].length;
+    const [, word, parameter] = control;
+    pendingSkip = 0;
+
+    if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+      state().skip = true;
+    } else if (word === 'par' || word === 'line') {
+      write(table && inTable ? ' ' : '\n');
+    } else if (word === 'tab') {
+      write('\t');
+    } else if (word === 'pard') {
+      inTable = false;
+    } else if (word === 'intbl') {
+      inTable = true;
+      if (!table && !state().skip) {
+        table = { rows: [], cells: [''] };
+      }
+    } else if (word === 'cell' && table) {
+      table.cells.push('');
+    } else if (word === 'row' && table) {
+      table.rows.push(table.cells.slice(0, -1));
+      table.cells = [''];
+    } else if (word === 'uc') {
+      state().unicodeSkip = Number.parseInt(parameter ?? '1', 10);
+    } else if (word === 'u' && parameter) {
+      const code = Number.parseInt(parameter, 10);
+      write(String.fromCharCode(code < 0 ? code + 65536 : code));
+      pendingSkip = state().unicodeSkip;
+    }
+  }
+
+  flushTable();
+  return tidyLines(output.join(''));
+}
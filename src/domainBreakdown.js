@@ -0,0 +1,50 @@
+// Per-domain view across test results and worksheets. Tests carry the 1-7
+// performance band from the score report (`domainBands`); worksheets count
+// toward a domain through the skill tags on their keys.
+import { summarizeDomains } from './skillAnalytics.js';
+import { SAT_DOMAINS } from './studentMetadata.js';
+
+export const BAND_MAX = 7;
+
+function testsWithBands(student) {
+  return [
+    ...(student.practiceTests ?? []).map((test) => ({ ...test, kind: 'practice' })),
+    ...(student.customPracticeTests ?? []).map((test) => ({ ...test, kind: 'practice' })),
+    ...(student.realTests ?? [])
+      .filter((test) => test.status === 'completed')
+      .map((test) => ({ ...test, label: 'Official SAT', kind: 'official' }))
+  ].filter((test) => test.domainBands && Object.keys(test.domainBands).length > 0);
+}
+
+// Map of domain id -> bands oldest first. Undated tests sort first so they
+// never count as the latest result.
+export function collectDomainBands(student) {
+  const bands = new Map(SAT_DOMAINS.map((domain) => [domain.id, []]));
+  testsWithBands(student)
+    .sort((a, b) => (a.date ?? '').localeCompare(b.date ?? ''))
+    .forEach((test) => {
+      Object.entries(test.domainBands).forEach(([domainId, band]) => {
+        if (bands.has(domainId) && Number.isInteger(band)) {
+          bands.get(domainId).push({ testId: test.id, label: test.label, kind: test.kind, date: test.date ?? '', band });
+        }
+      });
+    });
+  return bands;
+}
+
+export function buildDomainBreakdown(student, keyLookup) {
+  const worksheets = new Map(summarizeDomains(student.worksheets, keyLookup).map((item) => [item.id, item]));
+  const bands = collectDomainBands(student);
+  return SAT_DOMAINS.map((domain) => {
+    const tests = bands.get(domain.id);
+    const latest = tests[tests.length - 1] ?? null;
+    const previous = tests[tests.length - 2] ?? null;
+    return {
+      ...domain,
+      worksheets: worksheets.get(domain.id) ?? null,
+      tests,
+      latestBand: latest?.band ?? null,
+      bandChange: latest && previous ? latest.band - previous.band : null
+    };
+  });
+}
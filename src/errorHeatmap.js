@@ -0,0 +1,58 @@
+// Miss counts per question across every upload in a worksheet's history, for
+// one student or for every student on record.
+import { historyOutcomes } from './worksheetRecords.js';
+
+const GRADED_STATUSES = new Set(['correct', 'incorrect', 'omitted']);
+
+function emptyCells(total) {
+  return Array.from({ length: total }, (_, index) => ({
+    question: index + 1,
+    attempts: 0,
+    misses: 0,
+    students: 0,
+    rate: null
+  }));
+}
+
+function addHistory(cells, history) {
+  const seen = new Set();
+  (history ?? []).forEach((entry) => {
+    historyOutcomes(entry).forEach(({ status }, question) => {
+      const cell = cells[question - 1];
+      if (!cell || !GRADED_STATUSES.has(status)) {
+        return;
+      }
+      cell.attempts += 1;
+      // Skipped questions count as misses, like they do in the denominator.
+      cell.misses += status === 'correct' ? 0 : 1;
+      seen.add(question);
+    });
+  });
+  seen.forEach((question) => {
+    cells[question - 1].students += 1;
+  });
+}
+
+function finish(cells) {
+  return cells.map((cell) => ({
+    ...cell,
+    rate: cell.attempts > 0 ? cell.misses / cell.attempts : null
+  }));
+}
+
+export function buildErrorHeatmap(record, total) {
+  const cells = emptyCells(total);
+  addHistory(cells, record?.history);
+  return finish(cells);
+}
+
+export function buildClassErrorHeatmap(students, worksheetId, total) {
+  const cells = emptyCells(total);
+  (students ?? []).forEach((student) => {
+    const record = (student.worksheets ?? []).find((item) => item.worksheetId === worksheetId);
+    if (record) {
+      addHistory(cells, record.history);
+    }
+  });
+  return finish(cells);
+}
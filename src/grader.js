@@ -1,5 +1,193 @@
 const VALID_CHOICES = new Set(['A', 'B', 'C', 'D', 'E']);
 
+// Bump whenever parseStudentAnswers reads the same text differently. History
+// entries record the version their stored submission was parsed with.
+export const PARSER_VERSION = 10;
+
+// Student-produced response (grid-in) answers: the SAT grid holds five
+// characters for a positive answer and six for a negative one.
+const GRID_IN_WIDTH = 5;
+const GRID_IN_NEGATIVE_WIDTH = 6;
+const GRID_IN_TOLERANCE = 1e-9;
+
+// Grid-in answers need an explicit separator after the question number
+// (1. -29, 2) 77/36, 3: .6666) so bare runs of numbers are not read as answers.
+// The answer token is deliberately loose so malformed entries like 1/2/3 still
+// reach manual review instead of vanishing. A point between two digits
+// ("1.5") is a decimal, not a question separator.
+const GRID_IN_PATTERN = /(?<![\d./])(\d{1,3})\s*(?:[:)\]]|\.(?!\d))[ \t]*(-?[\d./]*\d)([?*]?)(?=[ \t\r\n,;]|$)/g;
+
+// Explicit omissions: "4. ?", "4. -", "4 skip". The question counts as
+// attempted but blank instead of missing. A dash only marks a skip at the end
+// of a line or before a separator or the next "N." pair, so headings like
+// "Worksheet 12 - Lines" and ranges like "2 - 3 B C" are left alone.
+const SKIP_PATTERN = /(?<![\d./])(\d{1,3})[ \t]*[:.)\]]?[ \t]*(\?(?=[\s,;]|$)|[-–—_]+(?=[ \t]*(?:[\r\n,;]|$|\d{1,3}[ \t]*[:.)\]]))|(?:skip(?:ped)?|omit(?:ted)?|blank)(?=[\s,;]|$))/gi;
+
+export function parseGridInValue(answer) {
+  const text = String(answer ?? '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const fraction = text.match(/^(-?\d+)\/(\d+)$/);
+  if (fraction) {
+    const denominator = Number.parseInt(fraction[2], 10);
+    if (denominator === 0) {
+      return null;
+    }
+    return Number.parseInt(fraction[1], 10) / denominator;
+  }
+
+  if (/^-?(?:\d+\.?\d*|\.\d+)$/.test(text)) {
+    return Number(text);
+  }
+
+  return null;
+}
+
+function valuesEqual(a, b) {
+  return Math.abs(a - b) < GRID_IN_TOLERANCE;
+}
+
+// A decimal entry is accepted for a non-terminating value when it fills the
+// grid and is either the truncated or the rounded form (77/36 -> 2.138 or 2.139).
+function matchesDecimalApproximation(decimalText, exactValue) {
+  const text = String(decimalText ?? '').trim();
+  if (!/^-?\d*\.\d+$/.test(text)) {
+    return false;
+  }
+
+  const width = text.startsWith('-') ? GRID_IN_NEGATIVE_WIDTH : GRID_IN_WIDTH;
+  if (text.length < width) {
+    return false;
+  }
+
+  const places = text.split('.')[1].length;
+  const scale = 10 ** places;
+  const sign = exactValue < 0 ? -1 : 1;
+  const magnitude = Math.abs(exactValue) * scale;
+  const truncated = (sign * Math.floor(magnitude + GRID_IN_TOLERANCE)) / scale;
+  const rounded = (sign * Math.round(magnitude)) / scale;
+  const value = Number(text);
+
+  return valuesEqual(value, truncated) || valuesEqual(value, rounded);
+}
+
+// Key entries with several accepted answers are stored as one display string
+// (e.g. "B or D") so Map<int, string> consumers keep working unchanged.
+const KEY_ALTERNATE_SEPARATOR = ' or ';
+const KEY_ALTERNATE_LINE_PATTERN = /^\s*\(?(\d{1,3})\s*[:.)\]]{1,3}\s*(.+?)\s*$/;
+const KEY_ALTERNATE_SPLIT_PATTERN = /\s*(?:,|\||\bor\b)\s*/i;
+
+export function splitKeyAnswer(keyAnswer) {
+  return String(keyAnswer ?? '')
+    .split(KEY_ALTERNATE_SEPARATOR)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function isEquivalentSingleAnswer(student, key) {
+  if (!student || !key) {
+    return false;
+  }
+
+  if (VALID_CHOICES.has(key) || VALID_CHOICES.has(student)) {
+    return student === key;
+  }
+
+  const studentValue = parseGridInValue(student);
+  const keyValue = parseGridInValue(key);
+  if (studentValue === null || keyValue === null) {
+    return false;
+  }
+
+  return (
+    valuesEqual(studentValue, keyValue) ||
+    matchesDecimalApproximation(student, keyValue) ||
+    matchesDecimalApproximation(key, studentValue)
+  );
+}
+
+export function isEquivalentAnswer(studentAnswer, keyAnswer) {
+  const student = String(studentAnswer ?? '').trim().toUpperCase();
+
+  return splitKeyAnswer(keyAnswer).some((key) =>
+    isEquivalentSingleAnswer(student, key.toUpperCase())
+  );
+}
+
+function isValidKeyAnswer(answer) {
+  return VALID_CHOICES.has(answer) || parseGridInValue(answer) !== null;
+}
+
+// Compact answer strings: a starting question number (or range) followed by a
+// run of letters, e.g. "1-10: ABDCCADBBA", "1-3: A B C" or "21 ABCD DCBA".
+// Spaces inside the run are grouping only. The number must be marked as a
+// question so prose like "12 Dec 2024" or "3 ace" is left alone:
+// - a range or "N:" takes any grouping, single letters included;
+// - "N." / "N)" (and "N-M.") needs two letters first so "1) a" stays an
+//   ordinary pair and "3 - 4. C" a skip followed by a pair;
+// - a bare number needs a run of capitals.
+const COMPACT_PATTERN = /(?<![\d./])(\d{1,3})(?:\s*[-–—]\s*(\d{1,3})(?:[ \t]*[:\-–—]{0,3}[ \t]*([A-Ea-e]+(?:[ \t]+[A-Ea-e]+)*)|[ \t]*[.)\]]{1,3}[ \t]*([A-Ea-e]{2,}(?:[ \t]+[A-Ea-e]+)*))|[ \t]*:[ \t]*([A-Ea-e]+(?:[ \t]+[A-Ea-e]+)*)|[ \t]*[.)\]]{1,3}[ \t]*([A-Ea-e]{2,}(?:[ \t]+[A-Ea-e]+)*)|[ \t]+([A-E]{2,}(?:[ \t]+[A-E]+)*))(?=[\s,;.)]|$)/g;
+
+function scanCompactAnswers(source) {
+  const pairs = [];
+  const spans = [];
+
+  for (const match of source.matchAll(COMPACT_PATTERN)) {
+    const matchStart = match.index;
+    const matchEnd = matchStart + match[0].length;
+    const run = match[3] ?? match[4] ?? match[5] ?? match[6] ?? match[7];
+    const runStart = matchEnd - run.length;
+    const letters = [];
+    for (let index = 0; index < run.length; index += 1) {
+      if (/[A-Za-z]/.test(run[index])) {
+        letters.push({ letter: run[index].toUpperCase(), offset: runStart + index });
+      }
+    }
+
+    const first = Number.parseInt(match[1], 10);
+    const last = match[2] ? Number.parseInt(match[2], 10) : null;
+    spans.push([matchStart, matchEnd]);
+
+    if (last !== null && last - first + 1 !== letters.length) {
+      // The range and the letters disagree, so no answer can be trusted to
+      // line up with its question: flag every question in the range.
+      const raw = match[0].trim();
+      for (let question = first; question <= Math.max(first, last); question += 1) {
+        pairs.push({
+          question,
+          answer: letters[question - first]?.letter ?? '',
+          raw,
+          start: matchStart,
+          end: matchEnd,
+          needsManualReview: true,
+          reason: `Answer string length does not match range (${letters.length} answers for ${first}-${last})`
+        });
+      }
+      continue;
+    }
+
+    letters.forEach(({ letter, offset }, index) => {
+      const start = index === 0 ? matchStart : offset;
+      pairs.push({
+        question: first + index,
+        answer: letter,
+        raw: source.slice(start, offset + 1).trim(),
+        start,
+        end: offset + 1,
+        needsManualReview: false
+      });
+    });
+  }
+
+  return { pairs, spans };
+}
+
+function overlapsSpan(spans, start, end) {
+  return spans.some(([spanStart, spanEnd]) => start < spanEnd && spanStart < end);
+}
+
 function scanAnswerPairs(text) {
   const pairs = [];
   const source = String(text ?? '');
@@ -8,6 +196,9 @@ function scanAnswerPairs(text) {
     return pairs;
   }
 
+  const compact = scanCompactAnswers(source);
+  pairs.push(...compact.pairs);
+
   // Comprehensive pattern that handles many formats:
   // - Number directly followed by letter: 6d, 7b
   // - Number with separator: 1) a, 1. A, 1-A, 1]a, 1...A, 1   A, etc.
@@ -19,17 +210,21 @@ function scanAnswerPairs(text) {
   // 1. Number directly followed by letter (e.g., 6d, 7b)
   // 2. Number with separator(s) followed by letter (e.g., 1) a, 1. A, 1-A, 1   A)
   // The separator group is optional and can be punctuation or whitespace
-  const pattern = /(\d{1,3})(?:\s*[:.)\]\-–—\.]{1,3}\s*|\s+)([A-Za-z])(?=[\s\n\r]|$|[\s).,;:\-–—])|(\d{1,3})\s*([A-Za-z])(?=[\s\n\r]|$)/g;
+  // A trailing ? or * after the letter (12 C?, 12 C*) marks a guess.
+  const pattern = /(\d{1,3})(?:\s*[:.)\]\-–—\.]{1,3}\s*|\s+)([A-Za-z])([?*]?)(?=[\s\n\r]|$|[\s).,;:\-–—])|(\d{1,3})\s*([A-Za-z])([?*]?)(?=[\s\n\r]|$)/g;
   
-  const matches = Array.from(source.matchAll(pattern));
+  const matches = Array.from(source.matchAll(pattern)).filter(
+    (match) => !overlapsSpan(compact.spans, match.index, match.index + match[0].length)
+  );
   
   // Collect all matches (don't deduplicate here - let parseStudentAnswers handle duplicates)
   matches.forEach((match) => {
     // Pattern has two alternatives:
-    // 1. With separator: match[1] = number, match[2] = answer
-    // 2. Without separator: match[3] = number, match[4] = answer
-    const numberRaw = match[1] || match[3];
-    const answerRaw = match[2] || match[4];
+    // 1. With separator: match[1] = number, match[2] = answer, match[3] = guess marker
+    // 2. Without separator: match[4] = number, match[5] = answer, match[6] = guess marker
+    const numberRaw = match[1] || match[4];
+    const answerRaw = match[2] || match[5];
+    const guessed = Boolean(match[3] || match[6]);
     
     if (!numberRaw || !answerRaw) {
       return;
@@ -46,16 +241,146 @@ function scanAnswerPairs(text) {
       question: number,
       answer,
       raw: match[0].trim(),
+      start: match.index,
+      end: match.index + match[0].length,
+      guessed,
       needsManualReview: false
     });
   });
   
+  // Grid-in answers are scanned separately; a letter pair that overlaps the same
+  // text (e.g. "1. 2 B") wins so multiple-choice parsing is never disturbed.
+  const letterSpans = [
+    ...compact.spans,
+    ...matches.map((match) => [match.index, match.index + match[0].length])
+  ];
+  for (const match of source.matchAll(GRID_IN_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (overlapsSpan(letterSpans, start, end)) {
+      continue;
+    }
+
+    const number = Number.parseInt(match[1], 10);
+    const answer = match[2];
+    const readable = parseGridInValue(answer) !== null;
+
+    pairs.push({
+      question: number,
+      answer,
+      raw: match[0].trim(),
+      start,
+      end,
+      guessed: Boolean(match[3]),
+      needsManualReview: !readable,
+      reason: readable ? null : 'Unreadable grid-in answer'
+    });
+  }
+
+  const answerSpans = [...letterSpans, ...pairs.map((pair) => [pair.start, pair.end])];
+  for (const match of source.matchAll(SKIP_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (overlapsSpan(answerSpans, start, end)) {
+      continue;
+    }
+
+    pairs.push({
+      question: Number.parseInt(match[1], 10),
+      answer: '',
+      raw: match[0].trim(),
+      start,
+      end,
+      omitted: true,
+      needsManualReview: false
+    });
+  }
+
   // Sort by question number
   pairs.sort((a, b) => a.question - b.question);
   
   return pairs;
 }
 
+const FILLER_PATTERN = /^[\s,;|.:()[\]\-–—]*$/;
+const QUESTION_STUB_PATTERN = /^\(?\d{1,3}[.):\]\-–—]*$/;
+const LOOSE_LETTERS_PATTERN = /^[A-Ea-e]+[.,;]?$/;
+
+// Text not covered by any detected pair, split per line so a tutor can see
+// exactly what the parser skipped. Separator-only leftovers are ignored.
+function collectUnmatchedFragments(source, entries) {
+  const spans = entries
+    .map((entry) => [entry.start, entry.end])
+    .sort((a, b) => a[0] - b[0]);
+  const fragments = [];
+
+  const pushGap = (from, to) => {
+    const gap = source.slice(from, to);
+    for (const match of gap.matchAll(/[^\r\n]+/g)) {
+      const trimmed = match[0].trim();
+      if (FILLER_PATTERN.test(trimmed)) {
+        continue;
+      }
+      const start = from + match.index + (match[0].length - match[0].trimStart().length);
+      fragments.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+  };
+
+  let cursor = 0;
+  for (const [start, end] of spans) {
+    if (start > cursor) {
+      pushGap(cursor, start);
+    }
+    cursor = Math.max(cursor, end);
+  }
+  pushGap(cursor, source.length);
+
+  return fragments;
+}
+
+// Inside an unmatched fragment made only of numbers and answer letters, a bare
+// question number or a loose run of letters is probably a mis-typed answer.
+function collectAmbiguousTokens(fragments) {
+  const ambiguous = [];
+
+  for (const fragment of fragments) {
+    const tokens = Array.from(fragment.text.matchAll(/\S+/g));
+    const answerLike = tokens.every(
+      ([token]) =>
+        QUESTION_STUB_PATTERN.test(token) ||
+        LOOSE_LETTERS_PATTERN.test(token) ||
+        FILLER_PATTERN.test(token)
+    );
+    if (!answerLike) {
+      continue;
+    }
+
+    for (const match of tokens) {
+      const token = match[0];
+      const start = fragment.start + match.index;
+      if (QUESTION_STUB_PATTERN.test(token)) {
+        ambiguous.push({
+          text: token,
+          start,
+          end: start + token.length,
+          question: Number.parseInt(token.replace(/\D/g, ''), 10),
+          reason: 'Question number without an answer'
+        });
+      } else if (LOOSE_LETTERS_PATTERN.test(token)) {
+        ambiguous.push({
+          text: token,
+          start,
+          end: start + token.length,
+          question: null,
+          reason: 'Answer letters without a question number'
+        });
+      }
+    }
+  }
+
+  return ambiguous;
+}
+
 function ensureManual(manualMap, question) {
   if (!manualMap.has(question)) {
     manualMap.set(question, {
@@ -68,17 +393,50 @@ function ensureManual(manualMap, question) {
   return manualMap.get(question);
 }
 
+// Matches key lines that list several accepted answers: "5. B or D",
+// "12. 2/3, .6666, .6667". Every listed answer must be a valid key answer,
+// otherwise the line is scanned as ordinary pairs (e.g. "1. A, 2. B").
+function parseAlternateKeyLine(line) {
+  const match = line.match(KEY_ALTERNATE_LINE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const answers = match[2]
+    .split(KEY_ALTERNATE_SPLIT_PATTERN)
+    .map((item) => item.trim().toUpperCase())
+    .filter(Boolean);
+
+  if (answers.length < 2 || !answers.every(isValidKeyAnswer)) {
+    return null;
+  }
+
+  return {
+    question: Number.parseInt(match[1], 10),
+    answers: Array.from(new Set(answers))
+  };
+}
+
 export function parseKeyText(text) {
   const keyMap = new Map();
-  const entries = scanAnswerPairs(text);
 
-  for (const entry of entries) {
-    if (!VALID_CHOICES.has(entry.answer)) {
+  for (const line of String(text ?? '').split(/\r?\n/)) {
+    const alternates = parseAlternateKeyLine(line);
+    if (alternates) {
+      if (!keyMap.has(alternates.question)) {
+        keyMap.set(alternates.question, alternates.answers.join(KEY_ALTERNATE_SEPARATOR));
+      }
       continue;
     }
 
-    if (!keyMap.has(entry.question)) {
-      keyMap.set(entry.question, entry.answer);
+    for (const entry of scanAnswerPairs(line)) {
+      if (entry.needsManualReview || !isValidKeyAnswer(entry.answer)) {
+        continue;
+      }
+
+      if (!keyMap.has(entry.question)) {
+        keyMap.set(entry.question, entry.answer);
+      }
     }
   }
 
@@ -88,24 +446,52 @@ export function parseKeyText(text) {
 export function parseStudentAnswers(text) {
   const answerMap = new Map();
   const manualMap = new Map();
-  const entries = scanAnswerPairs(text);
+  const entryReasons = new Map();
+  const omittedSet = new Set();
+  const guessedSet = new Set();
+  const source = String(text ?? '');
+  const entries = scanAnswerPairs(source);
 
   for (const entry of entries) {
-    const { question, answer, needsManualReview } = entry;
+    const { question, answer, needsManualReview, reason } = entry;
 
-    // If this entry needs manual review (blank, ?, x, etc.)
+    // An explicit skip next to a real answer for the same question is a conflict
+    if (entry.omitted || omittedSet.has(question)) {
+      if (entry.omitted && !answerMap.has(question) && !manualMap.has(question)) {
+        omittedSet.add(question);
+        continue;
+      }
+      const manualEntry = ensureManual(manualMap, question);
+      manualEntry.reasons.add('Answer and skip marker both provided');
+      if (answerMap.has(question)) {
+        manualEntry.answers.add(answerMap.get(question));
+        answerMap.delete(question);
+      }
+      if (answer) {
+        manualEntry.answers.add(answer);
+      }
+      omittedSet.delete(question);
+      entryReasons.set(entry, 'Answer and skip marker both provided');
+      continue;
+    }
+
+    // If this entry needs manual review (blank, ?, x, unreadable grid-in, etc.)
     if (needsManualReview) {
       const manualEntry = ensureManual(manualMap, question);
-      manualEntry.reasons.add('Non-standard answer format');
-      manualEntry.answers.add(answer);
+      manualEntry.reasons.add(reason || 'Non-standard answer format');
+      if (answer) {
+        manualEntry.answers.add(answer);
+      }
+      entryReasons.set(entry, reason || 'Non-standard answer format');
       continue;
     }
 
-    // If answer is not a valid choice
-    if (!VALID_CHOICES.has(answer)) {
+    // If answer is neither a valid choice nor a grid-in number
+    if (!isValidKeyAnswer(answer)) {
       const manualEntry = ensureManual(manualMap, question);
       manualEntry.reasons.add('Answer outside A-E');
       manualEntry.answers.add(answer);
+      entryReasons.set(entry, 'Answer outside A-E');
       continue;
     }
 
@@ -126,6 +512,9 @@ export function parseStudentAnswers(text) {
     }
 
     answerMap.set(question, answer);
+    if (entry.guessed) {
+      guessedSet.add(question);
+    }
   }
 
   const manualReview = Array.from(manualMap.values()).map((item) => ({
@@ -134,9 +523,49 @@ export function parseStudentAnswers(text) {
     reasons: Array.from(item.reasons)
   }));
 
+  // Diagnostics for the live preview: every detected pair in text order with
+  // its offsets, plus whatever text the scan could not interpret.
+  const pairs = entries
+    .map((entry) => {
+      const manual = manualMap.get(entry.question);
+      const reason =
+        entryReasons.get(entry) ?? (manual ? Array.from(manual.reasons).join('; ') : null);
+      return {
+        question: entry.question,
+        answer: entry.answer,
+        raw: entry.raw,
+        start: entry.start,
+        end: entry.end,
+        status: manual ? 'manual' : entry.omitted ? 'omitted' : 'ok',
+        guessed: Boolean(entry.guessed) && !manual,
+        reason
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+  const unmatched = collectUnmatchedFragments(source, entries);
+  const ambiguous = [
+    ...pairs
+      .filter((pair) => pair.status === 'manual')
+      .map((pair) => ({
+        text: pair.raw,
+        start: pair.start,
+        end: pair.end,
+        question: pair.question,
+        reason: pair.reason
+      })),
+    ...collectAmbiguousTokens(unmatched)
+  ].sort((a, b) => a.start - b.start);
+
   return {
     answers: answerMap,
-    manualReview
+    manualReview,
+    omitted: Array.from(omittedSet).sort((a, b) => a - b),
+    guessed: Array.from(guessedSet)
+      .filter((question) => answerMap.has(question))
+      .sort((a, b) => a - b),
+    pairs,
+    unmatched,
+    ambiguous
   };
 }
 
@@ -171,8 +600,16 @@ export function grade({ key, studentAnswers, skipMissing = false }) {
   }
 
   const manualQuestions = new Set(manualMap.keys());
+  const omittedSet = new Set(
+    (studentAnswers.omitted ?? []).filter(
+      (question) => key.has(question) && !manualQuestions.has(question) && !answerMap.has(question)
+    )
+  );
+  const guessedSet = new Set(studentAnswers.guessed ?? []);
   const incorrect = [];
   const missing = [];
+  const omitted = [];
+  const guessed = [];
   let correct = 0;
 
   for (const [question, correctAnswer] of key.entries()) {
@@ -180,19 +617,31 @@ export function grade({ key, studentAnswers, skipMissing = false }) {
       continue;
     }
 
+    // Explicit skips are attempted-but-blank: never correct, never missing
+    if (omittedSet.has(question)) {
+      omitted.push(question);
+      continue;
+    }
+
     const studentAnswer = answerMap.get(question);
     if (!studentAnswer) {
       missing.push(question);
       continue;
     }
 
-    if (studentAnswer === correctAnswer) {
+    const isGuess = guessedSet.has(question);
+    if (isGuess) {
+      guessed.push(question);
+    }
+
+    if (isEquivalentAnswer(studentAnswer, correctAnswer)) {
       correct += 1;
     } else {
       incorrect.push({
         question,
         correctAnswer,
-        studentAnswer
+        studentAnswer,
+        ...(isGuess ? { guessed: true } : {})
       });
     }
   }
@@ -214,6 +663,7 @@ export function grade({ key, studentAnswers, skipMissing = false }) {
   const attemptedQuestions = Array.from(
     new Set([
       ...answerMap.keys(),
+      ...omitted,
       ...manualReview.map((item) => item.question)
     ])
   ).sort((a, b) => a - b);
@@ -225,6 +675,9 @@ export function grade({ key, studentAnswers, skipMissing = false }) {
     incorrectCount,
     missing,
     missingCount,
+    omitted: omitted.sort((a, b) => a - b),
+    omittedCount: omitted.length,
+    guessed: guessed.sort((a, b) => a - b),
     manualReview,
     manualReviewCount: manualReview.length,
     denominator,
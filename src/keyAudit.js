@@ -0,0 +1,267 @@
+// Audits answer keys for problems parseKeyText hides: it silently drops lines
+// it cannot read and keeps only the first of two entries for a question. Key
+// totals are also checked against the "Content Worksheets Light" highlights.
+import { parseGridInValue, parseKeyText, splitKeyAnswer } from './grader.js';
+import { descriptorWords } from './descriptorWords.js';
+import { COURSE_GUIDELINES } from './studentMetadata.js';
+
+export const DEFAULT_CHOICES = ['A', 'B', 'C', 'D'];
+
+const HIGHLIGHTS_SECTION_TITLE = 'Content Worksheets Light';
+const HIGHLIGHT_PATTERN = /^(\d{3})\s+(.+?)\s+-\s+(.+)$/;
+const HIGHLIGHT_RANGE_PATTERN = /(\d{1,3})(?:\s*-\s*(\d{1,3}))?/g;
+
+export const AUDIT_ISSUE_LABELS = {
+  dropped: 'Ignored line',
+  duplicate: 'Duplicate question',
+  gap: 'Numbering gap',
+  choice: 'Outside choice set',
+  total: 'Total mismatch',
+  highlight: 'Highlight mismatch',
+  metadata: 'Metadata problem'
+};
+
+export function formatQuestionRanges(questions) {
+  const sorted = [...new Set(questions)].sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach((question) => {
+    const last = ranges[ranges.length - 1];
+    if (last && question === last[1] + 1) {
+      last[1] = question;
+    } else {
+      ranges.push([question, question]);
+    }
+  });
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+// "204 Lines - 13-15; 27-41; 50" -> { number: 204, title: 'Lines', ranges: [[13, 15], ...] }
+export function parseWorksheetHighlights(guidelines = COURSE_GUIDELINES) {
+  const section = guidelines.find((item) => item.title === HIGHLIGHTS_SECTION_TITLE);
+  return (section?.worksheetHighlights ?? [])
+    .map((text) => {
+      const match = text.match(HIGHLIGHT_PATTERN);
+      if (!match) {
+        return null;
+      }
+      const [, number, title, spec] = match;
+      const ranges = Array.from(spec.matchAll(HIGHLIGHT_RANGE_PATTERN), (range) => {
+        const start = Number.parseInt(range[1], 10);
+        return [start, range[2] ? Number.parseInt(range[2], 10) : start];
+      });
+      return {
+        number: Number.parseInt(number, 10),
+        title,
+        text,
+        spec,
+        entirePacket: /entire packet/i.test(spec),
+        ranges,
+        highest: ranges.length > 0 ? Math.max(...ranges.map(([, end]) => end)) : null
+      };
+    })
+    .filter(Boolean);
+}
+
+function titleWords(text) {
+  // "Exponentials" should still match "Exponential Equations".
+  return descriptorWords(text).map((word) => word.replace(/s$/, ''));
+}
+
+function titleOverlap(highlight, entry) {
+  const words = new Set(titleWords(highlight.title));
+  return titleWords(entry.descriptor).filter((word) => words.has(word)).length;
+}
+
+function matchHighlight(highlight, entries) {
+  const sameNumber = entries.filter((entry) => entry.number === highlight.number);
+  const ranked = sameNumber
+    .map((entry) => ({ entry, overlap: titleOverlap(highlight, entry) }))
+    .sort((a, b) => b.overlap - a.overlap);
+  if (ranked.length > 0 && (ranked[0].overlap > 0 || ranked.length === 1)) {
+    return ranked[0].entry;
+  }
+
+  // The highlight may carry a different number than the key file (e.g. a
+  // packet that was renumbered); fall back to the title alone.
+  const byTitle = entries
+    .map((entry) => ({ entry, overlap: titleOverlap(highlight, entry) }))
+    .filter((item) => item.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap);
+  return byTitle.length > 0 ? byTitle[0].entry : null;
+}
+
+// Question -> file line it is read from (the first entry wins, as in parseKeyText).
+export function findKeyLines(entry) {
+  const lines = new Map();
+  String(entry.raw ?? '')
+    .split(/\r?\n/)
+    .forEach((text, index) => {
+      if (index < (entry.headerLineCount ?? 0)) {
+        return;
+      }
+      parseKeyText(text).forEach((_, question) => {
+        if (!lines.has(question)) {
+          lines.set(question, index + 1);
+        }
+      });
+    });
+  return lines;
+}
+
+export function auditKey(entry, { choices = entry.choices ?? DEFAULT_CHOICES, allowGridIn, highlight = null } = {}) {
+  const gridInAllowed = allowGridIn ?? entry.subjectToken === 'math';
+  const issues = [];
+  const firstLine = new Map();
+
+  String(entry.raw ?? '')
+    .split(/\r?\n/)
+    .forEach((text, index) => {
+      const line = index + 1;
+      // The metadata header is checked separately below.
+      if (!text.trim() || index < (entry.headerLineCount ?? 0)) {
+        return;
+      }
+
+      // parseKeyText reads line by line, so one line parsed alone gives
+      // exactly what that line contributes to the key.
+      const parsed = parseKeyText(text);
+      if (parsed.size === 0) {
+        issues.push({
+          type: 'dropped',
+          line,
+          message: `Line ${line} is ignored: "${text.trim()}"`
+        });
+        return;
+      }
+
+      for (const [question, answer] of parsed.entries()) {
+        if (firstLine.has(question)) {
+          issues.push({
+            type: 'duplicate',
+            line,
+            question,
+            message: `Question ${question} appears again on line ${line}; line ${firstLine.get(question)} is used`
+          });
+          continue;
+        }
+        firstLine.set(question, line);
+
+        const outside = splitKeyAnswer(answer).filter(
+          (item) => !choices.includes(item) && !(gridInAllowed && parseGridInValue(item) !== null)
+        );
+        if (outside.length > 0) {
+          issues.push({
+            type: 'choice',
+            line,
+            question,
+            message: `Question ${question} answer ${outside.join(', ')} is outside ${choices.join('')}${
+              gridInAllowed ? ' or a grid-in value' : ''
+            }`
+          });
+        }
+      }
+    });
+
+  (entry.metadataProblems ?? []).forEach((message) => issues.push({ type: 'metadata', message }));
+
+  const questions = Array.from(firstLine.keys());
+  const highest = questions.length > 0 ? Math.max(...questions) : 0;
+  const missing = [];
+  for (let question = 1; question <= highest; question += 1) {
+    if (!firstLine.has(question)) {
+      missing.push(question);
+    }
+  }
+  if (missing.length > 0) {
+    issues.push({
+      type: 'gap',
+      questions: missing,
+      message: `Missing question ${formatQuestionRanges(missing)}`
+    });
+  }
+
+  if (highlight) {
+    const packetRange = highlight.ranges[highlight.ranges.length - 1];
+    if (highlight.entirePacket && packetRange && packetRange[1] !== highest) {
+      issues.push({
+        type: 'total',
+        message: `${HIGHLIGHTS_SECTION_TITLE} lists the entire packet as ${packetRange[0]}-${packetRange[1]} but the key ends at ${highest}`
+      });
+    } else if (!highlight.entirePacket && highlight.highest !== null && highlight.highest > highest) {
+      issues.push({
+        type: 'total',
+        message: `${HIGHLIGHTS_SECTION_TITLE} highlights go up to ${highlight.highest} but the key ends at ${highest}`
+      });
+    }
+    if (highlight.number !== entry.number) {
+      issues.push({
+        type: 'highlight',
+        message: `${HIGHLIGHTS_SECTION_TITLE} lists this worksheet as ${highlight.number} ${highlight.title}`
+      });
+    }
+  }
+
+  return {
+    keyId: entry.id,
+    label: entry.label,
+    total: firstLine.size,
+    highest,
+    highlight,
+    issues
+  };
+}
+
+// Pairs each Content Worksheets Light entry with its key file.
+export function matchWorksheetHighlights(entries, guidelines = COURSE_GUIDELINES) {
+  const byKey = new Map();
+  const unmatched = [];
+  parseWorksheetHighlights(guidelines).forEach((highlight) => {
+    const entry = matchHighlight(highlight, entries);
+    if (entry) {
+      byKey.set(entry.id, highlight);
+    } else {
+      unmatched.push(highlight);
+    }
+  });
+  return { byKey, unmatched };
+}
+
+export function auditKeyBank(entries, guidelines = COURSE_GUIDELINES) {
+  const { byKey: highlightsByKey, unmatched: unmatchedHighlights } = matchWorksheetHighlights(
+    entries,
+    guidelines
+  );
+
+  const keyIds = new Set(entries.map((entry) => entry.id));
+  return {
+    keys: entries.map((entry) => {
+      const audit = auditKey(entry, { highlight: highlightsByKey.get(entry.id) ?? null });
+      (entry.alternates ?? [])
+        .filter((alternate) => !keyIds.has(alternate))
+        .forEach((alternate) =>
+          audit.issues.push({ type: 'metadata', message: `Alternate "${alternate}" is not a key file` })
+        );
+      return audit;
+    }),
+    unmatchedHighlights
+  };
+}
+
+export function formatAuditReport(audit) {
+  const flagged = audit.keys.filter((item) => item.issues.length > 0);
+  const lines = [
+    `Answer key audit: ${audit.keys.length} keys checked, ${flagged.length} with issues`
+  ];
+
+  flagged.forEach((item) => {
+    lines.push('', `${item.label} (${item.keyId}.txt)`);
+    item.issues.forEach((issue) => lines.push(`  - ${issue.message}`));
+  });
+
+  if (audit.unmatchedHighlights.length > 0) {
+    lines.push('', `${HIGHLIGHTS_SECTION_TITLE} entries without a key file:`);
+    audit.unmatchedHighlights.forEach((highlight) => lines.push(`  - ${highlight.text}`));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,118 @@
+// Answer keys bundled from src/keys/*.txt. File names follow
+// "<subject>-<number>-<descriptor>.txt", e.g. math-204-lines.txt; a metadata
+// header or sidecar JSON (see keyMetadata.js) can override what the name says.
+import { parseKeyText } from './grader.js';
+import { readKeyMetadata } from './keyMetadata.js';
+
+const keyFiles = import.meta.glob('./keys/*.txt', {
+  query: '?raw',
+  import: 'default',
+  eager: true
+});
+
+const sidecarFiles = import.meta.glob('./keys/*.json', {
+  import: 'default',
+  eager: true
+});
+
+const LOWER_CASE_WORDS = new Set(['and', 'of', 'the', 'for', 'to', 'a', 'in', 'with', 'on']);
+const ALWAYS_UPPER = new Set(['sat']);
+
+function formatDescriptor(slug) {
+  return slug
+    .split('-')
+    .filter(Boolean)
+    .map((token, index) => {
+      if (/^\d+$/.test(token)) {
+        return token;
+      }
+      if (ALWAYS_UPPER.has(token)) {
+        return token.toUpperCase();
+      }
+      if (token === 'alt') {
+        return 'Alt';
+      }
+      if (LOWER_CASE_WORDS.has(token) && index !== 0) {
+        return token;
+      }
+      return token.charAt(0).toUpperCase() + token.slice(1);
+    })
+    .join(' ');
+}
+
+export function createKeyEntry(path, raw, sidecar = null) {
+  const fileName = path.split('/').pop()?.replace('.txt', '') ?? '';
+  const parts = fileName.split('-');
+  const { metadata, body, headerLineCount } = readKeyMetadata(raw, sidecar);
+
+  const subjectToken = metadata.subject ?? parts[0] ?? '';
+  const numberToken = metadata.number !== undefined ? String(metadata.number) : parts[1] ?? '';
+  const descriptorSlug = parts.slice(2).join('-');
+
+  const subjectLabel = subjectToken.charAt(0).toUpperCase() + subjectToken.slice(1);
+  const descriptorLabel = metadata.title ?? (descriptorSlug ? formatDescriptor(descriptorSlug) : '');
+  const number = Number.parseInt(numberToken, 10);
+
+  const key = parseKeyText(body);
+
+  return {
+    id: fileName,
+    key,
+    total: key.size,
+    subjectToken,
+    number,
+    label: descriptorLabel ? `${subjectLabel} ${numberToken}: ${descriptorLabel}` : `${subjectLabel} ${numberToken}`,
+    descriptor: descriptorLabel,
+    subjectLabel,
+    priority: metadata.priority ?? null,
+    alternates: metadata.alternates ?? [],
+    choices: metadata.choices ?? null,
+    tags: metadata.tags ?? [],
+    difficulty: metadata.difficulty ?? null,
+    questionMeta: metadata.questions,
+    metadataProblems: metadata.problems,
+    headerLineCount,
+    raw
+  };
+}
+
+// English before math, then by worksheet number and label.
+export function sortKeys(entries) {
+  return [...entries].sort((a, b) => {
+    const subjectOrder = a.subjectToken === b.subjectToken ? 0 : a.subjectToken === 'english' ? -1 : 1;
+    if (subjectOrder !== 0) {
+      return subjectOrder;
+    }
+    if (!Number.isNaN(a.number) && !Number.isNaN(b.number) && a.number !== b.number) {
+      return a.number - b.number;
+    }
+    return a.label.localeCompare(b.label);
+  });
+}
+
+export const KEY_BANK = sortKeys(
+  Object.entries(keyFiles).map(([path, raw]) =>
+    createKeyEntry(path, raw, sidecarFiles[path.replace(/\.txt$/, '.json')] ?? null)
+  )
+);
+
+export function indexKeys(entries) {
+  return entries.reduce((map, item) => {
+    map.set(item.id, item);
+    return map;
+  }, new Map());
+}
+
+export function groupKeys(entries) {
+  return entries.reduce((groups, item) => {
+    if (!groups.has(item.subjectLabel)) {
+      groups.set(item.subjectLabel, []);
+    }
+    groups.get(item.subjectLabel).push(item);
+    return groups;
+  }, new Map());
+}
+
+export const KEY_LOOKUP = indexKeys(KEY_BANK);
+
+export const KEY_GROUPS = groupKeys(KEY_BANK);
@@ -0,0 +1,52 @@
+// Search and grouping for the Keys page.
+import { PRIORITY_LEVELS } from './studentMetadata.js';
+
+export const UNPRIORITIZED = 'none';
+
+// "204", "20", "math 20", "lines": number tokens match the start of the
+// worksheet number, words match the label.
+export function filterKeys(entries, query) {
+  const tokens = String(query ?? '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (tokens.length === 0) {
+    return entries;
+  }
+  return entries.filter((entry) =>
+    tokens.every((token) =>
+      /^\d+$/.test(token)
+        ? String(entry.number).startsWith(token)
+        : entry.label.toLowerCase().includes(token)
+    )
+  );
+}
+
+// [{ subject, subjectLabel, priorities: [{ priority, label, entries }] }]
+export function groupKeysByPriority(entries) {
+  const order = [...Object.keys(PRIORITY_LEVELS), UNPRIORITIZED];
+  const subjects = new Map();
+  entries.forEach((entry) => {
+    if (!subjects.has(entry.subjectToken)) {
+      subjects.set(entry.subjectToken, { subject: entry.subjectToken, subjectLabel: entry.subjectLabel, byPriority: new Map() });
+    }
+    const group = subjects.get(entry.subjectToken);
+    const priority = entry.priority ?? UNPRIORITIZED;
+    group.byPriority.set(priority, [...(group.byPriority.get(priority) ?? []), entry]);
+  });
+
+  return Array.from(subjects.values()).map(({ byPriority, ...subject }) => ({
+    ...subject,
+    priorities: order
+      .filter((priority) => byPriority.has(priority))
+      .map((priority) => ({
+        priority,
+        label: PRIORITY_LEVELS[priority] ?? 'Unprioritized',
+        entries: byPriority.get(priority)
+      }))
+  }));
+}
+
+export function isHighlightedQuestion(highlight, question) {
+  return Boolean(highlight) && highlight.ranges.some(([start, end]) => question >= start && question <= end);
+}
@@ -0,0 +1,146 @@
+// Guesses which key an upload belongs to. Three signals are combined: the
+// filename ("jordan math 207.pdf"), worksheet headings in the text, and how
+// well the parsed answers agree with each key in the bank.
+import { isEquivalentAnswer } from './grader.js';
+import { descriptorWords } from './descriptorWords.js';
+import { findWorksheetHeaders } from './worksheetSplit.js';
+
+const FILENAME_NUMBER_WEIGHT = 0.35;
+const FILENAME_SUBJECT_WEIGHT = 0.05;
+const FILENAME_WORD_WEIGHT = 0.1;
+const FILENAME_WORD_LIMIT = 2;
+const HEADER_WEIGHT = 0.4;
+const ANSWER_WEIGHT = 0.6;
+// Agreement on a handful of answers says little; confidence grows with count.
+const ANSWER_CONFIDENCE_OFFSET = 4;
+const MIN_SUGGEST_SCORE = 0.15;
+const MIN_ANSWERS_FOR_WARNING = 4;
+const POOR_MATCH_AGREEMENT = 0.5;
+const POOR_MATCH_MARGIN = 0.3;
+
+function filenameTokens(fileName) {
+  return String(fileName ?? '')
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    // "math204" -> "math 204"
+    .replace(/([a-z])(\d)/g, '$1 $2')
+    .replace(/(\d)([a-z])/g, '$1 $2')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function scoreFilename(tokens, entry) {
+  if (tokens.length === 0) {
+    return 0;
+  }
+  const tokenSet = new Set(tokens);
+  const hasNumber = tokens.some((token) => /^\d{3}$/.test(token) && Number(token) === entry.number);
+  const hasSubject =
+    tokenSet.has(entry.subjectToken) || (entry.subjectToken === 'english' && tokenSet.has('eng'));
+  const wordHits = Math.min(
+    descriptorWords(entry.descriptor).filter((word) => tokenSet.has(word)).length,
+    FILENAME_WORD_LIMIT
+  );
+
+  let score = wordHits * FILENAME_WORD_WEIGHT;
+  if (hasNumber) {
+    score += FILENAME_NUMBER_WEIGHT + (hasSubject ? FILENAME_SUBJECT_WEIGHT : 0);
+  }
+  return score;
+}
+
+function compareAnswers(answers, key) {
+  let matched = 0;
+  let answered = 0;
+  let highest = 0;
+
+  for (const [question, answer] of answers.entries()) {
+    answered += 1;
+    highest = Math.max(highest, question);
+    // Answers to questions the key does not have count against it, so a
+    // 30-question upload never agrees well with a 10-question key.
+    if (key.has(question) && isEquivalentAnswer(answer, key.get(question))) {
+      matched += 1;
+    }
+  }
+
+  return {
+    matched,
+    answered,
+    highest,
+    agreement: answered > 0 ? matched / answered : null
+  };
+}
+
+export function rankKeyMatches({ text = '', fileName = '', parsed = null, keyEntries = [] }) {
+  const entries = Array.isArray(keyEntries) ? keyEntries : [];
+  const answers = parsed?.answers instanceof Map ? parsed.answers : new Map();
+  const tokens = filenameTokens(fileName);
+  const headerIds = new Set(findWorksheetHeaders(text, entries).map((header) => header.keyId));
+
+  return entries
+    .map((entry) => {
+      const reasons = [];
+      let score = 0;
+
+      const filenameScore = scoreFilename(tokens, entry);
+      if (filenameScore > 0) {
+        score += filenameScore;
+        reasons.push('filename');
+      }
+
+      if (headerIds.has(entry.id)) {
+        score += HEADER_WEIGHT;
+        reasons.push('heading');
+      }
+
+      const fingerprint = compareAnswers(answers, entry.key);
+      if (fingerprint.agreement !== null) {
+        const confidence = fingerprint.answered / (fingerprint.answered + ANSWER_CONFIDENCE_OFFSET);
+        score += fingerprint.agreement * confidence * ANSWER_WEIGHT;
+        if (fingerprint.matched > 0) {
+          reasons.push('answers');
+        }
+      }
+
+      return {
+        keyId: entry.id,
+        label: entry.label,
+        total: entry.total,
+        score,
+        reasons,
+        ...fingerprint
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label));
+}
+
+export function suggestKey(matches, selectedKeyId) {
+  const top = Array.isArray(matches) ? matches[0] : null;
+  if (!top || top.score < MIN_SUGGEST_SCORE || top.keyId === selectedKeyId) {
+    return null;
+  }
+  return top;
+}
+
+// The selected key is a poor match when its agreement is low and another key
+// agrees clearly better on the same answers.
+export function findPoorMatch(matches, selectedKeyId) {
+  const list = Array.isArray(matches) ? matches : [];
+  const selected = list.find((match) => match.keyId === selectedKeyId);
+  if (!selected || selected.answered < MIN_ANSWERS_FOR_WARNING) {
+    return null;
+  }
+  if (selected.agreement >= POOR_MATCH_AGREEMENT) {
+    return null;
+  }
+
+  const better = list
+    .filter((match) => match.keyId !== selectedKeyId)
+    .reduce((best, match) => (!best || match.agreement > best.agreement ? match : best), null);
+  if (!better || better.agreement - selected.agreement < POOR_MATCH_MARGIN) {
+    return null;
+  }
+
+  return { selected, better };
+}
@@ -0,0 +1,191 @@
+// Tutor corrections to the bundled answer keys. Errata override single key
+// answers without touching src/keys/*.txt, and stored worksheet records are
+// regraded so questionStats and history match the corrected key.
+import { isEquivalentAnswer, parseKeyText, splitKeyAnswer } from './grader.js';
+import { historyDenominator, summarizeQuestionStats } from './worksheetRecords.js';
+
+const UNKNOWN_ANSWER_REASON = 'Key answer changed; original student answer unknown';
+
+// Accepts the same notation as key files ("B", "B or D", "2/3, .6666").
+export function normalizeErratumAnswer(question, answer) {
+  return parseKeyText(`${question}. ${answer}`).get(question) ?? null;
+}
+
+export function applyKeyErrata(entries, errata) {
+  const errataByKey = new Map();
+  (Array.isArray(errata) ? errata : []).forEach((erratum) => {
+    if (!errataByKey.has(erratum.keyId)) {
+      errataByKey.set(erratum.keyId, []);
+    }
+    errataByKey.get(erratum.keyId).push(erratum);
+  });
+
+  return entries.map((entry) => {
+    const overrides = errataByKey.get(entry.id);
+    if (!overrides) {
+      return entry;
+    }
+    const key = new Map(entry.key);
+    overrides.forEach((erratum) => key.set(erratum.question, erratum.answer));
+    return {
+      ...entry,
+      key: new Map(Array.from(key.entries()).sort((a, b) => a[0] - b[0])),
+      total: key.size,
+      errata: overrides
+    };
+  });
+}
+
+// Works out a question's new status. Records graded correct do not always keep
+// the student's answer; with a single old key answer it must have been that.
+function resolveQuestion({ status, studentAnswer }, from, to) {
+  if (status !== 'correct' && status !== 'incorrect') {
+    return null;
+  }
+
+  const fromAnswers = splitKeyAnswer(from);
+  const answer = studentAnswer || (status === 'correct' && fromAnswers.length === 1 ? fromAnswers[0] : '');
+  if (answer) {
+    return {
+      status: isEquivalentAnswer(answer, to) ? 'correct' : 'incorrect',
+      studentAnswer: answer
+    };
+  }
+
+  const accepted = fromAnswers.filter((item) => isEquivalentAnswer(item, to));
+  if (accepted.length === fromAnswers.length) {
+    return { status: 'correct', studentAnswer: '' };
+  }
+  if (accepted.length === 0) {
+    return { status: 'incorrect', studentAnswer: from };
+  }
+  return { status: 'manual', studentAnswer: '', answers: [from], reasons: [UNKNOWN_ANSWER_REASON] };
+}
+
+function regradeQuestionStat(stat, from, to) {
+  const outcome = resolveQuestion(stat, from, to);
+  const next = { ...stat, correctAnswer: to };
+  if (!outcome) {
+    return next;
+  }
+
+  next.status = outcome.status;
+  next.studentAnswer = outcome.studentAnswer || stat.studentAnswer || '';
+  if (outcome.status === 'manual') {
+    next.manualAnswers = outcome.answers;
+    next.manualReasons = outcome.reasons;
+  } else {
+    delete next.manualAnswers;
+    delete next.manualReasons;
+  }
+  return next;
+}
+
+function regradeHistoryEntry(entry, { question, from, to }) {
+  const incorrect = (entry.incorrect ?? []).filter((item) => item.question !== question);
+  const manualReview = (entry.manualReview ?? []).filter((item) => item.question !== question);
+  const previousIncorrect = (entry.incorrect ?? []).find((item) => item.question === question);
+  const previousManual = (entry.manualReview ?? []).find((item) => item.question === question);
+  const unanswered =
+    (entry.missing ?? []).includes(question) ||
+    (entry.omitted ?? []).includes(question) ||
+    (entry.voided ?? []).includes(question);
+  const accepted = (entry.resolved ?? []).find((item) => item.question === question && item.status === 'correct');
+  let correct = entry.correct ?? 0;
+
+  // Questions not listed as wrong, flagged or unanswered were graded correct.
+  let status = null;
+  if (previousIncorrect) {
+    status = { status: 'incorrect', studentAnswer: previousIncorrect.studentAnswer };
+  } else if (previousManual) {
+    status = { status: 'manual', answers: previousManual.answers ?? [], reasons: previousManual.reasons ?? [] };
+  } else if (!unanswered) {
+    status = { status: 'correct', studentAnswer: accepted?.answer ?? '' };
+    correct -= 1;
+  }
+
+  // Without an outcome the question keeps its status; only the key answer changes.
+  const outcome = (status && resolveQuestion(status, from, to)) ?? status;
+  if (outcome?.status === 'correct') {
+    correct += 1;
+  } else if (outcome?.status === 'incorrect') {
+    incorrect.push({
+      question,
+      correctAnswer: to,
+      studentAnswer: outcome.studentAnswer,
+      ...(previousIncorrect?.guessed ? { guessed: true } : {})
+    });
+  } else if (outcome?.status === 'manual') {
+    manualReview.push({ ...previousManual, question, answers: outcome.answers, reasons: outcome.reasons });
+  }
+
+  incorrect.sort((a, b) => a.question - b.question);
+  manualReview.sort((a, b) => a.question - b.question);
+  const denominator = historyDenominator(entry);
+
+  return {
+    ...entry,
+    correct,
+    incorrect,
+    incorrectCount: incorrect.length,
+    manualReview,
+    manualReviewCount: manualReview.length,
+    percent: denominator > 0 ? (correct / denominator) * 100 : 0
+  };
+}
+
+function scoreOf(record) {
+  return {
+    correct: record.correct ?? 0,
+    denominator: record.denominator ?? record.total ?? 0,
+    percent: record.percent ?? 0
+  };
+}
+
+// change: { question, from, to } where from is the key answer the record was
+// graded with and keyMeta is the key with the erratum applied.
+export function regradeWorksheetRecord(record, change, keyMeta) {
+  const { question, from, to } = change;
+  const questionStats = { ...(record.questionStats ?? {}) };
+  if (questionStats[question]) {
+    questionStats[question] = regradeQuestionStat(questionStats[question], from, to);
+  }
+
+  const skipMissing = record.skipMissingUsed ?? true;
+  const updated = {
+    ...record,
+    questionStats,
+    ...summarizeQuestionStats(questionStats, keyMeta, skipMissing),
+    history: (record.history ?? []).map((entry) => regradeHistoryEntry(entry, change))
+  };
+
+  const before = scoreOf(record);
+  const after = scoreOf(updated);
+  return {
+    record: updated,
+    before,
+    after,
+    changed: before.correct !== after.correct || before.denominator !== after.denominator
+  };
+}
+
+export function regradeStudents(students, change, keyMeta) {
+  const changes = [];
+  const nextStudents = students.map((student) => {
+    const worksheets = Array.isArray(student.worksheets) ? student.worksheets : [];
+    const index = worksheets.findIndex((item) => item.worksheetId === keyMeta.id);
+    if (index === -1) {
+      return student;
+    }
+
+    const { record, before, after, changed } = regradeWorksheetRecord(worksheets[index], change, keyMeta);
+    if (changed) {
+      changes.push({ studentId: student.id, name: student.name, before, after });
+    }
+    const nextWorksheets = [...worksheets];
+    nextWorksheets[index] = record;
+    return { ...student, worksheets: nextWorksheets };
+  });
+
+  return { students: nextStudents, changes };
+}
@@ -0,0 +1,243 @@
+// Optional metadata for answer keys. A key file may open with a header block
+//
+//   ---
+//   title: Lines
+//   priority: high
+//   choices: ABCD
+//   tags: linear-functions
+//   tags 1-12: slope, intercepts
+//   difficulty 13-20: hard
+//   ---
+//
+// and/or sit next to a sidecar JSON file with the same name
+// (math-204-lines.json) using the same fields, with per-question data under
+// "questions": { "1-12": { "tags": ["slope"], "difficulty": "easy" } }.
+// Sidecar values win over the header (question tags are combined); anything
+// missing falls back to the "<subject>-<number>-<descriptor>.txt" filename.
+import { PRIORITY_LEVELS } from './studentMetadata.js';
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+const HEADER_FENCE = /^\s*---\s*$/;
+const HEADER_FIELD_PATTERN = /^\s*([a-z]+)(?:\s+([\d,\s-]+?))?\s*:\s*(.*?)\s*$/i;
+const QUESTION_SPEC_PATTERN = /^(\d{1,3})(?:\s*-\s*(\d{1,3}))?$/;
+const SCALAR_FIELDS = new Set([
+  'title',
+  'subject',
+  'number',
+  'priority',
+  'choices',
+  'alternates',
+  'tags',
+  'difficulty'
+]);
+const QUESTION_FIELDS = new Set(['tags', 'difficulty']);
+
+// "1-5, 9" -> [1, 2, 3, 4, 5, 9]; null when any part is not a question or range.
+export function expandQuestionSpec(spec) {
+  const questions = [];
+  const parts = String(spec ?? '')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  for (const part of parts) {
+    const match = part.match(QUESTION_SPEC_PATTERN);
+    if (!match) {
+      return null;
+    }
+    const start = Number.parseInt(match[1], 10);
+    const end = match[2] ? Number.parseInt(match[2], 10) : start;
+    if (start < 1 || end < start) {
+      return null;
+    }
+    for (let question = start; question <= end; question += 1) {
+      questions.push(question);
+    }
+  }
+  return questions.length > 0 ? questions : null;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim()).filter(Boolean);
+  }
+  return String(value ?? '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Splits a leading "---" block off a key file. headerLineCount covers both
+// fences so callers can keep reporting file line numbers for the body.
+export function splitKeyHeader(raw) {
+  const lines = String(raw ?? '').split(/\r?\n/);
+  const first = lines.findIndex((line) => line.trim());
+  if (first === -1 || !HEADER_FENCE.test(lines[first])) {
+    return { header: [], body: String(raw ?? ''), headerLineCount: 0, headerStartLine: 0 };
+  }
+  const close = lines.findIndex((line, index) => index > first && HEADER_FENCE.test(line));
+  if (close === -1) {
+    return { header: [], body: String(raw ?? ''), headerLineCount: 0, headerStartLine: 0 };
+  }
+  return {
+    header: lines.slice(first + 1, close),
+    body: lines.slice(close + 1).join('\n'),
+    headerLineCount: close + 1,
+    headerStartLine: first + 2
+  };
+}
+
+function createMetadata() {
+  return { questions: new Map(), problems: [] };
+}
+
+function setScalar(metadata, field, value, where) {
+  switch (field) {
+    case 'title':
+    case 'subject': {
+      const text = String(value ?? '').trim();
+      if (text) {
+        metadata[field] = field === 'subject' ? text.toLowerCase() : text;
+      }
+      return;
+    }
+    case 'number': {
+      const number = Number.parseInt(value, 10);
+      if (Number.isInteger(number)) {
+        metadata.number = number;
+      } else {
+        metadata.problems.push(`${where}: number "${value}" is not a whole number`);
+      }
+      return;
+    }
+    case 'priority': {
+      const priority = String(value ?? '').trim().toLowerCase();
+      if (Object.hasOwn(PRIORITY_LEVELS, priority)) {
+        metadata.priority = priority;
+      } else {
+        metadata.problems.push(
+          `${where}: priority "${value}" is not one of ${Object.keys(PRIORITY_LEVELS).join(', ')}`
+        );
+      }
+      return;
+    }
+    case 'choices': {
+      const choices = (Array.isArray(value) ? value.join('') : String(value ?? ''))
+        .toUpperCase()
+        .replace(/[^A-Z]/g, '')
+        .split('');
+      if (choices.length > 0 && choices.every((choice) => choice >= 'A' && choice <= 'E')) {
+        metadata.choices = [...new Set(choices)];
+      } else {
+        metadata.problems.push(`${where}: choices "${value}" must be letters A-E`);
+      }
+      return;
+    }
+    case 'alternates':
+      metadata.alternates = toList(value);
+      return;
+    // Without question numbers, tags and difficulty cover the whole key.
+    case 'tags':
+      metadata.tags = [...new Set([...(metadata.tags ?? []), ...toList(value)])];
+      return;
+    case 'difficulty': {
+      const difficulty = String(value ?? '').trim().toLowerCase();
+      if (DIFFICULTY_LEVELS.includes(difficulty)) {
+        metadata.difficulty = difficulty;
+      } else {
+        metadata.problems.push(`${where}: difficulty "${value}" is not one of ${DIFFICULTY_LEVELS.join(', ')}`);
+      }
+      return;
+    }
+    default:
+      metadata.problems.push(`${where}: unknown field "${field}"`);
+  }
+}
+
+function setQuestionField(metadata, questions, field, value, where) {
+  const difficulty = String(value ?? '').trim().toLowerCase();
+  if (field === 'difficulty' && !DIFFICULTY_LEVELS.includes(difficulty)) {
+    metadata.problems.push(`${where}: difficulty "${value}" is not one of ${DIFFICULTY_LEVELS.join(', ')}`);
+    return;
+  }
+  questions.forEach((question) => {
+    const current = metadata.questions.get(question) ?? { tags: [], difficulty: null };
+    metadata.questions.set(
+      question,
+      field === 'tags'
+        ? { ...current, tags: [...new Set([...current.tags, ...toList(value)])] }
+        : { ...current, difficulty }
+    );
+  });
+}
+
+// startLine is the file line of the first header line, for messages.
+export function parseKeyHeader(lines, startLine = 2) {
+  const metadata = createMetadata();
+  lines.forEach((text, index) => {
+    if (!text.trim() || text.trim().startsWith('#')) {
+      return;
+    }
+    const where = `Header line ${startLine + index}`;
+    const match = text.match(HEADER_FIELD_PATTERN);
+    if (!match) {
+      metadata.problems.push(`${where}: expected "field: value"`);
+      return;
+    }
+    const [, rawField, spec, value] = match;
+    const field = rawField.toLowerCase();
+    if (QUESTION_FIELDS.has(field) && spec) {
+      const questions = expandQuestionSpec(spec);
+      if (!questions) {
+        metadata.problems.push(`${where}: "${spec}" is not a question number or range`);
+        return;
+      }
+      setQuestionField(metadata, questions, field, value, where);
+      return;
+    }
+    if (spec || !SCALAR_FIELDS.has(field)) {
+      metadata.problems.push(`${where}: unknown field "${text.trim()}"`);
+      return;
+    }
+    setScalar(metadata, field, value, where);
+  });
+  return metadata;
+}
+
+export function parseKeySidecar(sidecar, metadata = createMetadata()) {
+  if (!sidecar || typeof sidecar !== 'object' || Array.isArray(sidecar)) {
+    metadata.problems.push('Sidecar: expected a JSON object');
+    return metadata;
+  }
+  Object.entries(sidecar).forEach(([field, value]) => {
+    if (field !== 'questions') {
+      setScalar(metadata, field, value, 'Sidecar');
+      return;
+    }
+    Object.entries(value ?? {}).forEach(([spec, details]) => {
+      const questions = expandQuestionSpec(spec);
+      if (!questions) {
+        metadata.problems.push(`Sidecar: "${spec}" is not a question number or range`);
+        return;
+      }
+      Object.entries(details ?? {}).forEach(([questionField, questionValue]) => {
+        if (QUESTION_FIELDS.has(questionField)) {
+          setQuestionField(metadata, questions, questionField, questionValue, `Sidecar "${spec}"`);
+        } else {
+          metadata.problems.push(`Sidecar "${spec}": unknown field "${questionField}"`);
+        }
+      });
+    });
+  });
+  return metadata;
+}
+
+// Header first, then the sidecar on top of it.
+export function readKeyMetadata(raw, sidecar = null) {
+  const { header, body, headerLineCount, headerStartLine } = splitKeyHeader(raw);
+  const metadata = parseKeyHeader(header, headerStartLine);
+  if (sidecar !== null && sidecar !== undefined) {
+    parseKeySidecar(sidecar, metadata);
+  }
+  return { metadata, body, headerLineCount };
+}
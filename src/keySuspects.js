@@ -0,0 +1,96 @@
+// Flags key answers that are probably wrong: questions that students who
+// otherwise do well on the worksheet "miss" with the same answer. Built on
+// the stored questionStats, which key errata keep in line with the current key.
+import { findKeyLines } from './keyAudit.js';
+
+// A student is "strong" on a worksheet at this accuracy over at least
+// MIN_GRADED other questions.
+export const STRONG_ACCURACY = 0.8;
+export const MIN_GRADED = 5;
+// Flag when at least this many strong students, and this share of the strong
+// students who answered the question, picked the same other answer.
+export const MIN_AGREEING = 2;
+export const AGREEMENT_SHARE = 0.6;
+
+function normalizeAnswer(answer) {
+  return String(answer ?? '').trim().toUpperCase();
+}
+
+function gradedStats(questionStats) {
+  return Object.entries(questionStats ?? {})
+    .map(([question, stat]) => ({ question: Number.parseInt(question, 10), stat }))
+    .filter(({ question, stat }) => !Number.isNaN(question) && (stat?.status === 'correct' || stat?.status === 'incorrect'));
+}
+
+function suspectsForKey(students, entry) {
+  const responses = new Map();
+  (students ?? []).forEach((student) => {
+    const record = (student.worksheets ?? []).find((item) => item.worksheetId === entry.id);
+    const graded = gradedStats(record?.questionStats);
+    const correctTotal = graded.filter(({ stat }) => stat.status === 'correct').length;
+
+    graded.forEach(({ question, stat }) => {
+      // Leave the question out so a bad key answer does not lower the bar.
+      const isCorrect = stat.status === 'correct';
+      const others = graded.length - 1;
+      const accuracy = others > 0 ? (correctTotal - (isCorrect ? 1 : 0)) / others : 0;
+      if (others < MIN_GRADED || accuracy < STRONG_ACCURACY) {
+        return;
+      }
+      if (!responses.has(question)) {
+        responses.set(question, []);
+      }
+      responses.get(question).push({
+        studentId: student.id,
+        name: student.name,
+        accuracy,
+        correct: isCorrect,
+        answer: isCorrect ? '' : normalizeAnswer(stat.studentAnswer)
+      });
+    });
+  });
+
+  if (responses.size === 0) {
+    return [];
+  }
+  const keyLines = findKeyLines(entry);
+  const suspects = [];
+  responses.forEach((strong, question) => {
+    const byAnswer = new Map();
+    strong
+      .filter((item) => !item.correct && item.answer)
+      .forEach((item) => byAnswer.set(item.answer, [...(byAnswer.get(item.answer) ?? []), item]));
+    const [answer, agreeing] =
+      Array.from(byAnswer.entries()).sort((a, b) => b[1].length - a[1].length)[0] ?? [];
+    if (!answer || agreeing.length < MIN_AGREEING || agreeing.length / strong.length < AGREEMENT_SHARE) {
+      return;
+    }
+    suspects.push({
+      keyId: entry.id,
+      label: entry.label,
+      question,
+      keyAnswer: entry.key.get(question) ?? '',
+      suggestedAnswer: answer,
+      line: keyLines.get(question) ?? null,
+      agreeing: agreeing.length,
+      strongAnswered: strong.length,
+      strongCorrect: strong.filter((item) => item.correct).length,
+      students: agreeing
+        .map(({ studentId, name, accuracy }) => ({ studentId, name, accuracy }))
+        .sort((a, b) => b.accuracy - a.accuracy)
+    });
+  });
+  return suspects;
+}
+
+export function findSuspectKeyAnswers(students, keyEntries) {
+  return keyEntries
+    .flatMap((entry) => suspectsForKey(students, entry))
+    .sort(
+      (a, b) =>
+        b.agreeing / b.strongAnswered - a.agreeing / a.strongAnswered ||
+        b.agreeing - a.agreeing ||
+        a.label.localeCompare(b.label) ||
+        a.question - b.question
+    );
+}
@@ -0,0 +1,216 @@
+// Rebuilds reading order from pdf.js text items. pdf.js returns items in
+// content-stream order, which interleaves the columns of multi-column answer
+// sheets and often splits "12" into "1" + "2". We group items into lines by
+// baseline, find column gutters that no line crosses, and emit each column
+// top-to-bottom before moving right.
+
+const LINE_TOLERANCE_RATIO = 0.5;
+const WORD_GAP_RATIO = 0.15;
+const COLUMN_GAP_RATIO = 1.5;
+const MIN_COLUMN_GAP = 8;
+const GUTTER_NOISE_RATIO = 0.1;
+const DEFAULT_FONT_SIZE = 10;
+const BARE_NUMBER_PATTERN = /^\(?\d{1,3}[.):\]]*$/;
+
+function toBox(item) {
+  const transform = Array.isArray(item?.transform) ? item.transform : [];
+  const fontSize =
+    item?.height || Math.hypot(transform[2] ?? 0, transform[3] ?? 0) || DEFAULT_FONT_SIZE;
+  return {
+    text: String(item?.str ?? ''),
+    x: transform[4] ?? 0,
+    y: transform[5] ?? 0,
+    width: Math.max(item?.width ?? 0, 0),
+    fontSize
+  };
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return DEFAULT_FONT_SIZE;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function groupLines(boxes, fontSize) {
+  // PDF y grows upward, so the top of the page has the largest y.
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  for (const box of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - box.y) <= fontSize * LINE_TOLERANCE_RATIO) {
+      line.boxes.push(box);
+    } else {
+      lines.push({ y: box.y, boxes: [box] });
+    }
+  }
+
+  lines.forEach((line) => line.boxes.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+function joinBoxes(boxes, fontSize) {
+  let text = '';
+  let previousEnd = null;
+
+  for (const box of boxes) {
+    const gap = previousEnd === null ? 0 : box.x - previousEnd;
+    if (
+      previousEnd !== null &&
+      gap > fontSize * WORD_GAP_RATIO &&
+      !/\s$/.test(text) &&
+      !/^\s/.test(box.text)
+    ) {
+      text += ' ';
+    }
+    text += box.text;
+    previousEnd = box.x + box.width;
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function findCandidateGutters(lines, fontSize) {
+  const boxes = lines.flatMap((line) => line.boxes);
+  const minX = Math.floor(Math.min(...boxes.map((box) => box.x)));
+  const maxX = Math.ceil(Math.max(...boxes.map((box) => box.x + box.width)));
+  const coverage = new Array(maxX - minX + 1).fill(0);
+  const lastLine = new Array(coverage.length).fill(-1);
+
+  lines.forEach((line, lineIndex) => {
+    for (const box of line.boxes) {
+      const start = Math.floor(box.x) - minX;
+      const end = Math.ceil(box.x + box.width) - minX;
+      for (let bin = start; bin < end; bin += 1) {
+        if (lastLine[bin] !== lineIndex) {
+          lastLine[bin] = lineIndex;
+          coverage[bin] += 1;
+        }
+      }
+    }
+  });
+
+  // Allow a few stray lines (headers, name fields) to cross a gutter.
+  const noise = Math.max(1, Math.floor(lines.length * GUTTER_NOISE_RATIO));
+  const minWidth = Math.max(MIN_COLUMN_GAP, fontSize * COLUMN_GAP_RATIO);
+  const gutters = [];
+  let runStart = null;
+
+  for (let bin = 0; bin < coverage.length; bin += 1) {
+    if (coverage[bin] <= noise) {
+      if (runStart === null) {
+        runStart = bin;
+      }
+      continue;
+    }
+    if (runStart !== null && runStart > 0 && bin - runStart >= minWidth) {
+      gutters.push({ start: minX + runStart, end: minX + bin });
+    }
+    runStart = null;
+  }
+
+  return gutters;
+}
+
+function boxCenter(box) {
+  return box.x + box.width / 2;
+}
+
+// A gap between a column of bare question numbers and a column of letters is
+// the number/answer spacing of a single column, not a real column break.
+function acceptGutters(lines, candidates, fontSize) {
+  const accepted = [];
+  let columnStart = -Infinity;
+
+  for (const gutter of candidates) {
+    const slice = lines
+      .map((line) =>
+        joinBoxes(
+          line.boxes.filter((box) => {
+            const center = boxCenter(box);
+            return center >= columnStart && center < gutter.start;
+          }),
+          fontSize
+        )
+      )
+      .filter(Boolean);
+
+    if (slice.length > 0 && slice.every((text) => BARE_NUMBER_PATTERN.test(text))) {
+      continue;
+    }
+
+    accepted.push(gutter);
+    columnStart = gutter.end;
+  }
+
+  return accepted;
+}
+
+function crossesGutter(line, gutters) {
+  return line.boxes.some((box) =>
+    gutters.some((gutter) => box.x < gutter.end - 1 && box.x + box.width > gutter.start + 1)
+  );
+}
+
+function columnIndex(box, gutters) {
+  const center = boxCenter(box);
+  const index = gutters.findIndex((gutter) => center < gutter.start);
+  return index === -1 ? gutters.length : index;
+}
+
+export function layoutPageText(items) {
+  const boxes = (Array.isArray(items) ? items : [])
+    .map(toBox)
+    .filter((box) => box.text.trim());
+
+  if (boxes.length === 0) {
+    return '';
+  }
+
+  const fontSize = median(boxes.map((box) => box.fontSize));
+  const lines = groupLines(boxes, fontSize);
+  const gutters = acceptGutters(lines, findCandidateGutters(lines, fontSize), fontSize);
+
+  if (gutters.length === 0) {
+    return lines.map((line) => joinBoxes(line.boxes, fontSize)).filter(Boolean).join('\n');
+  }
+
+  // Lines that cross a gutter (titles, instructions) break the page into
+  // blocks; columns are read in order within each block.
+  const blocks = [];
+  let currentColumns = null;
+
+  for (const line of lines) {
+    if (crossesGutter(line, gutters)) {
+      blocks.push([joinBoxes(line.boxes, fontSize)]);
+      currentColumns = null;
+      continue;
+    }
+
+    if (!currentColumns) {
+      currentColumns = Array.from({ length: gutters.length + 1 }, () => []);
+      blocks.push(currentColumns);
+    }
+
+    const segments = Array.from({ length: gutters.length + 1 }, () => []);
+    line.boxes.forEach((box) => segments[columnIndex(box, gutters)].push(box));
+    segments.forEach((segment, index) => {
+      const text = joinBoxes(segment, fontSize);
+      if (text) {
+        currentColumns[index].push(text);
+      }
+    });
+  }
+
+  return blocks
+    .map((block) =>
+      block
+        .map((column) => (Array.isArray(column) ? column.join('\n') : column))
+        .filter(Boolean)
+        .join('\n')
+    )
+    .filter(Boolean)
+    .join('\n');
+}
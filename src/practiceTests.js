@@ -0,0 +1,306 @@
+// Full-length Bluebook practice tests, graded module by module. Keys live in
+// src/practiceKeys/<test id>.txt (bb04.txt) with a heading before each module:
+//
+//   RW M1
+//   1. B
+//   ...
+//   Math M2
+//   22. 3/4
+//
+// Student answers use the same headings or prefix each answer (`M1-12 C`,
+// `Math M2-5 B`). Without a section, M1/M2 follow the last section named
+// (Reading and Writing at the start) and M3/M4 are the math modules.
+//
+// Tutors can also add a key and table in the app; those are stored in the
+// browser (studentStore.js) and merged over the bundled files.
+//
+// A sidecar <test id>.json holds the raw-to-scaled table for each section,
+// indexed by the section's raw score. Sections whose curve depends on which
+// module 2 the student was routed to give both tables and the module 1 raw
+// score that routes to the harder one:
+//
+//   { "math": { "scaled": [200, 200, 210, ...] },
+//     "readingWriting": { "routingThreshold": 16, "lower": [...], "upper": [...] } }
+import { grade, parseKeyText, parseStudentAnswers } from './grader.js';
+
+export const PRACTICE_MODULES = [
+  { id: 'rw1', section: 'readingWriting', label: 'RW M1' },
+  { id: 'rw2', section: 'readingWriting', label: 'RW M2' },
+  { id: 'math1', section: 'math', label: 'Math M1' },
+  { id: 'math2', section: 'math', label: 'Math M2' }
+];
+
+export const PRACTICE_SECTIONS = [
+  { id: 'readingWriting', label: 'Reading and Writing' },
+  { id: 'math', label: 'Math' }
+];
+
+const SECTION_WORDS = String.raw`rw|r&w|r\/w|reading\s*(?:and|&)\s*writing|reading|english|verbal|math`;
+const MODULE_PATTERN = new RegExp(
+  String.raw`(?:\b(${SECTION_WORDS})\s*[-:]?\s*)?\bm(?:od(?:ule)?)?\s*([1-4])(?!\d)\s*[-–—:.)]?\s*`,
+  'gi'
+);
+const SECTION_HEADING = new RegExp(String.raw`^\s*(${SECTION_WORDS})(?:\s+section)?\s*:?\s*$`, 'i');
+
+const practiceKeyFiles = import.meta.glob('./practiceKeys/*.txt', {
+  query: '?raw',
+  import: 'default',
+  eager: true
+});
+
+const scaleFiles = import.meta.glob('./practiceKeys/*.json', {
+  import: 'default',
+  eager: true
+});
+
+function sectionFromWord(word) {
+  return /^math/i.test(word) ? 'math' : 'readingWriting';
+}
+
+function resolveModule(number, section) {
+  if (number > 2) {
+    return PRACTICE_MODULES[number - 1];
+  }
+  return PRACTICE_MODULES[(section === 'math' ? 2 : 0) + number - 1];
+}
+
+// Splits text into one chunk per module. Text before the first module marker
+// is returned as `unassigned`.
+export function splitByModule(text) {
+  const chunks = new Map(PRACTICE_MODULES.map((module) => [module.id, []]));
+  const unassigned = [];
+  let section = 'readingWriting';
+  let current = null;
+
+  for (const line of String(text ?? '').split(/\r?\n/)) {
+    const heading = line.match(SECTION_HEADING);
+    if (heading) {
+      section = sectionFromWord(heading[1]);
+      current = null;
+      continue;
+    }
+
+    const markers = Array.from(line.matchAll(MODULE_PATTERN));
+    const target = () => (current ? chunks.get(current.id) : unassigned);
+    if (markers.length === 0) {
+      target().push(line);
+      continue;
+    }
+
+    const leading = line.slice(0, markers[0].index);
+    if (leading.trim()) {
+      target().push(leading);
+    }
+    markers.forEach((marker, index) => {
+      const number = Number.parseInt(marker[2], 10);
+      if (marker[1]) {
+        section = sectionFromWord(marker[1]);
+      }
+      current = resolveModule(number, section);
+      const end = index + 1 < markers.length ? markers[index + 1].index : line.length;
+      // The number right after a prefix is always a question number, so mark it
+      // as one; `M3-5 12` would otherwise read as an ambiguous "5 12".
+      const rest = line
+        .slice(marker.index + marker[0].length, end)
+        .replace(/^(\d{1,3})(?:\s*[-–—:.)]\s+|\s+)(?=\S)/, '$1. ');
+      if (rest.trim()) {
+        target().push(rest);
+      }
+    });
+  }
+
+  return {
+    modules: new Map(Array.from(chunks, ([id, lines]) => [id, lines.join('\n')])),
+    unassigned: unassigned.join('\n')
+  };
+}
+
+export function createPracticeKey(testId, raw, scale = null) {
+  const { modules } = splitByModule(raw);
+  return {
+    testId,
+    modules: PRACTICE_MODULES.map((module) => ({
+      ...module,
+      key: parseKeyText(modules.get(module.id))
+    })),
+    scale,
+    raw
+  };
+}
+
+function testIdFromPath(path) {
+  return path.split('/').pop().replace(/\.(txt|json)$/i, '').toUpperCase();
+}
+
+export function buildPracticeKeys(files, scales = {}) {
+  const scaleById = new Map(Object.entries(scales).map(([path, scale]) => [testIdFromPath(path), scale]));
+  const keys = new Map();
+  for (const [path, raw] of Object.entries(files)) {
+    const testId = testIdFromPath(path);
+    keys.set(testId, createPracticeKey(testId, raw, scaleById.get(testId) ?? null));
+  }
+  return keys;
+}
+
+export const PRACTICE_KEYS = buildPracticeKeys(practiceKeyFiles, scaleFiles);
+
+// Returns an error message, or null when the key text covers at least one module.
+export function validatePracticeKey(raw) {
+  const key = createPracticeKey('', raw);
+  if (key.modules.every((module) => module.key.size === 0)) {
+    return 'No module answers found. Put a heading like "RW M1" or "Math M2" above each module.';
+  }
+  return null;
+}
+
+function isScoreList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every((score) => Number.isFinite(score));
+}
+
+// Reads a conversion table in the sidecar JSON format. Blank text means no
+// table; anything else has to describe at least one section.
+export function parseScaleTable(text) {
+  if (!String(text ?? '').trim()) {
+    return { scale: null, error: null };
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { scale: null, error: 'The conversion table is not valid JSON.' };
+  }
+  const scale = {};
+  for (const section of PRACTICE_SECTIONS) {
+    const table = parsed?.[section.id];
+    if (table === undefined) {
+      continue;
+    }
+    const routed = Number.isFinite(table?.routingThreshold) && isScoreList(table.lower) && isScoreList(table.upper);
+    if (!isScoreList(table?.scaled) && !routed) {
+      return {
+        scale: null,
+        error: `${section.label} needs a "scaled" list, or "routingThreshold" with "lower" and "upper" lists.`
+      };
+    }
+    scale[section.id] = table;
+  }
+  if (Object.keys(scale).length === 0) {
+    return { scale: null, error: 'Add a "math" or "readingWriting" table.' };
+  }
+  return { scale, error: null };
+}
+
+// stored: [{ testId, raw, scale }] saved from the app.
+export function mergePracticeKeys(bundled, stored) {
+  if (!Array.isArray(stored) || stored.length === 0) {
+    return bundled;
+  }
+  const keys = new Map(bundled);
+  stored.forEach((item) => {
+    keys.set(item.testId, createPracticeKey(item.testId, item.raw, item.scale ?? bundled.get(item.testId)?.scale ?? null));
+  });
+  return keys;
+}
+
+// Scaled score for one section, or null when the test has no usable table or
+// the section was left out of the submission entirely.
+export function scaleSection(table, modules) {
+  if (!table || modules.length === 0 || modules.every((module) => module.missing?.length === module.total)) {
+    return null;
+  }
+  const raw = modules.reduce((sum, module) => sum + module.correct, 0);
+  const firstModule = modules.find((module) => module.id.endsWith('1'));
+  let routing = null;
+  let scaled = table.scaled;
+  if (!Array.isArray(scaled) && Number.isFinite(table.routingThreshold) && firstModule) {
+    routing = firstModule.correct >= table.routingThreshold ? 'upper' : 'lower';
+    scaled = table[routing];
+  }
+  if (!Array.isArray(scaled) || !Number.isFinite(scaled[raw])) {
+    return null;
+  }
+  return { raw, routing, scaled: scaled[raw] };
+}
+
+function scorePracticeTest(scale, modules) {
+  const scores = {};
+  PRACTICE_SECTIONS.forEach((section) => {
+    const result = scaleSection(
+      scale?.[section.id],
+      modules.filter((module) => module.section === section.id)
+    );
+    if (result) {
+      scores[section.id] = result;
+    }
+  });
+  if (scores.readingWriting && scores.math) {
+    scores.composite = scores.readingWriting.scaled + scores.math.scaled;
+  }
+  return Object.keys(scores).length > 0 ? scores : null;
+}
+
+export function gradePracticeTest(practiceKey, text, nowIso = new Date().toISOString()) {
+  const { modules, unassigned } = splitByModule(text);
+  const graded = practiceKey.modules
+    .filter((module) => module.key.size > 0)
+    .map((module) => {
+      const result = grade({ key: module.key, studentAnswers: parseStudentAnswers(modules.get(module.id)) });
+      return {
+        id: module.id,
+        section: module.section,
+        label: module.label,
+        total: result.total,
+        correct: result.correct,
+        incorrect: result.incorrect,
+        missing: result.missing,
+        omitted: result.omitted,
+        manualReview: result.manualReview
+      };
+    });
+  return {
+    gradedAt: nowIso,
+    unassigned: parseStudentAnswers(unassigned).answers.size,
+    modules: graded,
+    scores: scorePracticeTest(practiceKey.scale, graded)
+  };
+}
+
+function sectionScore(value) {
+  const score = Number.parseInt(value, 10);
+  return score >= 200 && score <= 800 ? score : null;
+}
+
+// Stores module results on a practice test entry and fills in the scaled
+// scores the conversion table produced; hand-entered scores stay otherwise.
+// When only one section scaled, the composite is rebuilt from it and the
+// other section's entered score, or cleared if that score is missing.
+export function applyPracticeResults(test, moduleResults) {
+  const scores = moduleResults.scores ?? {};
+  const next = {
+    ...test,
+    moduleResults,
+    ...(scores.readingWriting ? { readingWriting: String(scores.readingWriting.scaled) } : {}),
+    ...(scores.math ? { math: String(scores.math.scaled) } : {})
+  };
+  if (scores.composite) {
+    next.composite = String(scores.composite);
+  } else if (scores.readingWriting || scores.math) {
+    const readingWriting = sectionScore(next.readingWriting);
+    const math = sectionScore(next.math);
+    next.composite = readingWriting !== null && math !== null ? String(readingWriting + math) : '';
+  }
+  return next;
+}
+
+// Raw correct/total per section from stored module results.
+export function summarizeSections(moduleResults) {
+  return PRACTICE_SECTIONS.map((section) => {
+    const modules = (moduleResults?.modules ?? []).filter((module) => module.section === section.id);
+    return {
+      ...section,
+      modules,
+      correct: modules.reduce((sum, module) => sum + module.correct, 0),
+      total: modules.reduce((sum, module) => sum + module.total, 0)
+    };
+  }).filter((section) => section.modules.length > 0);
+}
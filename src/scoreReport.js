@@ -0,0 +1,178 @@
+// Reads the text of a College Board score report (official SAT) or a Bluebook
+// practice test report and maps it onto a student's practiceTests or
+// realTests entry. Reports are laid out differently across years, so each
+// field is looked up on its own and anything unreadable is left out.
+import { BLUEBOOK_TESTS, SAT_DOMAINS } from './studentMetadata.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_DATE = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/gi;
+const NUMERIC_DATE = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b|\b(\d{4})-(\d{2})-(\d{2})\b/g;
+// Filled segments of the 7-segment performance bar, when the PDF keeps them as text.
+const BAND_GLYPHS = /[■●█▰◼⬛]{1,7}/;
+
+export const REPORT_FIELDS = [
+  { id: 'date', label: 'Date' },
+  { id: 'composite', label: 'Overall score' },
+  { id: 'readingWriting', label: 'English' },
+  { id: 'math', label: 'Math' }
+];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toIsoDate(match) {
+  if (match[1] && MONTHS.includes(match[1].slice(0, 3).toLowerCase())) {
+    return `${match[3]}-${pad(MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1)}-${pad(match[2])}`;
+  }
+  if (match[4]) {
+    return `${match[4]}-${match[5]}-${match[6]}`;
+  }
+  return `${match[3]}-${pad(match[1])}-${pad(match[2])}`;
+}
+
+// The test date wins over other dates on the report (e.g. when it was sent).
+function findDate(text) {
+  const matches = [...text.matchAll(MONTH_DATE), ...text.matchAll(NUMERIC_DATE)].sort((a, b) => a.index - b.index);
+  if (matches.length === 0) {
+    return '';
+  }
+  const label = text.search(/test\s+date/i);
+  const labelled = label >= 0 ? matches.find((match) => match.index > label && match.index - label < 60) : null;
+  return toIsoDate(labelled ?? matches[0]);
+}
+
+function findScore(text, pattern, min, max) {
+  for (const match of text.matchAll(pattern)) {
+    const value = Number.parseInt(match[1], 10);
+    if (value >= min && value <= max && value % 10 === 0) {
+      return value;
+    }
+  }
+  return null;
+}
+
+function findBand(window) {
+  const labelled = window.match(/(?:band|level|performance)[^0-9]{0,12}([1-7])\b/i)
+    ?? window.match(/\b([1-7])\s*(?:\/|of|out of)\s*7\b/i);
+  if (labelled) {
+    return Number.parseInt(labelled[1], 10);
+  }
+  const glyphs = window.match(BAND_GLYPHS);
+  return glyphs ? glyphs[0].length : null;
+}
+
+function findDomains(text) {
+  const lower = text.toLowerCase();
+  const positions = SAT_DOMAINS.map((domain) => ({ domain, index: lower.indexOf(domain.label.toLowerCase()) }))
+    .filter((item) => item.index >= 0)
+    .sort((a, b) => a.index - b.index);
+  return positions.map((item, position) => {
+    const start = item.index + item.domain.label.length;
+    const end = Math.min(positions[position + 1]?.index ?? text.length, start + 160);
+    return {
+      id: item.domain.id,
+      label: item.domain.label,
+      section: item.domain.section,
+      band: findBand(text.slice(start, end))
+    };
+  });
+}
+
+export function parseScoreReport(text) {
+  const source = String(text ?? '').replace(/[ \t]+/g, ' ');
+  const practice = source.match(/practice\s+test\s*#?\s*(\d{1,2})\b/i);
+  const readingWriting = findScore(
+    source,
+    /reading\s+(?:and|&)\s+writing(?:\s+section)?(?:\s+score)?[^0-9]{0,40}\b(\d{3})\b/gi,
+    200,
+    800
+  );
+  const math = findScore(source, /\bmath(?:\s+section)?(?:\s+score)?[^0-9]{0,40}\b(\d{3})\b/gi, 200, 800);
+  const composite =
+    findScore(source, /total\s+score[^0-9]{0,40}\b(\d{3,4})\b/gi, 400, 1600)
+    ?? (readingWriting !== null && math !== null ? readingWriting + math : null);
+
+  return {
+    kind: practice || /bluebook|practice\s+test/i.test(source) ? 'practice' : 'official',
+    practiceTestId: practice ? `BB${pad(practice[1])}` : null,
+    date: findDate(source),
+    composite,
+    readingWriting,
+    math,
+    domains: findDomains(source)
+  };
+}
+
+// Where a report goes: the Bluebook entry with the same number, or the
+// official test on the same date; `id: null` means a new entry.
+export function matchReportTarget(student, report) {
+  if (report.kind === 'practice') {
+    const entry = (student.practiceTests ?? []).find((item) => item.id === report.practiceTestId);
+    return entry ? { list: 'practiceTests', id: entry.id } : { list: 'customPracticeTests', id: null };
+  }
+  const entry = report.date ? (student.realTests ?? []).find((item) => item.date === report.date) : null;
+  return { list: 'realTests', id: entry?.id ?? null };
+}
+
+function reportValues(report) {
+  return {
+    date: report.date,
+    composite: report.composite === null ? '' : String(report.composite),
+    readingWriting: report.readingWriting === null ? '' : String(report.readingWriting),
+    math: report.math === null ? '' : String(report.math)
+  };
+}
+
+// Fields the import would change on an entry; fields the report lacks are
+// never cleared.
+export function diffScoreReport(entry, report) {
+  const values = reportValues(report);
+  const changes = REPORT_FIELDS.filter((field) => values[field.id] && values[field.id] !== String(entry?.[field.id] ?? ''))
+    .map((field) => ({ id: field.id, label: field.label, before: entry?.[field.id] ?? '', after: values[field.id] }));
+  report.domains.forEach((domain) => {
+    const before = entry?.domainBands?.[domain.id] ?? null;
+    if (domain.band !== null && domain.band !== before) {
+      changes.push({ id: domain.id, label: domain.label, before: before ?? '', after: domain.band });
+    }
+  });
+  return changes;
+}
+
+function newEntry(list, student, report) {
+  const now = Date.now();
+  if (list === 'realTests') {
+    return { id: `official-${now}`, date: '', status: 'completed', composite: '', math: '', readingWriting: '', notes: '' };
+  }
+  const fallback = `Practice ${(student.customPracticeTests ?? []).length + 1}`;
+  const bluebook = BLUEBOOK_TESTS.find((test) => test.id === report.practiceTestId);
+  return {
+    id: `custom-${now}`,
+    label: report.practiceTestId ? bluebook?.label ?? `Bluebook ${report.practiceTestId.slice(2)}` : fallback,
+    date: '',
+    composite: '',
+    math: '',
+    readingWriting: ''
+  };
+}
+
+// Returns the student changes for onUpdate.
+export function applyScoreReport(student, report, target, nowIso = new Date().toISOString()) {
+  const list = student[target.list] ?? [];
+  const existing = target.id ? list.find((item) => item.id === target.id) : null;
+  const values = Object.fromEntries(Object.entries(reportValues(report)).filter(([, value]) => value));
+  const domainBands = Object.fromEntries(
+    report.domains.filter((domain) => domain.band !== null).map((domain) => [domain.id, domain.band])
+  );
+  const base = existing ?? newEntry(target.list, student, report);
+  const updated = {
+    ...base,
+    ...values,
+    ...(target.list === 'realTests' ? { status: 'completed' } : {}),
+    domainBands: { ...(base.domainBands ?? {}), ...domainBands },
+    reportImportedAt: nowIso
+  };
+  return {
+    [target.list]: existing ? list.map((item) => (item.id === existing.id ? updated : item)) : [...list, updated]
+  };
+}
@@ -0,0 +1,128 @@
+// Per-skill and per-domain accuracy from tagged key questions. questionStats
+// give the current standing for each question; history entries give the
+// per-upload points the trend is read from.
+import { SAT_DOMAINS, SAT_SKILLS } from './studentMetadata.js';
+import { historyOutcomes } from './worksheetRecords.js';
+
+// Uploads on each side of the trend comparison.
+const TREND_WINDOW = 3;
+
+const SKILL_LOOKUP = new Map(SAT_SKILLS.map((skill) => [skill.id, skill]));
+const DOMAIN_LOOKUP = new Map(SAT_DOMAINS.map((domain) => [domain.id, domain]));
+
+// Manual-review and unanswered questions say nothing about the skill yet.
+const GRADED_STATUSES = new Set(['correct', 'incorrect', 'omitted']);
+
+export function describeSkill(tag) {
+  const skill = SKILL_LOOKUP.get(tag);
+  if (!skill) {
+    return { id: tag, label: tag, domain: null, domainLabel: '' };
+  }
+  return { ...skill, domainLabel: DOMAIN_LOOKUP.get(skill.domain)?.label ?? '' };
+}
+
+export function describeDomain(id) {
+  const domain = DOMAIN_LOOKUP.get(id);
+  return domain ? { ...domain } : { id, label: id, section: null };
+}
+
+// Question tags win over the key-wide tags.
+export function questionSkills(keyMeta, question) {
+  const tags = keyMeta?.questionMeta?.get(question)?.tags ?? [];
+  return tags.length > 0 ? tags : keyMeta?.tags ?? [];
+}
+
+// Domains a question counts toward: those of its skills, plus tags that name
+// a domain directly (`tags: algebra`).
+export function questionDomains(keyMeta, question) {
+  const domains = new Set();
+  questionSkills(keyMeta, question).forEach((tag) => {
+    const domain = DOMAIN_LOOKUP.has(tag) ? tag : SKILL_LOOKUP.get(tag)?.domain;
+    if (domain) {
+      domains.add(domain);
+    }
+  });
+  return Array.from(domains);
+}
+
+function accuracyOf(points) {
+  const graded = points.reduce((sum, point) => sum + point.graded, 0);
+  const correct = points.reduce((sum, point) => sum + point.correct, 0);
+  return graded > 0 ? (correct / graded) * 100 : null;
+}
+
+function summarizeGroups(worksheets, keyLookup, groupsOf, describe) {
+  const groups = new Map();
+  const ensure = (tag) => {
+    if (!groups.has(tag)) {
+      groups.set(tag, { ...describe(tag), correct: 0, graded: 0, attempts: 0, points: [] });
+    }
+    return groups.get(tag);
+  };
+
+  (worksheets ?? []).forEach((record) => {
+    const keyMeta = keyLookup.get(record.worksheetId);
+    if (!keyMeta) {
+      return;
+    }
+
+    Object.entries(record.questionStats ?? {}).forEach(([questionKey, stat]) => {
+      if (!GRADED_STATUSES.has(stat?.status)) {
+        return;
+      }
+      groupsOf(keyMeta, Number.parseInt(questionKey, 10)).forEach((tag) => {
+        const group = ensure(tag);
+        group.graded += 1;
+        group.correct += stat.status === 'correct' ? 1 : 0;
+        group.attempts += stat.attempts ?? 1;
+      });
+    });
+
+    (record.history ?? []).forEach((entry) => {
+      const tallies = new Map();
+      historyOutcomes(entry).forEach(({ status }, question) => {
+        if (!GRADED_STATUSES.has(status)) {
+          return;
+        }
+        groupsOf(keyMeta, question).forEach((tag) => {
+          const tally = tallies.get(tag) ?? { correct: 0, graded: 0 };
+          tally.graded += 1;
+          tally.correct += status === 'correct' ? 1 : 0;
+          tallies.set(tag, tally);
+        });
+      });
+      tallies.forEach((tally, tag) => ensure(tag).points.push({ recordedAt: entry.recordedAt ?? '', ...tally }));
+    });
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.graded > 0)
+    .map(({ points, ...group }) => {
+      const ordered = points.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+      const recent = ordered.slice(-TREND_WINDOW);
+      const earlier = ordered.slice(0, -TREND_WINDOW).slice(-TREND_WINDOW);
+      const recentAccuracy = accuracyOf(recent);
+      const earlierAccuracy = accuracyOf(earlier);
+      return {
+        ...group,
+        accuracy: (group.correct / group.graded) * 100,
+        uploads: ordered.length,
+        trend:
+          recentAccuracy !== null && earlierAccuracy !== null ? recentAccuracy - earlierAccuracy : null
+      };
+    });
+}
+
+export function summarizeSkills(worksheets, keyLookup) {
+  return summarizeGroups(worksheets, keyLookup, questionSkills, describeSkill).sort(
+    (a, b) => a.accuracy - b.accuracy || b.graded - a.graded || a.label.localeCompare(b.label)
+  );
+}
+
+// Domains in SAT_DOMAINS order, so they line up with score report bands.
+export function summarizeDomains(worksheets, keyLookup) {
+  const order = SAT_DOMAINS.map((domain) => domain.id);
+  return summarizeGroups(worksheets, keyLookup, questionDomains, describeDomain).sort(
+    (a, b) => order.indexOf(a.id) - order.indexOf(b.id)
+  );
+}
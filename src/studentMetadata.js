@@ -4,43 +4,51 @@ export const PRIORITY_LEVELS = {
   low: 'Low Priority'
 };
 
-export const WORKSHEET_PRIORITY = {
-  'english-101-sentence-structure': 'high',
-  'english-102-punctuation': 'high',
-  'english-103-bullet-points': 'high',
-  'english-106-verbs': 'high',
-  'english-110-main-idea': 'high',
-  'english-111-hypothesis': 'high',
-  'english-112-completes-the-text': 'high',
-  'math-203-polynomials': 'high',
-  'math-204-lines': 'high',
-  'math-205-parabolas-quadratics': 'high',
-  'math-207-functions': 'high',
-  'english-104-reading-analysis-specific-task': 'medium',
-  'english-105-quote': 'medium',
-  'english-107-pronouns-apostrophe-noun-number': 'medium',
-  'english-109-misplaced-modifiers': 'medium',
-  'english-115-transitions': 'medium',
-  'math-202-algebra': 'medium',
-  'math-208-percentages': 'medium',
-  'math-209-conics': 'medium',
-  'math-214-absolute-value-and-inequalities': 'medium',
-  'math-215-plug-numbers-plug-and-scaling': 'medium',
-  'math-217-exponential-equations': 'medium',
-  'english-108-apostrophes': 'low',
-  'english-114-fill-in-blank': 'low',
-  'math-201-ratios': 'low',
-  'math-206-exponents': 'low',
-  'math-210-trigonometry': 'low',
-  'math-211-geometry': 'low',
-  'math-212-statistics': 'low',
-  'math-213-data-collection': 'low',
-  'math-216-probability-charts': 'low',
-  'math-218-word-problems': 'low',
-  'math-220-challenge-1': 'low',
-  'math-221-challenge-2': 'low',
-  'math-222-sat-challenge-3-scoretracker-version': 'low'
-};
+// Digital SAT content domains and skills. Key questions are tagged with the
+// skill ids (see keyMetadata.js); tags outside this list still get analytics
+// under their own name.
+export const SAT_DOMAINS = [
+  { id: 'information-and-ideas', label: 'Information and Ideas', section: 'readingWriting' },
+  { id: 'craft-and-structure', label: 'Craft and Structure', section: 'readingWriting' },
+  { id: 'expression-of-ideas', label: 'Expression of Ideas', section: 'readingWriting' },
+  { id: 'standard-english-conventions', label: 'Standard English Conventions', section: 'readingWriting' },
+  { id: 'algebra', label: 'Algebra', section: 'math' },
+  { id: 'advanced-math', label: 'Advanced Math', section: 'math' },
+  { id: 'problem-solving-data-analysis', label: 'Problem-Solving and Data Analysis', section: 'math' },
+  { id: 'geometry-trigonometry', label: 'Geometry and Trigonometry', section: 'math' }
+];
+
+export const SAT_SKILLS = [
+  { id: 'central-ideas-details', label: 'Central Ideas and Details', domain: 'information-and-ideas' },
+  { id: 'command-of-evidence', label: 'Command of Evidence', domain: 'information-and-ideas' },
+  { id: 'inferences', label: 'Inferences', domain: 'information-and-ideas' },
+  { id: 'words-in-context', label: 'Words in Context', domain: 'craft-and-structure' },
+  { id: 'text-structure-purpose', label: 'Text Structure and Purpose', domain: 'craft-and-structure' },
+  { id: 'cross-text-connections', label: 'Cross-Text Connections', domain: 'craft-and-structure' },
+  { id: 'rhetorical-synthesis', label: 'Rhetorical Synthesis', domain: 'expression-of-ideas' },
+  { id: 'transitions', label: 'Transitions', domain: 'expression-of-ideas' },
+  { id: 'boundaries', label: 'Boundaries', domain: 'standard-english-conventions' },
+  { id: 'form-structure-sense', label: 'Form, Structure, and Sense', domain: 'standard-english-conventions' },
+  { id: 'linear-equations-one-variable', label: 'Linear Equations in One Variable', domain: 'algebra' },
+  { id: 'linear-functions', label: 'Linear Functions', domain: 'algebra' },
+  { id: 'linear-equations-two-variables', label: 'Linear Equations in Two Variables', domain: 'algebra' },
+  { id: 'systems-of-linear-equations', label: 'Systems of Two Linear Equations', domain: 'algebra' },
+  { id: 'linear-inequalities', label: 'Linear Inequalities', domain: 'algebra' },
+  { id: 'equivalent-expressions', label: 'Equivalent Expressions', domain: 'advanced-math' },
+  { id: 'nonlinear-equations', label: 'Nonlinear Equations and Systems', domain: 'advanced-math' },
+  { id: 'nonlinear-functions', label: 'Nonlinear Functions', domain: 'advanced-math' },
+  { id: 'ratios-rates-proportions', label: 'Ratios, Rates, Proportions, and Units', domain: 'problem-solving-data-analysis' },
+  { id: 'percentages', label: 'Percentages', domain: 'problem-solving-data-analysis' },
+  { id: 'one-variable-data', label: 'One-Variable Data', domain: 'problem-solving-data-analysis' },
+  { id: 'two-variable-data', label: 'Two-Variable Data', domain: 'problem-solving-data-analysis' },
+  { id: 'probability', label: 'Probability and Conditional Probability', domain: 'problem-solving-data-analysis' },
+  { id: 'sample-statistics', label: 'Inference from Sample Statistics', domain: 'problem-solving-data-analysis' },
+  { id: 'statistical-claims', label: 'Evaluating Statistical Claims', domain: 'problem-solving-data-analysis' },
+  { id: 'area-and-volume', label: 'Area and Volume', domain: 'geometry-trigonometry' },
+  { id: 'lines-angles-triangles', label: 'Lines, Angles, and Triangles', domain: 'geometry-trigonometry' },
+  { id: 'right-triangles-trigonometry', label: 'Right Triangles and Trigonometry', domain: 'geometry-trigonometry' },
+  { id: 'circles', label: 'Circles', domain: 'geometry-trigonometry' }
+];
 
 export const BLUEBOOK_TESTS = [
   { id: 'BB04', label: 'Bluebook 04' },
@@ -1,37 +1,131 @@
 import { BLUEBOOK_TESTS } from './studentMetadata.js';
 
 const STORAGE_KEY = 'sat-autograder-students-v1';
+// Errata used to be stored on their own under this key; read for migration.
+const ERRATA_STORAGE_KEY = 'sat-autograder-key-errata-v1';
+const CUSTOM_KEYS_STORAGE_KEY = 'sat-autograder-custom-keys-v1';
+const PRACTICE_KEYS_STORAGE_KEY = 'sat-autograder-practice-keys-v1';
 
 function isBrowser() {
   return typeof window !== 'undefined' && typeof window.localStorage !== 'undefined';
 }
 
+// The stored value is { students, keyErrata }; older saves hold just the
+// students array.
+function readStore() {
+  const raw = window.localStorage.getItem(STORAGE_KEY);
+  const parsed = raw ? JSON.parse(raw) : null;
+  if (Array.isArray(parsed)) {
+    return { students: parsed, keyErrata: null };
+  }
+  return {
+    students: Array.isArray(parsed?.students) ? parsed.students : [],
+    keyErrata: parsed?.keyErrata ?? null
+  };
+}
+
 export function loadStudents() {
   if (!isBrowser()) {
     return [];
   }
 
   try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return readStore().students.map(ensureStudentShape);
+  } catch {
+    return [];
+  }
+}
+
+// Students and key errata are written in one setItem so regraded scores are
+// never saved without the overrides that produced them, or the other way round.
+export function saveStudents(students, keyErrata) {
+  if (!isBrowser()) {
+    return;
+  }
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ students, keyErrata }));
+    window.localStorage.removeItem(ERRATA_STORAGE_KEY);
+  } catch {
+    // ignore write errors (storage quota, etc.)
+  }
+}
+
+export function loadKeyErrata() {
+  const empty = { errata: [], log: [] };
+  if (!isBrowser()) {
+    return empty;
+  }
+
+  try {
+    const legacy = window.localStorage.getItem(ERRATA_STORAGE_KEY);
+    const parsed = readStore().keyErrata ?? (legacy ? JSON.parse(legacy) : null);
+    return {
+      errata: Array.isArray(parsed?.errata) ? parsed.errata : [],
+      log: Array.isArray(parsed?.log) ? parsed.log : []
+    };
+  } catch {
+    return empty;
+  }
+}
+
+// Answer keys added in the app (see customKeys.js).
+export function loadCustomKeys() {
+  if (!isBrowser()) {
+    return [];
+  }
+
+  try {
+    const raw = window.localStorage.getItem(CUSTOM_KEYS_STORAGE_KEY);
     if (!raw) {
       return [];
     }
     const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) {
+    return Array.isArray(parsed)
+      ? parsed.filter((item) => item && typeof item.id === 'string' && typeof item.raw === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomKeys(customKeys) {
+  if (!isBrowser()) {
+    return;
+  }
+  try {
+    window.localStorage.setItem(CUSTOM_KEYS_STORAGE_KEY, JSON.stringify(customKeys));
+  } catch {
+    // ignore write errors (storage quota, etc.)
+  }
+}
+
+// Bluebook practice keys and conversion tables added in the app (see
+// practiceTests.js).
+export function loadPracticeKeys() {
+  if (!isBrowser()) {
+    return [];
+  }
+
+  try {
+    const raw = window.localStorage.getItem(PRACTICE_KEYS_STORAGE_KEY);
+    if (!raw) {
       return [];
     }
-    return parsed.map(ensureStudentShape);
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed)
+      ? parsed.filter((item) => item && typeof item.testId === 'string' && typeof item.raw === 'string')
+      : [];
   } catch {
     return [];
   }
 }
 
-export function saveStudents(students) {
+export function savePracticeKeys(practiceKeys) {
   if (!isBrowser()) {
     return;
   }
   try {
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(students));
+    window.localStorage.setItem(PRACTICE_KEYS_STORAGE_KEY, JSON.stringify(practiceKeys));
   } catch {
     // ignore write errors (storage quota, etc.)
   }
@@ -46,49 +140,32 @@ export function createStudent(name) {
     updatedAt: now,
     upcomingSatDate: '',
     worksheets: [],
-    practiceTests: BLUEBOOK_TESTS.map((test) => ({
-      id: test.id,
-      label: test.label,
-      type: 'bluebook',
-      date: '',
-      composite: '',
-      math: '',
-      readingWriting: ''
-    })),
+    practiceTests: BLUEBOOK_TESTS.map(createBluebookEntry),
     customPracticeTests: [],
     realTests: [],
     topicChecklist: {}
   });
 }
 
+function uniqueRecordId(worksheet, seen) {
+  const id = worksheet.id && seen.has(worksheet.id) ? `${worksheet.id}-${worksheet.worksheetId}` : worksheet.id;
+  seen.add(id);
+  return id;
+}
+
 export function ensureStudentShape(student) {
   const now = new Date().toISOString();
   const practiceTests =
     student.practiceTests && Array.isArray(student.practiceTests)
       ? normalizePracticeTests(student.practiceTests)
-      : BLUEBOOK_TESTS.map((test) => ({
-          id: test.id,
-          label: test.label,
-          type: 'bluebook',
-          date: '',
-          composite: '',
-          math: '',
-          readingWriting: ''
-        }));
+      : BLUEBOOK_TESTS.map(createBluebookEntry);
 
   const bluebookIds = new Set(BLUEBOOK_TESTS.map((test) => test.id));
   const existingIds = new Set(practiceTests.map((item) => item.id));
-  const missingDefault = BLUEBOOK_TESTS.filter(
-    (test) => !existingIds.has(test.id)
-  ).map((test) => ({
-    id: test.id,
-    label: test.label,
-    type: 'bluebook',
-    date: '',
-    composite: '',
-    math: '',
-    readingWriting: ''
-  }));
+  const missingDefault = BLUEBOOK_TESTS.filter((test) => !existingIds.has(test.id)).map(createBluebookEntry);
+  // Batch grading once gave every record in a batch the same id; there is one
+  // record per worksheet, so the worksheet id tells the duplicates apart.
+  const recordIds = new Set();
 
   return {
     id: student.id ?? `student-${Date.now()}`,
@@ -99,6 +176,7 @@ export function ensureStudentShape(student) {
     worksheets: Array.isArray(student.worksheets)
       ? student.worksheets.map((worksheet) => ({
           ...worksheet,
+          id: uniqueRecordId(worksheet, recordIds),
           questionStats:
             worksheet.questionStats && typeof worksheet.questionStats === 'object'
               ? worksheet.questionStats
@@ -109,7 +187,12 @@ export function ensureStudentShape(student) {
                 incorrect: Array.isArray(entry.incorrect) ? entry.incorrect : [],
                 manualReview: Array.isArray(entry.manualReview) ? entry.manualReview : [],
                 missing: Array.isArray(entry.missing) ? entry.missing : [],
-                reviewed: Boolean(entry.reviewed)
+                omitted: Array.isArray(entry.omitted) ? entry.omitted : [],
+                guessed: Array.isArray(entry.guessed) ? entry.guessed : [],
+                voided: Array.isArray(entry.voided) ? entry.voided : [],
+                resolved: Array.isArray(entry.resolved) ? entry.resolved : [],
+                reviewed: Boolean(entry.reviewed),
+                submission: entry.submission ?? null
               }))
             : []
         }))
@@ -125,6 +208,22 @@ export function ensureStudentShape(student) {
   };
 }
 
+// moduleResults holds the per-module breakdown from gradePracticeTest and
+// domainBands the 1-7 performance bands from an imported score report.
+function createBluebookEntry(test) {
+  return {
+    id: test.id,
+    label: test.label,
+    type: 'bluebook',
+    date: '',
+    composite: '',
+    math: '',
+    readingWriting: '',
+    moduleResults: null,
+    domainBands: null
+  };
+}
+
 function normalizePracticeTests(practiceTests) {
   return practiceTests.map((item) => ({
     id: item.id,
@@ -133,6 +232,9 @@ function normalizePracticeTests(practiceTests) {
     date: item.date ?? '',
     composite: item.composite ?? '',
     math: item.math ?? '',
-    readingWriting: item.readingWriting ?? ''
+    readingWriting: item.readingWriting ?? '',
+    moduleResults: item.moduleResults ?? null,
+    domainBands: item.domainBands ?? null,
+    ...(item.reportImportedAt ? { reportImportedAt: item.reportImportedAt } : {})
   }));
 }
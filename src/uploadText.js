@@ -0,0 +1,32 @@
+// Reads the text out of an uploaded submission or key file in the browser.
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf';
+import { layoutPageText } from './pdfLayout.js';
+import { extractDocxText, extractRtfText } from './documentText.js';
+
+export async function readUploadText(file) {
+  const lowerName = file.name.toLowerCase();
+
+  if (file.type === 'application/pdf' || lowerName.endsWith('.pdf')) {
+    const buffer = await file.arrayBuffer();
+    const pdf = await pdfjs.getDocument({ data: buffer, disableWorker: true }).promise;
+    let text = '';
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const pageText = layoutPageText(content.items);
+      text += `${pageText}\n`;
+    }
+    return text;
+  }
+  if (lowerName.endsWith('.docx')) {
+    return extractDocxText(await file.arrayBuffer());
+  }
+  if (lowerName.endsWith('.rtf') || file.type === 'application/rtf') {
+    return extractRtfText(await file.text());
+  }
+  if (lowerName.endsWith('.doc')) {
+    throw new Error('Old .doc files are not supported. Save as .docx and upload again.');
+  }
+  return file.text();
+}
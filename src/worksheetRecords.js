@@ -0,0 +1,438 @@
+// Helpers for the per-student worksheet records built in App.jsx: the
+// aggregated fields are always derived from questionStats so grading, key
+// errata and re-grades all produce the same numbers.
+import { PARSER_VERSION, grade, isEquivalentAnswer, parseStudentAnswers } from './grader.js';
+
+function toList(value, fallback = []) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value ? [value] : fallback;
+}
+
+export function summarizeQuestionStats(questionStats, keyMeta, skipMissing) {
+  const totalQuestions = keyMeta.total;
+  const incorrect = [];
+  const manualReview = [];
+  const voided = [];
+  let correct = 0;
+
+  Object.entries(questionStats ?? {}).forEach(([questionKey, value]) => {
+    const question = Number.parseInt(questionKey, 10);
+    if (Number.isNaN(question)) {
+      return;
+    }
+    if (value?.status === 'correct') {
+      correct += 1;
+    } else if (value?.status === 'incorrect') {
+      incorrect.push({
+        question,
+        studentAnswer: value.studentAnswer ?? '',
+        correctAnswer: value.correctAnswer ?? keyMeta.key.get(question) ?? ''
+      });
+    } else if (value?.status === 'manual') {
+      manualReview.push({
+        question,
+        answers: toList(value.manualAnswers, value.studentAnswer ? [value.studentAnswer] : []),
+        reasons: toList(value.manualReasons)
+      });
+    } else if (value?.status === 'voided') {
+      voided.push(question);
+    }
+  });
+  incorrect.sort((a, b) => a.question - b.question);
+  manualReview.sort((a, b) => a.question - b.question);
+  voided.sort((a, b) => a - b);
+
+  const missing = [];
+  for (let question = 1; question <= totalQuestions; question += 1) {
+    if (!questionStats?.[question]) {
+      missing.push(question);
+    }
+  }
+  const attemptedCount = Object.keys(questionStats ?? {}).length;
+  // Voided key questions are dropped from the score whatever skipMissing says;
+  // questions past the end of the key never counted toward it.
+  const scoredVoids = voided.filter((question) => question <= totalQuestions).length;
+  const denominator = Math.max(
+    (skipMissing ? totalQuestions - missing.length : totalQuestions) - scoredVoids,
+    0
+  );
+
+  return {
+    correct,
+    incorrect,
+    incorrectCount: incorrect.length,
+    manualReview,
+    manualReviewCount: manualReview.length,
+    missing,
+    missingCount: missing.length,
+    voided,
+    totalAttempted: totalQuestions > 0 ? Math.max(0, totalQuestions - missing.length) : attemptedCount,
+    denominator,
+    percent: denominator > 0 ? (correct / denominator) * 100 : 0
+  };
+}
+
+// Question stats for the questions one graded run touched. previousStats
+// supplies attempt counts and answers the run did not repeat.
+export function buildRunQuestionStats(gradeResult, parsedAnswers, keyMeta, previousStats, nowIso) {
+  const answersMap = parsedAnswers?.answers instanceof Map ? parsedAnswers.answers : new Map();
+  const incorrectMap = new Map((gradeResult.incorrect ?? []).map((item) => [item.question, item]));
+  const manualReviewMap = new Map((gradeResult.manualReview ?? []).map((item) => [item.question, item]));
+  const omittedSet = new Set(gradeResult.omitted ?? []);
+  const guessedSet = new Set(gradeResult.guessed ?? []);
+
+  const attempted = new Set(gradeResult.attemptedQuestions ?? []);
+  manualReviewMap.forEach((_, question) => attempted.add(question));
+
+  const questionStats = {};
+  for (const question of attempted) {
+    const previous = previousStats?.[question] ?? null;
+    const attempts = (previous?.attempts ?? 0) + 1;
+    const correctAnswer = keyMeta.key.get(question) || '';
+
+    if (manualReviewMap.has(question)) {
+      const manual = manualReviewMap.get(question);
+      questionStats[question] = {
+        status: 'manual',
+        studentAnswer: manual.answers?.[0] ?? '',
+        correctAnswer,
+        manualAnswers: manual.answers ?? [],
+        manualReasons: manual.reasons ?? [],
+        attempts,
+        lastUpdated: nowIso
+      };
+    } else if (omittedSet.has(question)) {
+      questionStats[question] = {
+        status: 'omitted',
+        studentAnswer: '',
+        correctAnswer,
+        attempts,
+        lastUpdated: nowIso
+      };
+    } else if (incorrectMap.has(question)) {
+      const incorrect = incorrectMap.get(question);
+      questionStats[question] = {
+        status: 'incorrect',
+        studentAnswer: incorrect.studentAnswer,
+        correctAnswer: incorrect.correctAnswer ?? correctAnswer,
+        guessed: guessedSet.has(question),
+        attempts,
+        lastUpdated: nowIso
+      };
+    } else {
+      questionStats[question] = {
+        status: 'correct',
+        studentAnswer: answersMap.get(question) ?? previous?.studentAnswer ?? '',
+        correctAnswer,
+        guessed: guessedSet.has(question),
+        attempts,
+        lastUpdated: nowIso
+      };
+    }
+  }
+
+  return { attempted, questionStats };
+}
+
+// submission: { text, fileName } as pasted or uploaded. It is kept so the
+// entry can be re-parsed after parser or key fixes.
+export function buildHistoryEntry(gradeResult, { attempted, skipMissing, submission = null, nowIso }) {
+  return {
+    id: `history-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+    recordedAt: nowIso,
+    attempted: attempted.size,
+    correct: gradeResult.correct,
+    total: gradeResult.total,
+    percent: gradeResult.percent,
+    incorrect: (gradeResult.incorrect ?? []).map((item) => ({ ...item })),
+    incorrectCount: gradeResult.incorrectCount,
+    manualReview: (gradeResult.manualReview ?? []).map((item) => ({
+      ...item,
+      answers: Array.isArray(item.answers) ? [...item.answers] : []
+    })),
+    manualReviewCount: gradeResult.manualReviewCount,
+    missing: (gradeResult.missing ?? []).slice().sort((a, b) => a - b),
+    missingCount: gradeResult.missingCount,
+    omitted: (gradeResult.omitted ?? []).slice(),
+    guessed: (gradeResult.guessed ?? []).slice(),
+    skipMissingUsed: skipMissing,
+    reviewed: false,
+    submission: submission
+      ? {
+          text: String(submission.text ?? ''),
+          fileName: submission.fileName ?? '',
+          parserVersion: PARSER_VERSION
+        }
+      : null
+  };
+}
+
+// Per-question outcome of a history entry. Questions not listed as wrong,
+// flagged or unanswered were graded correct.
+export function historyOutcomes(entry) {
+  const outcomes = new Map();
+  for (let question = 1; question <= (entry.total ?? 0); question += 1) {
+    outcomes.set(question, { status: 'correct', answer: '' });
+  }
+  (entry.missing ?? []).forEach((question) => outcomes.set(question, { status: 'missing', answer: '' }));
+  (entry.omitted ?? []).forEach((question) => outcomes.set(question, { status: 'omitted', answer: '' }));
+  (entry.incorrect ?? []).forEach((item) =>
+    outcomes.set(item.question, { status: 'incorrect', answer: item.studentAnswer ?? '' })
+  );
+  (entry.manualReview ?? []).forEach((item) =>
+    outcomes.set(item.question, { status: 'manual', answer: (item.answers ?? []).join(', ') })
+  );
+  (entry.voided ?? []).forEach((question) => outcomes.set(question, { status: 'voided', answer: '' }));
+  // Answers accepted during manual review, unless a later key fix regraded them.
+  (entry.resolved ?? [])
+    .filter((item) => item.status === 'correct' && outcomes.get(item.question)?.status === 'correct')
+    .forEach((item) => outcomes.set(item.question, { status: 'correct', answer: item.answer }));
+  return outcomes;
+}
+
+// Questions a history entry's score is out of.
+export function historyDenominator(entry) {
+  const total = entry.total ?? 0;
+  const skipMissing = entry.skipMissingUsed ?? true;
+  const unscored = skipMissing ? entry.missingCount ?? 0 : 0;
+  // Only voids that would otherwise count: inside the key and, with
+  // skipMissing, not already left out as missing.
+  const missing = new Set(entry.missing ?? []);
+  const scoredVoids = (entry.voided ?? []).filter(
+    (question) => question >= 1 && question <= total && !(skipMissing && missing.has(question))
+  ).length;
+  return Math.max(total - unscored - scoredVoids, 0);
+}
+
+function coveredQuestions(entry) {
+  const covered = new Set();
+  historyOutcomes(entry).forEach((outcome, question) => {
+    if (outcome.status !== 'missing') {
+      covered.add(question);
+    }
+  });
+  return covered;
+}
+
+function historyScore(entry) {
+  return {
+    correct: entry.correct ?? 0,
+    denominator: historyDenominator(entry),
+    percent: entry.percent ?? 0
+  };
+}
+
+// Settles one manual-review item of a history entry. resolution is
+// { action: 'accept', answer } to grade that answer against the key,
+// { action: 'wrong' } to count it incorrect or { action: 'void' } to drop it
+// from the score. Questions the key has no answer for can only be voided.
+function resolveEntryQuestion(entry, question, resolution, keyAnswer, nowIso) {
+  const item = (entry.manualReview ?? []).find((manual) => manual.question === question);
+  if (!item) {
+    return null;
+  }
+  let outcome;
+  if (resolution.action === 'accept') {
+    if (!keyAnswer || !resolution.answer) {
+      return null;
+    }
+    outcome = {
+      status: isEquivalentAnswer(resolution.answer, keyAnswer) ? 'correct' : 'incorrect',
+      studentAnswer: resolution.answer
+    };
+  } else if (resolution.action === 'wrong') {
+    if (!keyAnswer) {
+      return null;
+    }
+    outcome = { status: 'incorrect', studentAnswer: (item.answers ?? []).join(', ') };
+  } else if (resolution.action === 'void') {
+    outcome = { status: 'voided', studentAnswer: '' };
+  } else {
+    return null;
+  }
+
+  const manualReview = entry.manualReview.filter((manual) => manual.question !== question);
+  const incorrect = [...(entry.incorrect ?? [])];
+  if (outcome.status === 'incorrect') {
+    incorrect.push({ question, correctAnswer: keyAnswer, studentAnswer: outcome.studentAnswer });
+    incorrect.sort((a, b) => a.question - b.question);
+  }
+  const voided = outcome.status === 'voided'
+    ? [...(entry.voided ?? []), question].sort((a, b) => a - b)
+    : entry.voided ?? [];
+  const correct = (entry.correct ?? 0) + (outcome.status === 'correct' ? 1 : 0);
+  const next = {
+    ...entry,
+    correct,
+    incorrect,
+    incorrectCount: incorrect.length,
+    manualReview,
+    manualReviewCount: manualReview.length,
+    voided,
+    resolved: [
+      ...(entry.resolved ?? []),
+      {
+        question,
+        action: resolution.action,
+        answer: outcome.studentAnswer,
+        status: outcome.status,
+        answers: item.answers ?? [],
+        reasons: item.reasons ?? [],
+        resolvedAt: nowIso
+      }
+    ]
+  };
+  const denominator = historyDenominator(next);
+  return {
+    entry: { ...next, percent: denominator > 0 ? (correct / denominator) * 100 : 0 },
+    outcome
+  };
+}
+
+function resolvedStat(stat, outcome, keyAnswer) {
+  const next = { ...stat, status: outcome.status, studentAnswer: outcome.studentAnswer, correctAnswer: keyAnswer };
+  delete next.manualAnswers;
+  delete next.manualReasons;
+  return next;
+}
+
+// Resolves a manual-review question in one history entry. questionStats take
+// the outcome only while no newer upload has covered the question.
+export function resolveManualReview(record, historyId, question, resolution, keyMeta, nowIso = new Date().toISOString()) {
+  const history = Array.isArray(record?.history) ? record.history : [];
+  const index = history.findIndex((entry) => entry.id === historyId);
+  if (index === -1) {
+    return null;
+  }
+  const keyAnswer = keyMeta.key.get(question) ?? '';
+  const resolved = resolveEntryQuestion(history[index], question, resolution, keyAnswer, nowIso);
+  if (!resolved) {
+    return null;
+  }
+
+  const newer = history.slice(0, index).some((entry) => coveredQuestions(entry).has(question));
+  const questionStats = { ...(record.questionStats ?? {}) };
+  if (!newer && questionStats[question]) {
+    questionStats[question] = resolvedStat(questionStats[question], resolved.outcome, keyAnswer);
+  }
+
+  const nextHistory = [...history];
+  nextHistory[index] = resolved.entry;
+  return {
+    ...record,
+    questionStats,
+    ...summarizeQuestionStats(questionStats, keyMeta, record.skipMissingUsed ?? true),
+    history: nextHistory
+  };
+}
+
+export function diffHistoryEntries(before, after) {
+  const beforeOutcomes = historyOutcomes(before);
+  const afterOutcomes = historyOutcomes(after);
+  const questions = new Set([...beforeOutcomes.keys(), ...afterOutcomes.keys()]);
+  const unanswered = { status: 'missing', answer: '' };
+
+  return Array.from(questions)
+    .sort((a, b) => a - b)
+    .map((question) => ({
+      question,
+      before: beforeOutcomes.get(question) ?? unanswered,
+      after: afterOutcomes.get(question) ?? unanswered
+    }))
+    .filter(({ before: from, after: to }) => from.status !== to.status || from.answer !== to.answer);
+}
+
+// Re-parses and re-grades one history entry from its stored submission with
+// the current parser and key. questionStats only take the new outcome for
+// questions no newer upload has covered since; questions the re-parse no
+// longer reads are dropped from them on the same terms.
+export function regradeFromSubmission(record, historyId, keyMeta) {
+  const history = Array.isArray(record?.history) ? record.history : [];
+  const index = history.findIndex((entry) => entry.id === historyId);
+  const entry = history[index];
+  if (!entry?.submission || typeof entry.submission.text !== 'string') {
+    return null;
+  }
+
+  const skipMissing = entry.skipMissingUsed ?? true;
+  const nowIso = new Date().toISOString();
+  const parsedAnswers = parseStudentAnswers(entry.submission.text);
+  const gradeResult = grade({ key: keyMeta.key, studentAnswers: parsedAnswers, skipMissing });
+  const previousStats = record.questionStats ?? {};
+  const { attempted, questionStats: runStats } = buildRunQuestionStats(
+    gradeResult,
+    parsedAnswers,
+    keyMeta,
+    previousStats,
+    nowIso
+  );
+
+  let regraded = {
+    ...entry,
+    ...buildHistoryEntry(gradeResult, {
+      attempted,
+      skipMissing,
+      submission: entry.submission,
+      nowIso
+    }),
+    id: entry.id,
+    recordedAt: entry.recordedAt,
+    reviewed: Boolean(entry.reviewed),
+    regradedAt: nowIso,
+    voided: [],
+    resolved: []
+  };
+  // Earlier resolutions carry over to questions that still need review.
+  (entry.resolved ?? []).forEach((item) => {
+    const keyAnswer = keyMeta.key.get(item.question) ?? '';
+    const again = resolveEntryQuestion(regraded, item.question, item, keyAnswer, item.resolvedAt);
+    if (again) {
+      regraded = again.entry;
+      runStats[item.question] = resolvedStat(runStats[item.question], again.outcome, keyAnswer);
+    }
+  });
+
+  const newer = new Set();
+  history.slice(0, index).forEach((item) => coveredQuestions(item).forEach((q) => newer.add(q)));
+  const questionStats = { ...previousStats };
+  coveredQuestions(entry).forEach((question) => {
+    if (!newer.has(question) && !attempted.has(question)) {
+      delete questionStats[question];
+    }
+  });
+  attempted.forEach((question) => {
+    if (!newer.has(question)) {
+      // A re-grade is not a new attempt.
+      questionStats[question] = {
+        ...runStats[question],
+        attempts: previousStats[question]?.attempts ?? 1
+      };
+    }
+  });
+
+  const nextHistory = [...history];
+  nextHistory[index] = regraded;
+  const updated = {
+    ...record,
+    questionStats,
+    attemptedQuestions: Object.keys(questionStats)
+      .map((question) => Number.parseInt(question, 10))
+      .filter((question) => !Number.isNaN(question))
+      .sort((a, b) => a - b),
+    totalQuestions: keyMeta.total,
+    total: keyMeta.total,
+    ...summarizeQuestionStats(questionStats, keyMeta, record.skipMissingUsed ?? true),
+    history: nextHistory
+  };
+
+  return {
+    record: updated,
+    entry: regraded,
+    before: historyScore(entry),
+    after: historyScore(regraded),
+    changes: diffHistoryEntries(entry, regraded),
+    parserVersion: entry.submission.parserVersion ?? null
+  };
+}
@@ -0,0 +1,109 @@
+// Splits one submission that covers several worksheets ("Math 204 Lines ...
+// Math 207 Functions ...") into per-worksheet segments. Headers are matched
+// against key bank entries from keyBank.js (number, subject, descriptor).
+import { descriptorWords } from './descriptorWords.js';
+
+// Optional subject word, a three-digit worksheet number, then an optional
+// descriptor made only of words so answers on the same line are left alone.
+const HEADER_PATTERN = /^[ \t]*(?:(english|eng|math|worksheet|packet|ws)\.?[ \t]*[-:#]?[ \t]*)?(\d{3})(?!\d)[ \t]*[-:.)]?[ \t]*([A-Za-z][A-Za-z&/'’-]*(?:[ \t]+[A-Za-z&/'’-]+)*)?/i;
+
+function subjectFromPrefix(prefix) {
+  const value = String(prefix ?? '').toLowerCase();
+  if (value === 'english' || value === 'eng') {
+    return 'english';
+  }
+  if (value === 'math') {
+    return 'math';
+  }
+  return null;
+}
+
+function pickKeyForHeader(match, keyEntries) {
+  const number = Number.parseInt(match[2], 10);
+  const subject = subjectFromPrefix(match[1]);
+  const candidates = keyEntries.filter(
+    (entry) => entry.number === number && (!subject || entry.subjectToken === subject)
+  );
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const headerWords = new Set(descriptorWords(match[3]));
+  let best = null;
+  let bestScore = -1;
+  for (const entry of candidates) {
+    const score = descriptorWords(entry.descriptor).filter((word) => headerWords.has(word)).length;
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  }
+
+  // A bare number ("204") is only a heading when a subject word or part of the
+  // worksheet title backs it up; otherwise it may just be a stray number.
+  if (!match[1] && bestScore <= 0) {
+    return null;
+  }
+
+  return best;
+}
+
+export function findWorksheetHeaders(text, keyEntries) {
+  const source = String(text ?? '');
+  const entries = Array.isArray(keyEntries) ? keyEntries : [];
+  const headers = [];
+
+  for (const line of source.matchAll(/[^\r\n]+/g)) {
+    const match = line[0].match(HEADER_PATTERN);
+    if (!match) {
+      continue;
+    }
+    const entry = pickKeyForHeader(match, entries);
+    if (!entry) {
+      continue;
+    }
+    headers.push({
+      keyId: entry.id,
+      label: entry.label,
+      header: match[0].trim(),
+      start: line.index,
+      end: line.index + match[0].length
+    });
+  }
+
+  return headers;
+}
+
+export function splitByWorksheetHeaders(text, keyEntries) {
+  const source = String(text ?? '');
+  const headers = findWorksheetHeaders(source, keyEntries);
+
+  if (headers.length === 0) {
+    return { segments: [], unassigned: source.trim() };
+  }
+
+  // A worksheet that appears under more than one heading is graded once with
+  // all of its text, so it produces a single history entry.
+  const segmentsById = new Map();
+  headers.forEach((header, index) => {
+    const end = headers[index + 1]?.start ?? source.length;
+    const body = source.slice(header.end, end).trim();
+    const existing = segmentsById.get(header.keyId);
+    if (existing) {
+      existing.text = [existing.text, body].filter(Boolean).join('\n');
+      existing.headers.push(header.header);
+      return;
+    }
+    segmentsById.set(header.keyId, {
+      keyId: header.keyId,
+      label: header.label,
+      headers: [header.header],
+      text: body
+    });
+  });
+
+  return {
+    segments: Array.from(segmentsById.values()),
+    unassigned: source.slice(0, headers[0].start).trim()
+  };
+}